@@ -0,0 +1,1546 @@
+/**
+ * @name MarkerClusterer core
+ * @fileoverview
+ * The clustering core of MarkerClusterer. It works on plain points and the
+ * Web Mercator projection, without depending on the Google Maps API, so that
+ * clusters can be computed and tested in Node or in a Web Worker.
+ *
+ * In the browser and in workers, it expects rbush to be loaded first, and
+ * exposes its API as the `ClusterCore` global only. In Node, it requires
+ * rbush and is the exported module.
+ */
+
+(function () {
+
+var rbush = typeof module !== 'undefined' && module.exports ?
+	require('rbush') : self.rbush;
+
+
+/**
+ * Converts a longitude to a x world coordinate, between 0 and 1.
+ * @param {number} lng The longitude.
+ * @return {number} The x coordinate.
+ */
+function lngX(lng) {
+	return lng / 360 + 0.5;
+}
+
+/**
+ * Converts a latitude to a y world coordinate, between 0 and 1, using the
+ * Web Mercator projection.
+ * @param {number} lat The latitude.
+ * @return {number} The y coordinate.
+ */
+function latY(lat) {
+	var sin = Math.sin(lat * Math.PI / 180);
+	var y = 0.5 - 0.25 * Math.log((1 + sin) / (1 - sin)) / Math.PI;
+	return y < 0 ? 0 : (y > 1 ? 1 : y);
+}
+
+/**
+ * Converts a x world coordinate back to a longitude.
+ * @param {number} x The x coordinate.
+ * @return {number} The longitude.
+ */
+function xLng(x) {
+	return (x - 0.5) * 360;
+}
+
+/**
+ * Converts a y world coordinate back to a latitude.
+ * @param {number} y The y coordinate.
+ * @return {number} The latitude.
+ */
+function yLat(y) {
+	var y2 = (180 - y * 360) * Math.PI / 180;
+	return 360 * Math.atan(Math.exp(y2)) / Math.PI - 90;
+}
+
+/**
+ * Returns the size of the world in pixels at a zoom level.
+ * @param {number} zoom The zoom level.
+ * @return {number} The world size.
+ */
+function worldSize(zoom) {
+	return 256 * Math.pow(2, zoom);
+}
+
+/**
+ * Projects a point to world pixel coordinates at a zoom level.
+ * @param {{lat: number, lng: number}} latLng The point.
+ * @param {number} zoom The zoom level.
+ * @return {{x: number, y: number}} The pixel coordinates.
+ */
+function projectLatLng(latLng, zoom) {
+	var size = worldSize(zoom);
+	return {x: lngX(latLng.lng) * size, y: latY(latLng.lat) * size};
+}
+
+/**
+ * Brings a longitude back between -180 and 180.
+ * @param {number} lng The longitude.
+ * @return {number} The wrapped longitude.
+ */
+function wrapLng(lng) {
+	while (lng > 180) lng -= 360;
+	while (lng < -180) lng += 360;
+	return lng;
+}
+
+/**
+ * Returns the x world coordinate of a point east of a seam, counting from
+ * the seam instead of the antimeridian, so that points on both sides of the
+ * antimeridian are next to each other.
+ * @param {number} x The x coordinate.
+ * @param {number} seam The x coordinate of the seam.
+ * @return {number} The shifted x coordinate, between 0 and 1.
+ * @ignore
+ */
+function shiftX(x, seam) {
+	x -= seam;
+	return x < 0 ? x + 1 : x;
+}
+
+/**
+ * Returns the x world coordinate of a point on the side of the world nearest
+ * to a reference point, which may be across the antimeridian, so that
+ * coordinates of nearby points can be averaged.
+ * @param {number} x The x coordinate.
+ * @param {number} ref The x coordinate of the reference point.
+ * @return {number} The x coordinate, between `ref - 0.5` and `ref + 0.5`.
+ * @ignore
+ */
+function unwrapX(x, ref) {
+	if (x - ref > 0.5) return x - 1;
+	if (ref - x > 0.5) return x + 1;
+	return x;
+}
+
+/**
+ * Extends bounds by a number of pixels on each side at a zoom level. Bounds
+ * extended across the antimeridian have their west greater than their east,
+ * and bounds wider than the world span all longitudes.
+ * @param {Array.<number>} bbox The bounds, as `[south, west, north, east]`.
+ * @param {number} zoom The zoom level.
+ * @param {number} pixels The number of pixels.
+ * @return {Array.<number>} The extended bounds.
+ */
+function extendBounds(bbox, zoom, pixels) {
+	var d = pixels / worldSize(zoom);
+
+	// The y axis points south, and the projection does not reach the poles
+	var south = latY(bbox[0]) + d;
+	var north = latY(bbox[2]) - d;
+
+	var west = -180;
+	var east = 180;
+	var width = shiftX(lngX(bbox[3]), lngX(bbox[1]));
+	if (bbox[3] - bbox[1] < 360 && width + 2 * d < 1) {
+		west = wrapLng(xLng(lngX(bbox[1]) - d));
+		east = wrapLng(xLng(lngX(bbox[3]) + d));
+	}
+
+	return [
+		south >= 1 ? -90 : Math.min(bbox[0], yLat(south)),
+		west,
+		north <= 0 ? 90 : Math.max(bbox[2], yLat(north)),
+		east
+	];
+}
+
+/**
+ * Determines if bounds contain a point.
+ * @param {Array.<number>} bbox The bounds, as `[south, west, north, east]`.
+ *   The west is greater than the east for bounds crossing the antimeridian.
+ * @param {{lat: number, lng: number}} latLng The point.
+ * @return {boolean} True if the point lies in the bounds.
+ */
+function containsLatLng(bbox, latLng) {
+	if (latLng.lat < bbox[0] || latLng.lat > bbox[2]) {
+		return false;
+	}
+	if (bbox[1] > bbox[3]) {
+		return latLng.lng >= bbox[1] || latLng.lng <= bbox[3];
+	}
+	return latLng.lng >= bbox[1] && latLng.lng <= bbox[3];
+}
+
+/**
+ * Splits bounds crossing the antimeridian in two, one on each side.
+ * @param {Array.<number>} bbox The bounds, as `[south, west, north, east]`.
+ * @return {Array.<Array.<number>>} The bounds, or the two halves.
+ */
+function splitBounds(bbox) {
+	if (bbox[1] <= bbox[3]) {
+		return [bbox];
+	}
+	return [
+		[bbox[0], bbox[1], bbox[2], 180],
+		[bbox[0], -180, bbox[2], bbox[3]]
+	];
+}
+
+
+/**
+ * Clusters points at a zoom level.
+ * @param {Array} points The points to cluster.
+ * @param {Object} options support the following options:
+ * * `zoom`: (number) The zoom level to cluster for.
+ * * `gridSize`: (number) The grid size of a cluster in pixels.
+ * * `bounds`: (Array.<number>) Only cluster the points in these bounds, as
+ *   `[south, west, north, east]`.
+ * * `algorithm`: (Object) The clustering algorithm. Defaults to a
+ *   `GridAlgorithm`.
+ * * `averageCenter`: (boolean) Wether the center of each cluster should be
+ *   the average of all points in the cluster.
+ * * `getLatLng`: (function(*): {lat: number, lng: number}) Returns the
+ *   position of a point. Defaults to the point itself.
+ * * `getWeight`: (function(*): number) Returns the weight of a point in the
+ *   average center. Defaults to 1.
+ *
+ * Without bounds, or with bounds spanning all longitudes, points on both
+ * sides of the antimeridian are clustered together.
+ * @return {Array.<{center: {lat: number, lng: number}, points: Array}>} The
+ *   clusters.
+ */
+function clusterPoints(points, options) {
+	var zoom = options.zoom;
+	var getLatLng = options.getLatLng || function (p) { return p; };
+	var getWeight = options.getWeight || function (p) { return 1; };
+	var algorithm = options.algorithm || new GridAlgorithm();
+
+	var items = points;
+	if (options.bounds) {
+		items = points.filter(function (p) {
+			return containsLatLng(options.bounds, getLatLng(p));
+		});
+	}
+
+	// In bounds crossing the antimeridian, points on both sides are projected
+	// next to each other, east of the western edge. Around the whole world,
+	// the algorithm looks for neighbours across it instead.
+	var bounds = options.bounds || [-90, -180, 90, 180];
+	var seam = 0;
+	if (bounds[1] > bounds[3]) {
+		seam = lngX(bounds[1]);
+	}
+	var size = worldSize(zoom);
+	var wrap = bounds[1] <= -180 && bounds[3] >= 180;
+
+	var groups = algorithm.cluster(items, {
+		zoom: zoom,
+		gridSize: options.gridSize || 60,
+		bounds: bounds,
+		worldSize: wrap ? size : 0,
+		project: function (p) {
+			var latLng = getLatLng(p);
+			return {x: shiftX(lngX(latLng.lng), seam) * size, y: latY(latLng.lat) * size};
+		}
+	});
+
+	return groups.map(function (group) {
+		var center = getLatLng(group[0]);
+		if (options.averageCenter) {
+			var ref = lngX(center.lng);
+			var lat = 0;
+			var x = 0;
+			var weight = 0;
+			for (var i = 0; i < group.length; i++) {
+				var latLng = getLatLng(group[i]);
+				var w = getWeight(group[i]);
+				lat += w * latLng.lat;
+				x += w * unwrapX(lngX(latLng.lng), ref);
+				weight += w;
+			}
+			if (weight > 0) {
+				center = {
+					lat: lat / weight,
+					lng: wrapLng(xLng(x / weight))
+				};
+			}
+		}
+
+		return {center: {lat: center.lat, lng: center.lng}, points: group};
+	});
+}
+
+
+/**
+ * An index of the clusters of every zoom level, built once from a list of
+ * points. Each level is clustered from the clusters of the level above it.
+ * @param {Object} options support the following options:
+ * * `gridSize`: (number) The grid size of a cluster in pixels.
+ * * `minZoom`: (number) The minimum zoom level to compute clusters for.
+ * * `maxZoom`: (number) The maximum zoom level to compute clusters for. Points
+ *   are not clustered above it.
+ * * `averageCenter`: (boolean) Wether the center of each cluster should be
+ *   the average of all points in the cluster, weighted by their weight.
+ * * `algorithm`: (Object) The clustering algorithm used for each level.
+ * @constructor
+ */
+function ClusterIndex(options) {
+	this.gridSize = options.gridSize || 60;
+	this.minZoom = options.minZoom || 0;
+	this.maxZoom = options.maxZoom || 21;
+	this.averageCenter = options.averageCenter || false;
+	this.algorithm = options.algorithm || new GridAlgorithm();
+
+	this.trees_ = [];
+	this.nextId_ = 0;
+}
+
+/**
+ * Builds the clusters of every zoom level.
+ * @param {Array.<Array>} points The points to index, as `[lat, lng, data]`,
+ *   or `[lat, lng, data, weight]` for points weighing other than 1 in average
+ *   centers.
+ */
+ClusterIndex.prototype.load = function(points) {
+	this.nextId_ = 0;
+
+	var nodes = [];
+	for (var i = 0; i < points.length; i++) {
+		var p = points[i];
+		var weight = p[3] === undefined ? 1 : p[3];
+		nodes.push(this.createNode_(lngX(p[1]), latY(p[0]), this.maxZoom + 1, 1, weight, p[2], null));
+	}
+
+	this.trees_ = [];
+	this.trees_[this.maxZoom + 1] = this.createTree_(nodes);
+
+	for (var z = this.maxZoom; z >= this.minZoom; z--) {
+		nodes = this.clusterLevel_(nodes, z);
+		this.trees_[z] = this.createTree_(nodes);
+	}
+};
+
+/**
+ * Returns the clusters of a zoom level in the given bounds.
+ * @param {Array.<number>} bbox The bounds, as `[south, west, north, east]`.
+ * @param {number} zoom The zoom level.
+ * @return {Array.<Object>} The cluster nodes.
+ */
+ClusterIndex.prototype.getClusters = function(bbox, zoom) {
+	var z = Math.max(this.minZoom, Math.min(Math.floor(zoom), this.maxZoom + 1));
+	var tree = this.trees_[z];
+	if (!tree) {
+		return [];
+	}
+
+	var nodes = [];
+	var boxes = splitBounds(bbox);
+	for (var i = 0, b; b = boxes[i]; i++) {
+		// The y axis points south
+		nodes = nodes.concat(tree.search([lngX(b[1]), latY(b[2]), lngX(b[3]), latY(b[0])]));
+	}
+	return nodes;
+};
+
+/**
+ * Returns the center of a cluster node.
+ * @param {Object} node The cluster node.
+ * @return {{lat: number, lng: number}} The center.
+ */
+ClusterIndex.prototype.getCenter = function(node) {
+	return {lat: yLat(node.y), lng: xLng(node.x)};
+};
+
+/**
+ * Returns the data of all the points in a cluster node.
+ * @param {Object} node The cluster node.
+ * @return {Array} The points data.
+ */
+ClusterIndex.prototype.getLeaves = function(node) {
+	var leaves = [];
+	var stack = [node];
+	while (stack.length) {
+		var n = stack.pop();
+		if (n.children) {
+			for (var i = n.children.length - 1; i >= 0; i--) {
+				stack.push(n.children[i]);
+			}
+		} else {
+			leaves.push(n.data);
+		}
+	}
+	return leaves;
+};
+
+/**
+ * Returns the zoom level at which a cluster node splits into its children.
+ * @param {Object} node A cluster node of the level `zoom`.
+ * @param {number} zoom The zoom level.
+ * @return {?number} The zoom level, or null for a single point.
+ */
+ClusterIndex.prototype.getExpansionZoom = function(node, zoom) {
+	if (!node.children) {
+		return null;
+	}
+
+	// A node is kept as is in the levels below the one it was created at
+	return Math.max(node.zoom, Math.floor(zoom)) + 1;
+};
+
+/**
+ * Adds a point to the index without clustering it again: from the highest
+ * zoom level down, the point is merged with the nearest node less than the
+ * grid size away, if any, and the clusters containing it are updated. The
+ * clusters may differ from those built by `load`, which is faster for many
+ * points. Updated clusters get new ids.
+ * @param {Array} point The point, as in `load`.
+ * @return {Object} The leaf node of the point, to remove it.
+ */
+ClusterIndex.prototype.insert = function(point) {
+	if (!this.trees_.length) {
+		this.load([]);
+	}
+
+	var weight = point[3] === undefined ? 1 : point[3];
+	var leaf = this.createNode_(lngX(point[1]), latY(point[0]), this.maxZoom + 1, 1, weight, point[2], null);
+	this.trees_[this.maxZoom + 1].insert(leaf);
+
+	for (var z = this.maxZoom; z >= this.minZoom; z--) {
+		var nearest = this.findNearest_(leaf, z);
+		if (!nearest) {
+			this.trees_[z].insert(leaf);
+			continue;
+		}
+
+		if (nearest.zoom == z) {
+			// Join the cluster created at this level
+			nearest.children.push(leaf);
+			leaf.parent = nearest;
+			this.updateClusters_(nearest);
+		} else {
+			// The node kept from the level above becomes a cluster
+			var cluster = this.createNode_(nearest.x, nearest.y, z, 0, 0, null, []);
+			this.replaceNode_(nearest, cluster);
+			cluster.children.push(nearest, leaf);
+			nearest.parent = leaf.parent = cluster;
+			this.updateClusters_(cluster);
+		}
+		break;
+	}
+	return leaf;
+};
+
+/**
+ * Removes a point from the index without clustering it again, updating the
+ * clusters containing it. Updated clusters get new ids.
+ * @param {Object} leaf The leaf node of the point, as returned by `insert`
+ *   or by `getClusters` above the maximum zoom level.
+ */
+ClusterIndex.prototype.remove = function(leaf) {
+	for (var z = this.lowestZoom_(leaf); z <= leaf.zoom; z++) {
+		this.trees_[z].remove(leaf);
+	}
+
+	var parent = leaf.parent;
+	leaf.parent = null;
+	if (!parent) {
+		return;
+	}
+
+	parent.children.splice(parent.children.indexOf(leaf), 1);
+	if (parent.children.length == 1) {
+		// A cluster of a single node is that node
+		var child = parent.children[0];
+		this.replaceNode_(parent, child);
+		parent = child.parent;
+	}
+	this.updateClusters_(parent);
+};
+
+/**
+ * Returns a JSON snapshot of the index, to restore it with
+ * `ClusterIndex.fromJSON` without clustering again. Leaves are listed by the
+ * value standing for their data, and the clusters created at each zoom level
+ * in a flat table of `x, y, count, number of children, child ids...`, where
+ * ids are the positions of the leaves and then of the clusters, from the
+ * highest level down. The spatial trees of the levels are copied with their
+ * nodes as ids, see `treeToJSON`.
+ * @param {function(*): *=} getRef Returns a JSON value standing for the data
+ *   of a point. Defaults to the data itself.
+ * @return {Object} The snapshot.
+ */
+ClusterIndex.prototype.toJSON = function(getRef) {
+	getRef = getRef || function (data) { return data; };
+
+	var ids = {};
+	var nextId = 0;
+	var leaves = [];
+	var levels = [];
+	for (var z = this.trees_.length - 1; z >= this.minZoom; z--) {
+		var all = this.trees_[z].all();
+		var table = [];
+		for (var i = 0, node; node = all[i]; i++) {
+			if (node.zoom != z) continue;
+
+			ids[node.id] = nextId++;
+			if (!node.children) {
+				leaves.push(getRef(node.data));
+				continue;
+			}
+
+			table.push(node.x, node.y, node.count, node.children.length);
+			for (var j = 0, child; child = node.children[j]; j++) {
+				table.push(ids[child.id]);
+			}
+		}
+		if (z <= this.maxZoom) {
+			levels[z] = table;
+		}
+	}
+
+	var getId = function (node) {
+		return ids[node.id];
+	};
+	var trees = [];
+	for (var z = this.minZoom; z <= this.maxZoom + 1; z++) {
+		trees[z] = treeToJSON(this.trees_[z], getId);
+	}
+
+	return {
+		gridSize: this.gridSize,
+		minZoom: this.minZoom,
+		maxZoom: this.maxZoom,
+		averageCenter: this.averageCenter,
+		algorithm: this.algorithm.name,
+		algorithmOptions: this.algorithm.options || {},
+		leaves: leaves,
+		levels: levels,
+		trees: trees
+	};
+};
+
+/**
+ * Restores an index from a snapshot, along with the spatial trees of its
+ * levels, without loading them again.
+ * @param {Object} json The snapshot, see `ClusterIndex.prototype.toJSON`.
+ * @param {function(*): Array} getPoint Returns the point a leaf value stands
+ *   for, as `[lat, lng, data]` or `[lat, lng, data, weight]`, as loaded in the
+ *   index the snapshot was taken of.
+ * @return {ClusterIndex} The index.
+ */
+ClusterIndex.fromJSON = function(json, getPoint) {
+	var index = new ClusterIndex({
+		gridSize: json.gridSize,
+		minZoom: json.minZoom,
+		maxZoom: json.maxZoom,
+		averageCenter: json.averageCenter,
+		algorithm: createAlgorithm(json.algorithm, json.algorithmOptions)
+	});
+
+	var nodes = [];
+	for (var i = 0; i < json.leaves.length; i++) {
+		var p = getPoint(json.leaves[i]);
+		var weight = p[3] === undefined ? 1 : p[3];
+		nodes.push(index.createNode_(lngX(p[1]), latY(p[0]), index.maxZoom + 1, 1, weight, p[2], null));
+	}
+
+	for (var z = index.maxZoom; z >= index.minZoom; z--) {
+		var table = json.levels[z];
+		for (var i = 0; i < table.length; i += 4 + table[i + 3]) {
+			var children = [];
+			var weight = 0;
+			for (var j = 0; j < table[i + 3]; j++) {
+				var id = table[i + 4 + j];
+				children.push(nodes[id]);
+				weight += nodes[id].weight;
+			}
+			nodes.push(index.createNode_(table[i], table[i + 1], z, table[i + 2], weight, null, children));
+		}
+	}
+
+	var getNode = function (id) {
+		return nodes[id];
+	};
+	for (var z = index.minZoom; z <= index.maxZoom + 1; z++) {
+		index.trees_[z] = treeFromJSON(index.createTree_([]), json.trees[z], getNode);
+	}
+	return index;
+};
+
+/**
+ * Creates a node of the index.
+ * @param {number} x The x world coordinate.
+ * @param {number} y The y world coordinate.
+ * @param {number} zoom The zoom level the node is created at, the one above
+ *   the maximum zoom level for leaves. The node stays in the levels below it
+ *   until merged in a cluster.
+ * @param {number} count The number of points in the node.
+ * @param {number} weight The total weight of the points in the node.
+ * @param {*} data The point data, for leaves.
+ * @param {Array.<Object>} children The child nodes, for clusters, whose
+ *   parent becomes the node.
+ * @return {Object} The node.
+ * @private
+ */
+ClusterIndex.prototype.createNode_ = function(x, y, zoom, count, weight, data, children) {
+	var node = {
+		id: this.nextId_++,
+		x: x,
+		y: y,
+		zoom: zoom,
+		count: count,
+		weight: weight,
+		data: data,
+		parent: null,
+		children: children
+	};
+
+	for (var i = 0; children && i < children.length; i++) {
+		children[i].parent = node;
+	}
+	return node;
+};
+
+/**
+ * Returns the lowest zoom level of a node, right above the cluster it is
+ * merged in.
+ * @param {Object} node The node.
+ * @return {number} The zoom level.
+ * @private
+ */
+ClusterIndex.prototype.lowestZoom_ = function(node) {
+	return node.parent ? node.parent.zoom + 1 : this.minZoom;
+};
+
+/**
+ * Returns the node of a zoom level nearest to another one, less than the grid
+ * size away from it on each axis.
+ * @param {Object} node The node.
+ * @param {number} zoom The zoom level.
+ * @return {Object} The nearest node, or null if there is none.
+ * @private
+ */
+ClusterIndex.prototype.findNearest_ = function(node, zoom) {
+	// Searched in world coordinates, for a world of size 1
+	var near = searchAround(this.trees_[zoom], node, this.gridSize / worldSize(zoom), 1);
+
+	var nearest = null;
+	var best = Infinity;
+	for (var i = 0, n; n = near[i]; i++) {
+		var dx = unwrapX(n.x, node.x) - node.x;
+		var dy = n.y - node.y;
+		if (dx * dx + dy * dy < best) {
+			best = dx * dx + dy * dy;
+			nearest = n;
+		}
+	}
+	return nearest;
+};
+
+/**
+ * Puts a node in the place of another one, in the levels of both and in the
+ * cluster merging the other one.
+ * @param {Object} old The node to replace.
+ * @param {Object} node The node replacing it.
+ * @private
+ */
+ClusterIndex.prototype.replaceNode_ = function(old, node) {
+	var top = Math.min(old.zoom, node.zoom);
+	for (var z = this.lowestZoom_(old); z <= top; z++) {
+		this.trees_[z].remove(old);
+		this.trees_[z].insert(node);
+	}
+
+	var parent = old.parent;
+	node.parent = parent;
+	if (parent) {
+		parent.children[parent.children.indexOf(old)] = node;
+	}
+};
+
+/**
+ * Updates the count, weight and center of a cluster node and of the clusters
+ * containing it, once their children changed, and gives them new ids.
+ * @param {Object} node The cluster node.
+ * @private
+ */
+ClusterIndex.prototype.updateClusters_ = function(node) {
+	for (; node; node = node.parent) {
+		var summary = this.summarize_(node.children);
+		node.count = summary.count;
+		node.weight = summary.weight;
+
+		if (summary.x != node.x || summary.y != node.y) {
+			// Trees find the nodes to remove at their position
+			for (var z = this.lowestZoom_(node); z <= node.zoom; z++) {
+				this.trees_[z].remove(node);
+			}
+			node.x = summary.x;
+			node.y = summary.y;
+			for (var z = this.lowestZoom_(node); z <= node.zoom; z++) {
+				this.trees_[z].insert(node);
+			}
+		}
+
+		node.id = this.nextId_++;
+	}
+};
+
+/**
+ * Creates a spatial tree of nodes.
+ * @param {Array.<Object>} nodes The nodes.
+ * @return {rbush} The tree.
+ * @private
+ */
+ClusterIndex.prototype.createTree_ = function(nodes) {
+	return rbush(9, ['.x', '.y', '.x', '.y']).load(nodes);
+};
+
+/**
+ * Clusters the nodes of the level above a zoom level.
+ * @param {Array.<Object>} nodes The nodes of the level `zoom + 1`.
+ * @param {number} zoom The zoom level to cluster for.
+ * @return {Array.<Object>} The nodes of the level `zoom`.
+ * @private
+ */
+ClusterIndex.prototype.clusterLevel_ = function(nodes, zoom) {
+	var size = worldSize(zoom);
+	var groups = this.algorithm.cluster(nodes, {
+		zoom: zoom,
+		gridSize: this.gridSize,
+		bounds: [-90, -180, 90, 180],
+		worldSize: size,
+		project: function (node) {
+			return {x: node.x * size, y: node.y * size};
+		}
+	});
+
+	var result = [];
+	for (var i = 0, group; group = groups[i]; i++) {
+		if (group.length == 1) {
+			// Nothing to merge, keep the same node for this level
+			result.push(group[0]);
+			continue;
+		}
+
+		var summary = this.summarize_(group);
+		result.push(this.createNode_(summary.x, summary.y, zoom, summary.count,
+			summary.weight, null, group));
+	}
+
+	return result;
+};
+
+/**
+ * Returns the count, weight and center of a cluster of nodes.
+ * @param {Array.<Object>} nodes The nodes.
+ * @return {{x: number, y: number, count: number, weight: number}} The
+ *   cluster summary.
+ * @private
+ */
+ClusterIndex.prototype.summarize_ = function(nodes) {
+	// Clusters may span the antimeridian
+	var ref = nodes[0].x;
+	var count = 0;
+	var weight = 0;
+	var wx = 0;
+	var wy = 0;
+	for (var i = 0, n; n = nodes[i]; i++) {
+		count += n.count;
+		weight += n.weight;
+		wx += unwrapX(n.x, ref) * n.weight;
+		wy += n.y * n.weight;
+	}
+
+	// Without weight to average, the center is the first point, as in
+	// clusterPoints
+	if (this.averageCenter && weight > 0) {
+		var x = wx / weight;
+		return {x: x - Math.floor(x), y: wy / weight, count: count, weight: weight};
+	}
+	return {x: nodes[0].x, y: nodes[0].y, count: count, weight: weight};
+};
+
+
+/**
+ * Projects items with the projection of an algorithm context.
+ * @param {Array} items The items.
+ * @param {Object} context The algorithm context.
+ * @return {Array.<Object>} The projected points, with the index of their item
+ *   as `i`.
+ * @ignore
+ */
+function projectItems(items, context) {
+	var points = [];
+	for (var i = 0; i < items.length; i++) {
+		var p = context.project(items[i]);
+		points.push({x: p.x, y: p.y, i: i});
+	}
+	return points;
+}
+
+/**
+ * Creates a spatial tree of projected points.
+ * @param {Array.<Object>} points The points.
+ * @return {rbush} The tree.
+ * @ignore
+ */
+function createPointTree(points) {
+	return rbush(9, ['.x', '.y', '.x', '.y']).load(points);
+}
+
+/**
+ * Returns the x coordinates at which to look for the neighbours of a point:
+ * its own, and its copies on the other side of the world when it is less
+ * than a distance away from the antimeridian and the world wraps around.
+ * @param {number} x The x pixel coordinate.
+ * @param {number} distance The distance in pixels.
+ * @param {number} size The size of the world in pixels, or 0 if it does not
+ *   wrap around.
+ * @return {Array.<number>} The x coordinates.
+ * @ignore
+ */
+function wrapAround(x, distance, size) {
+	var xs = [x];
+	if (size) {
+		if (x - distance < 0) xs.push(x + size);
+		if (x + distance > size) xs.push(x - size);
+	}
+	return xs;
+}
+
+/**
+ * Returns the points of a tree less than a distance away from a point on
+ * each axis, including those across the antimeridian when the world wraps
+ * around.
+ * @param {rbush} tree The tree of projected points.
+ * @param {{x: number, y: number}} p The point.
+ * @param {number} distance The distance in pixels.
+ * @param {number} size The size of the world in pixels, or 0 if it does not
+ *   wrap around.
+ * @return {Array.<Object>} The points.
+ * @ignore
+ */
+function searchAround(tree, p, distance, size) {
+	var xs = wrapAround(p.x, distance, size);
+	var found = [];
+	for (var i = 0; i < xs.length; i++) {
+		var near = tree.search([xs[i] - distance, p.y - distance, xs[i] + distance, p.y + distance]);
+		for (var j = 0; j < near.length; j++) {
+			// Searches overlap when the world is narrower than twice the distance
+			if (i == 0 || found.indexOf(near[j]) == -1) {
+				found.push(near[j]);
+			}
+		}
+	}
+	return found;
+}
+
+/**
+ * Returns a JSON copy of the nodes of an rbush tree, to restore it with
+ * `treeFromJSON` without loading its items again.
+ * @param {rbush} tree The tree.
+ * @param {function(*): *} getRef Returns a JSON value standing for an item.
+ * @return {Object} The copy of the root node.
+ */
+function treeToJSON(tree, getRef) {
+	var copy = function (node) {
+		var children = [];
+		for (var i = 0; i < node.children.length; i++) {
+			children.push(node.leaf ? getRef(node.children[i]) : copy(node.children[i]));
+		}
+		return {children: children, height: node.height, bbox: node.bbox.slice(), leaf: node.leaf};
+	};
+	return copy(tree.toJSON());
+}
+
+/**
+ * Restores the nodes of an rbush tree from a copy, see `treeToJSON`.
+ * @param {rbush} tree The tree, with the format of the copied one.
+ * @param {Object} json The copy of the root node.
+ * @param {function(*): *} getItem Returns the item a value stands for.
+ * @return {rbush} The tree.
+ */
+function treeFromJSON(tree, json, getItem) {
+	// The bounds of empty trees are infinite, which JSON cannot hold
+	if (!json.children.length) {
+		return tree.clear();
+	}
+
+	var restore = function (node) {
+		var children = [];
+		for (var i = 0; i < node.children.length; i++) {
+			children.push(node.leaf ? getItem(node.children[i]) : restore(node.children[i]));
+		}
+		return {children: children, height: node.height, bbox: node.bbox.slice(), leaf: node.leaf};
+	};
+	return tree.fromJSON(restore(json));
+}
+
+/**
+ * Builds a snapshot of the spatial index and of the cluster index of a
+ * MarkerClusterer offline, to restore them with `loadSnapshot` without
+ * indexing or clustering the markers again. Points are referred to by their
+ * position in the list, which the markers must keep.
+ * @param {Array.<Array.<number>>} points The points, as `[lat, lng]`, or
+ *   `[lat, lng, weight]` with the `weight` option of the MarkerClusterer.
+ * @param {Object=} options The cluster index options, see `ClusterIndex`, as
+ *   set on the MarkerClusterer.
+ * @return {Object} The snapshot.
+ */
+function buildSnapshot(points, options) {
+	var items = [];
+	for (var i = 0; i < points.length; i++) {
+		items.push([points[i][0], points[i][1], i, points[i][2]]);
+	}
+
+	var index = new ClusterIndex(options || {});
+	index.load(items);
+
+	// Markers are indexed by position, as [lat, lng, marker]
+	var tree = rbush(9, ['[0]', '[1]', '[0]', '[1]']).load(items);
+	return {
+		tree: treeToJSON(tree, function (item) {
+			return [item[0], item[1], item[2]];
+		}),
+		index: index.toJSON()
+	};
+}
+
+/**
+ * Creates a built-in algorithm from its name and options.
+ * @param {string} name The algorithm name.
+ * @param {Object=} options The algorithm options.
+ * @return {Object} The algorithm, a grid one if the name is unknown.
+ */
+function createAlgorithm(name, options) {
+	switch (name) {
+	case 'distance':
+		return new DistanceAlgorithm(options);
+	case 'dbscan':
+		return new DBSCANAlgorithm(options);
+	default:
+		return new GridAlgorithm(options);
+	}
+}
+
+
+/**
+ * The default clustering algorithm. Each item not yet in a cluster starts a
+ * new one, with all the free items less than a grid size away from it on each
+ * axis.
+ *
+ * Algorithms are objects with a `cluster(items, context)` method returning an
+ * array of groups, each an array of items. Items are grouped at most once, and
+ * items not clustered with others are returned in groups of one. The context
+ * has the following properties:
+ * * `zoom`: (number) The zoom level to cluster for.
+ * * `gridSize`: (number) The grid size of a cluster in pixels.
+ * * `bounds`: (Array.<number>) The viewport, as `[south, west, north, east]`.
+ * * `project`: (function(*): {x: number, y: number}) Returns the world
+ *   pixel coordinates of an item at the zoom level.
+ * * `worldSize`: (number) The size of the world in pixels when the items
+ *   span all longitudes, 0 otherwise. The x coordinates then wrap around, and
+ *   items on both sides of the antimeridian are neighbours.
+ * @param {Object=} options Unused.
+ * @constructor
+ */
+function GridAlgorithm(options) {
+	this.options = options || {};
+}
+
+/**
+ * The algorithm name.
+ * @type {string}
+ */
+GridAlgorithm.prototype.name = 'grid';
+
+/**
+ * Groups items.
+ * @param {Array} items The items to group.
+ * @param {Object} context The clustering context.
+ * @return {Array.<Array>} The groups.
+ */
+GridAlgorithm.prototype.cluster = function(items, context) {
+	var size = context.gridSize;
+	var points = projectItems(items, context);
+	var tree = createPointTree(points);
+	var done = [];
+	var groups = [];
+
+	for (var i = 0, p; p = points[i]; i++) {
+		if (done[i]) continue;
+		done[i] = true;
+
+		var group = [items[i]];
+		var near = searchAround(tree, p, size, context.worldSize);
+		for (var j = 0, n; n = near[j]; j++) {
+			if (done[n.i]) continue;
+			done[n.i] = true;
+			group.push(items[n.i]);
+		}
+
+		groups.push(group);
+	}
+
+	return groups;
+};
+
+
+/**
+ * A clustering algorithm grouping each item with the nearest cluster less
+ * than a radius away from it, or starting a new cluster if there is none.
+ * @param {Object=} options support the following options:
+ * * `radius`: (number) The maximum distance from an item to the center of
+ *   its cluster in pixels. Defaults to the grid size.
+ * @constructor
+ */
+function DistanceAlgorithm(options) {
+	this.options = options || {};
+}
+
+/**
+ * The algorithm name.
+ * @type {string}
+ */
+DistanceAlgorithm.prototype.name = 'distance';
+
+/**
+ * Groups items.
+ * @param {Array} items The items to group.
+ * @param {Object} context The clustering context.
+ * @return {Array.<Array>} The groups.
+ */
+DistanceAlgorithm.prototype.cluster = function(items, context) {
+	var radius = this.options.radius || context.gridSize;
+	var points = projectItems(items, context);
+
+	// Cluster centers are hashed in cells of the radius size, so only the
+	// neighbouring cells have to be looked up.
+	var cells = {};
+	var centers = [];
+	var groups = [];
+
+	for (var i = 0, p; p = points[i]; i++) {
+		var cx = Math.floor(p.x / radius);
+		var cy = Math.floor(p.y / radius);
+
+		var nearest = null;
+		var nearestDist = radius * radius;
+		var xs = wrapAround(p.x, radius, context.worldSize);
+		for (var w = 0; w < xs.length; w++) {
+			var x = xs[w];
+			var wx = Math.floor(x / radius);
+			for (var dx = -1; dx <= 1; dx++) {
+				for (var dy = -1; dy <= 1; dy++) {
+					var cell = cells[(wx + dx) + ':' + (cy + dy)];
+					if (!cell) continue;
+
+					for (var k = 0; k < cell.length; k++) {
+						var c = centers[cell[k]];
+						var d = (c.x - x) * (c.x - x) + (c.y - p.y) * (c.y - p.y);
+						if (d <= nearestDist) {
+							nearest = cell[k];
+							nearestDist = d;
+						}
+					}
+				}
+			}
+		}
+
+		if (nearest !== null) {
+			groups[nearest].push(items[i]);
+			continue;
+		}
+
+		var key = cx + ':' + cy;
+		(cells[key] = cells[key] || []).push(centers.length);
+		centers.push(p);
+		groups.push([items[i]]);
+	}
+
+	return groups;
+};
+
+
+/**
+ * A density-based clustering algorithm (DBSCAN). Items with enough neighbours
+ * less than a radius away are clustered with them, transitively. Other items
+ * are left alone.
+ * @param {Object=} options support the following options:
+ * * `radius`: (number) The neighbourhood radius in pixels. Defaults to half
+ *   the grid size.
+ * * `minPoints`: (number) The minimum number of items in the neighbourhood
+ *   of an item, itself included, to start or extend a cluster. Defaults to 3.
+ * @constructor
+ */
+function DBSCANAlgorithm(options) {
+	this.options = options || {};
+}
+
+/**
+ * The algorithm name.
+ * @type {string}
+ */
+DBSCANAlgorithm.prototype.name = 'dbscan';
+
+/**
+ * Groups items.
+ * @param {Array} items The items to group.
+ * @param {Object} context The clustering context.
+ * @return {Array.<Array>} The groups.
+ */
+DBSCANAlgorithm.prototype.cluster = function(items, context) {
+	var radius = this.options.radius || context.gridSize / 2;
+	var minPoints = this.options.minPoints || 3;
+	var points = projectItems(items, context);
+	var tree = createPointTree(points);
+
+	var size = context.worldSize;
+	var neighbors = function (p) {
+		var near = searchAround(tree, p, radius, size);
+		return near.filter(function (n) {
+			var dx = Math.abs(n.x - p.x);
+			if (size && dx > size / 2) {
+				dx = size - dx;
+			}
+			return dx * dx + (n.y - p.y) * (n.y - p.y) <= radius * radius;
+		});
+	};
+
+	var visited = [];
+	var grouped = [];
+	var groups = [];
+
+	for (var i = 0, p; p = points[i]; i++) {
+		if (visited[i]) continue;
+		visited[i] = true;
+
+		var near = neighbors(p);
+		if (near.length < minPoints) continue;
+
+		// Expand the cluster from this core item
+		var group = [];
+		var queue = near;
+		for (var j = 0; j < queue.length; j++) {
+			var n = queue[j];
+			if (!grouped[n.i]) {
+				grouped[n.i] = true;
+				group.push(items[n.i]);
+			}
+
+			if (visited[n.i]) continue;
+			visited[n.i] = true;
+
+			var next = neighbors(n);
+			if (next.length >= minPoints) {
+				for (var k = 0; k < next.length; k++) {
+					queue.push(next[k]);
+				}
+			}
+		}
+
+		groups.push(group);
+	}
+
+	// Noise items are left alone
+	for (var i = 0; i < items.length; i++) {
+		if (!grouped[i]) {
+			groups.push([items[i]]);
+		}
+	}
+
+	return groups;
+};
+
+
+/**
+ * Projects points to world coordinates for computing their hull. Longitudes
+ * are taken on the side of the first point, so that hulls can span the
+ * antimeridian.
+ * @param {Array.<{lat: number, lng: number}>} points The points.
+ * @return {Array.<Object>} The projected points, with the point as `point`.
+ * @ignore
+ */
+function projectHullItems(points) {
+	var ref = points.length ? points[0].lng : 0;
+	var items = [];
+	for (var i = 0, p; p = points[i]; i++) {
+		items.push({x: lngX(ref + wrapLng(p.lng - ref)), y: latY(p.lat), point: p});
+	}
+	return items;
+}
+
+/**
+ * Returns the cross product of the vectors from `o` to `a` and `b`, positive
+ * if `b` is on the left of the line from `o` to `a`.
+ * @ignore
+ */
+function crossProduct(o, a, b) {
+	return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+}
+
+/**
+ * Returns the distance between two projected points.
+ * @ignore
+ */
+function pointDistance(a, b) {
+	return Math.sqrt((a.x - b.x) * (a.x - b.x) + (a.y - b.y) * (a.y - b.y));
+}
+
+/**
+ * Returns the distance from a projected point to a segment.
+ * @ignore
+ */
+function segmentDistance(p, a, b) {
+	var dx = b.x - a.x;
+	var dy = b.y - a.y;
+	var t = dx || dy ? ((p.x - a.x) * dx + (p.y - a.y) * dy) / (dx * dx + dy * dy) : 0;
+	t = t < 0 ? 0 : (t > 1 ? 1 : t);
+	return pointDistance(p, {x: a.x + t * dx, y: a.y + t * dy});
+}
+
+/**
+ * Computes the convex hull of projected points, with Andrew's monotone chain.
+ * @param {Array.<Object>} items The projected points.
+ * @return {Array.<Object>} The points of the hull, counterclockwise.
+ * @ignore
+ */
+function convexHullItems(items) {
+	items = items.slice().sort(function (a, b) {
+		return a.x - b.x || a.y - b.y;
+	});
+	items = items.filter(function (item, i) {
+		return !i || item.x != items[i - 1].x || item.y != items[i - 1].y;
+	});
+	if (items.length < 3) {
+		return items;
+	}
+
+	var lower = [];
+	for (var i = 0; i < items.length; i++) {
+		while (lower.length >= 2 &&
+				crossProduct(lower[lower.length - 2], lower[lower.length - 1], items[i]) <= 0) {
+			lower.pop();
+		}
+		lower.push(items[i]);
+	}
+
+	var upper = [];
+	for (var i = items.length - 1; i >= 0; i--) {
+		while (upper.length >= 2 &&
+				crossProduct(upper[upper.length - 2], upper[upper.length - 1], items[i]) <= 0) {
+			upper.pop();
+		}
+		upper.push(items[i]);
+	}
+
+	// The last point of each chain is the first of the other
+	lower.pop();
+	upper.pop();
+	return lower.concat(upper);
+}
+
+/**
+ * Returns the convex hull of points.
+ * @param {Array.<{lat: number, lng: number}>} points The points.
+ * @return {Array.<{lat: number, lng: number}>} The points on the hull, in
+ *   order around it. Points sharing a position appear once, and fewer than
+ *   three positions are returned as they are.
+ */
+function convexHull(points) {
+	return convexHullItems(projectHullItems(points)).map(function (item) {
+		return item.point;
+	});
+}
+
+/**
+ * Returns a concave hull of points, hugging them more closely than their
+ * convex hull. Starting from the convex hull, each edge is dug towards the
+ * nearest inner point, as long as the edge is longer than `concavity` times
+ * the distance from the point to its closer end (the gift opening algorithm
+ * of Park and Oh).
+ * @param {Array.<{lat: number, lng: number}>} points The points.
+ * @param {number=} concavity How little the hull is dug, from 1, the most
+ *   concave, upwards. Defaults to 2.
+ * @return {Array.<{lat: number, lng: number}>} The points on the hull, in
+ *   order around it.
+ */
+function concaveHull(points, concavity) {
+	var items = projectHullItems(points);
+	var hull = convexHullItems(items);
+	if (hull.length < 3) {
+		return hull.map(function (item) { return item.point; });
+	}
+
+	concavity = concavity || 2;
+
+	for (var i = 0; i < hull.length; i++) {
+		hull[i].onHull = true;
+	}
+	var tree = createPointTree(items.filter(function (item) {
+		return !item.onHull;
+	}));
+
+	// The edge from a newly added point is dug in turn, before moving on
+	var i = 0;
+	while (i < hull.length) {
+		var a = hull[i];
+		var b = hull[(i + 1) % hull.length];
+		var dent = findDent(tree, hull, a, b, pointDistance(a, b) / concavity);
+		if (dent) {
+			hull.splice(i + 1, 0, dent);
+			tree.remove(dent);
+		} else {
+			i++;
+		}
+	}
+
+	return hull.map(function (item) { return item.point; });
+}
+
+/**
+ * Finds the inner point to dig a hull edge towards.
+ * @param {rbush} tree The points not yet on the hull.
+ * @param {Array.<Object>} hull The hull.
+ * @param {Object} a The start of the edge.
+ * @param {Object} b The end of the edge.
+ * @param {number} maxDist The distance a point must be under from the closer
+ *   end of the edge.
+ * @return {Object} The point nearest to the edge, or null.
+ * @ignore
+ */
+function findDent(tree, hull, a, b, maxDist) {
+	var near = tree.search([
+		Math.min(a.x, b.x) - maxDist, Math.min(a.y, b.y) - maxDist,
+		Math.max(a.x, b.x) + maxDist, Math.max(a.y, b.y) + maxDist
+	]);
+
+	var dent = null;
+	var dentDist = Infinity;
+	for (var i = 0, p; p = near[i]; i++) {
+		// Points must be inside the edge or on it, and close enough to one of
+		// its ends
+		var side = crossProduct(a, b, p);
+		var d = segmentDistance(p, a, b);
+		if (side < 0 || (!side && d) ||
+				Math.min(pointDistance(p, a), pointDistance(p, b)) >= maxDist) {
+			continue;
+		}
+		if (d < dentDist && !crossesHull(hull, a, p) && !crossesHull(hull, p, b)) {
+			dent = p;
+			dentDist = d;
+		}
+	}
+	return dent;
+}
+
+/**
+ * Determines if a segment crosses an edge of a hull, other than at their
+ * ends.
+ * @ignore
+ */
+function crossesHull(hull, a, b) {
+	for (var i = 0; i < hull.length; i++) {
+		var c = hull[i];
+		var d = hull[(i + 1) % hull.length];
+		if (c === a || c === b || d === a || d === b) continue;
+
+		if (crossProduct(a, b, c) * crossProduct(a, b, d) < 0 && crossProduct(c, d, a) * crossProduct(c, d, b) < 0) {
+			return true;
+		}
+	}
+	return false;
+}
+
+
+/**
+ * Keeps aggregates of point properties up to date as points are added to and
+ * removed from a group.
+ * @param {Object} specs The aggregations, by name. Each is either an
+ *   operation aggregating the property of the same name, or an object with
+ *   the `property` to aggregate and its operation as `op`. Operations are
+ *   `sum`, `avg`, `min`, `max`, `count` (of points having the property) and
+ *   `countBy` (of points by property value).
+ * @param {function(*, string): *=} getProperty Returns a property of a point.
+ *   Defaults to reading it from the point.
+ * @constructor
+ */
+function Aggregator(specs, getProperty) {
+	this.getProperty_ = getProperty || function (p, key) { return p[key]; };
+	this.specs_ = [];
+	this.states_ = {};
+
+	for (var name in specs) {
+		var spec = specs[name];
+		if (typeof spec === 'string') {
+			spec = {property: name, op: spec};
+		}
+		if (!Aggregator.OPERATIONS[spec.op]) {
+			throw new Error('Unknown aggregation operation: ' + spec.op);
+		}
+
+		this.specs_.push({name: name, property: spec.property || name, op: spec.op});
+		this.states_[name] = {count: 0, sum: 0, values: {}, value: null, result: null};
+
+		// Aggregates of an empty group
+		if (spec.op == 'sum' || spec.op == 'count') {
+			this.states_[name].result = 0;
+		} else if (spec.op == 'countBy') {
+			this.states_[name].result = {};
+		}
+	}
+}
+
+/**
+ * The aggregation operations. Each updates the state of an aggregate when a
+ * value is added (`delta` is 1) or removed (`delta` is -1), and returns its
+ * current value.
+ * @type {Object.<string, function(Object, *, number): *>}
+ */
+Aggregator.OPERATIONS = {
+	sum: function (state, value, delta) {
+		state.sum += delta * value;
+		return state.sum;
+	},
+	avg: function (state, value, delta) {
+		state.sum += delta * value;
+		state.count += delta;
+		return state.count ? state.sum / state.count : null;
+	},
+	min: function (state, value, delta) {
+		return updateExtremum(state, value, delta, function (a, b) { return a < b; });
+	},
+	max: function (state, value, delta) {
+		return updateExtremum(state, value, delta, function (a, b) { return a > b; });
+	},
+	count: function (state, value, delta) {
+		state.count += delta;
+		return state.count;
+	},
+	countBy: function (state, value, delta) {
+		var counts = state.values;
+		counts[value] = (counts[value] || 0) + delta;
+		if (!counts[value]) {
+			delete counts[value];
+		}
+		return counts;
+	}
+};
+
+/**
+ * Updates a min or max aggregate. The number of occurrences of each value is
+ * kept, so that the extremum can be found again when it is removed.
+ * @param {Object} state The aggregate state.
+ * @param {number} value The value added or removed.
+ * @param {number} delta 1 if the value is added, -1 if removed.
+ * @param {function(number, number): boolean} better Whether a value is a
+ *   better extremum than another.
+ * @return {?number} The extremum.
+ * @ignore
+ */
+function updateExtremum(state, value, delta, better) {
+	var counts = state.values;
+	counts[value] = (counts[value] || 0) + delta;
+
+	if (delta > 0) {
+		if (state.value === null || better(value, state.value)) {
+			state.value = value;
+		}
+	} else if (!counts[value]) {
+		delete counts[value];
+		if (value === state.value) {
+			state.value = null;
+			for (var key in counts) {
+				var v = parseFloat(key);
+				if (state.value === null || better(v, state.value)) {
+					state.value = v;
+				}
+			}
+		}
+	}
+
+	return state.value;
+}
+
+/**
+ * Adds a point to the aggregates.
+ * @param {*} point The point.
+ */
+Aggregator.prototype.add = function(point) {
+	this.update_(point, 1);
+};
+
+/**
+ * Removes a point from the aggregates.
+ * @param {*} point The point, previously added.
+ */
+Aggregator.prototype.remove = function(point) {
+	this.update_(point, -1);
+};
+
+/**
+ * Returns the current aggregates.
+ * @return {Object} The aggregates, by name.
+ */
+Aggregator.prototype.getAggregates = function() {
+	var aggregates = {};
+	for (var i = 0, spec; spec = this.specs_[i]; i++) {
+		var result = this.states_[spec.name].result;
+		if (spec.op == 'countBy') {
+			// Do not expose the state
+			var counts = {};
+			for (var key in result) {
+				counts[key] = result[key];
+			}
+			result = counts;
+		}
+		aggregates[spec.name] = result;
+	}
+	return aggregates;
+};
+
+/**
+ * Updates the aggregates with a point.
+ * @param {*} point The point.
+ * @param {number} delta 1 if the point is added, -1 if removed.
+ * @private
+ */
+Aggregator.prototype.update_ = function(point, delta) {
+	for (var i = 0, spec; spec = this.specs_[i]; i++) {
+		var value = this.getProperty_(point, spec.property);
+		if (value === undefined || value === null) continue;
+
+		var state = this.states_[spec.name];
+		state.result = Aggregator.OPERATIONS[spec.op](state, value, delta);
+	}
+};
+
+
+var ClusterCore = {
+	lngX: lngX,
+	latY: latY,
+	xLng: xLng,
+	yLat: yLat,
+	worldSize: worldSize,
+	projectLatLng: projectLatLng,
+	extendBounds: extendBounds,
+	containsLatLng: containsLatLng,
+	splitBounds: splitBounds,
+	wrapLng: wrapLng,
+	convexHull: convexHull,
+	concaveHull: concaveHull,
+	clusterPoints: clusterPoints,
+	ClusterIndex: ClusterIndex,
+	treeToJSON: treeToJSON,
+	treeFromJSON: treeFromJSON,
+	buildSnapshot: buildSnapshot,
+	createAlgorithm: createAlgorithm,
+	GridAlgorithm: GridAlgorithm,
+	DistanceAlgorithm: DistanceAlgorithm,
+	DBSCANAlgorithm: DBSCANAlgorithm,
+	Aggregator: Aggregator
+};
+
+// Export as a CommonJS module, or as a global in browsers and workers
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = ClusterCore;
+} else {
+	self.ClusterCore = ClusterCore;
+}
+
+})();
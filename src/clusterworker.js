@@ -0,0 +1,244 @@
+/**
+ * @name MarkerClusterer worker
+ * @fileoverview
+ * A Web Worker owning the spatial index of a MarkerClusterer. It receives the
+ * marker positions and answers with the clusters of the requested viewport, so
+ * that indexing and clustering large amounts of markers do not block the main
+ * thread.
+ *
+ * Messages received:
+ * * `{type: 'init', imports, options}`: Imports the scripts the worker needs,
+ *   rbush and clustercore.js, and sets the clustering options: those of
+ *   `ClusterIndex`, the algorithm as `{name, options}`, and `hierarchical`.
+ *   Without `hierarchical`, the points in view are clustered with the
+ *   algorithm on each pass, like on the main thread, instead of being looked
+ *   up in a cluster index.
+ * * `{type: 'insert', points}`: Adds points, as `[lat, lng, id, weight]`.
+ * * `{type: 'update', points}`: Moves points, as `[lat, lng, id, weight]`.
+ * * `{type: 'remove', ids}`: Removes points.
+ * * `{type: 'clear'}`: Removes all points.
+ * * `{type: 'load', points, index}`: Replaces all points, as
+ *   `[lat, lng, id, weight]`, and restores the cluster index of these points
+ *   from a snapshot, if any.
+ * * `{type: 'cluster', pass, bbox, zoom}`: Clusters the points in the bounds.
+ *
+ * Messages sent:
+ * * `{type: 'clusters', pass, zoom, version, clusters}`: The clusters of a
+ *   pass, each with its `id` and the `ids` of its points. `version` changes
+ *   each time the index is rebuilt, along with the cluster ids. Clusters
+ *   changed by inserting, moving or removing points get new ids. Without
+ *   `hierarchical`, the id of a cluster is made of the ids of its points.
+ * * `{type: 'error', message}`: A message could not be read, and the worker
+ *   should not be used anymore.
+ */
+
+var options = {};
+var points = {};
+var size = 0;
+var tree = null;
+var index = null;
+var leaves = {};
+var version = 0;
+
+self.onmessage = function(e) {
+	var msg = e.data;
+
+	switch (msg.type) {
+	case 'init':
+		importScripts.apply(self, msg.imports);
+		options = msg.options;
+		options.algorithm = ClusterCore.createAlgorithm(options.algorithm.name, options.algorithm.options);
+		if (!options.hierarchical) {
+			tree = rbush(9, ['[0]', '[1]', '[0]', '[1]']);
+		}
+		break;
+	case 'insert':
+	case 'update':
+		setPoints(msg.points);
+		break;
+	case 'remove':
+		removePoints(msg.ids);
+		break;
+	case 'clear':
+		clearPoints();
+		break;
+	case 'load':
+		clearPoints();
+		setPoints(msg.points);
+		if (msg.index && options.hierarchical) {
+			// Leaves of the snapshot refer to positions in the points
+			setIndex(ClusterCore.ClusterIndex.fromJSON(msg.index, function (ref) {
+				return msg.points[ref];
+			}));
+		}
+		break;
+	case 'cluster':
+		var clusters = getClusters(msg.bbox, msg.zoom);
+		self.postMessage({
+			type: 'clusters',
+			pass: msg.pass,
+			zoom: msg.zoom,
+			version: version,
+			clusters: clusters
+		});
+		break;
+	}
+};
+
+// The state of the worker is lost along with a message it cannot read
+self.onmessageerror = function() {
+	self.postMessage({type: 'error', message: 'A message could not be deserialized'});
+};
+
+/**
+ * Adds or moves points. Once built, the index is updated as well, unless
+ * there are more points than in the index, for which building it again is
+ * faster.
+ * @param {Array.<Array>} list The points, as `[lat, lng, id, weight]`.
+ */
+function setPoints(list) {
+	if (index && list.length > size) {
+		index = null;
+	}
+
+	var added = [];
+	for (var i = 0, p; p = list[i]; i++) {
+		var previous = points[p[2]];
+		if (!previous) {
+			size++;
+		} else {
+			if (tree) {
+				tree.remove(previous);
+			}
+			if (index) {
+				index.remove(leaves[p[2]]);
+			}
+		}
+
+		points[p[2]] = p;
+		added.push(p);
+		if (index) {
+			leaves[p[2]] = index.insert(p);
+		}
+	}
+
+	if (tree) {
+		tree.load(added);
+	}
+}
+
+/**
+ * Removes points, from the index as well once built, unless most of the
+ * points are removed, for which building it again is faster.
+ * @param {Array} ids The ids of the points.
+ */
+function removePoints(ids) {
+	if (index && ids.length > size / 2) {
+		index = null;
+	}
+
+	for (var i = 0; i < ids.length; i++) {
+		var id = ids[i];
+		if (!points[id]) continue;
+
+		if (tree) {
+			tree.remove(points[id]);
+		}
+		if (index) {
+			index.remove(leaves[id]);
+			delete leaves[id];
+		}
+		delete points[id];
+		size--;
+	}
+}
+
+/**
+ * Removes all points.
+ */
+function clearPoints() {
+	points = {};
+	size = 0;
+	index = null;
+	if (tree) {
+		tree.clear();
+	}
+}
+
+/**
+ * Sets the index of all points, whose clusters get new ids.
+ * @param {ClusterIndex} newIndex The index.
+ */
+function setIndex(newIndex) {
+	index = newIndex;
+	version++;
+
+	// Leaves are found by id to update the index
+	leaves = {};
+	var nodes = index.getClusters([-90, -180, 90, 180], index.maxZoom + 1);
+	for (var i = 0, node; node = nodes[i]; i++) {
+		leaves[node.data] = node;
+	}
+}
+
+/**
+ * Returns the clusters in the given bounds, building the index first if
+ * needed.
+ * @param {Array.<number>} bbox The bounds, as `[south, west, north, east]`.
+ * @param {number} zoom The zoom level.
+ * @return {Array.<Object>} The clusters.
+ */
+function getClusters(bbox, zoom) {
+	if (!options.hierarchical) {
+		return groupPoints(bbox, zoom);
+	}
+
+	if (!index) {
+		var list = [];
+		for (var id in points) {
+			list.push(points[id]);
+		}
+
+		var newIndex = new ClusterCore.ClusterIndex(options);
+		newIndex.load(list);
+		setIndex(newIndex);
+	}
+
+	var nodes = index.getClusters(bbox, zoom);
+	var clusters = [];
+	for (var i = 0, node; node = nodes[i]; i++) {
+		clusters.push({id: node.id, ids: index.getLeaves(node)});
+	}
+	return clusters;
+}
+
+/**
+ * Returns the clusters in the given bounds, grouping the points in them with
+ * the clustering algorithm.
+ * @param {Array.<number>} bbox The bounds, as `[south, west, north, east]`.
+ * @param {number} zoom The zoom level.
+ * @return {Array.<Object>} The clusters.
+ */
+function groupPoints(bbox, zoom) {
+	var list = [];
+	var parts = ClusterCore.splitBounds(bbox);
+	for (var i = 0; i < parts.length; i++) {
+		list = list.concat(tree.search(parts[i]));
+	}
+
+	var groups = ClusterCore.clusterPoints(list, {
+		zoom: zoom,
+		gridSize: options.gridSize,
+		bounds: bbox,
+		algorithm: options.algorithm,
+		getLatLng: function (p) { return {lat: p[0], lng: p[1]}; }
+	});
+
+	var clusters = [];
+	for (var i = 0, group; group = groups[i]; i++) {
+		var ids = group.points.map(function (p) { return p[2]; });
+		// Groups of the same points keep their cluster on the main thread
+		clusters.push({id: ids.slice().sort().join(','), ids: ids});
+	}
+	return clusters;
+}
@@ -4,7 +4,9 @@
  * @author emersion
  * @fileoverview
  * The library creates and manages per-zoom-level clusters for large amounts of
- * markers.
+ * markers. It is a Google Maps adapter on top of the clustering core of
+ * clustercore.js, the `ClusterCore` global, which must be loaded first, after
+ * rbush.
  */
 
 /**
@@ -17,7 +19,10 @@
 var extend = function(obj1, obj2) {
 	return (function(object) {
 		for (var property in object.prototype) {
-			this.prototype[property] = object.prototype[property];
+			// Methods of the extended object override those it extends
+			if (!this.prototype.hasOwnProperty(property)) {
+				this.prototype[property] = object.prototype[property];
+			}
 		}
 		return this;
 	}).apply(obj1, [obj2]);
@@ -39,6 +44,129 @@ var extend = function(obj1, obj2) {
  * * `minimumClusterSize`: (number) The minimum number of markers to be in a
  *   cluster before the markers are hidden and a count
  *   is shown.
+ * * `weight`: (string|function(google.maps.Marker): number) The weight of a
+ *   marker, or the name of the property holding it, read like
+ *   `aggregations`. Average centers are weighted by it, and the default
+ *   `calculator` shows the total weight of clusters instead of their number
+ *   of markers. Defaults to 1 for every marker.
+ * * `minimumClusterWeight`: (number) The minimum total weight of the markers
+ *   of a cluster before they are hidden and a count is shown, on top of
+ *   `minimumClusterSize`: a single heavy marker is still shown on its own.
+ * * `hierarchical`: (boolean) Whether to compute the clusters of every zoom
+ *   level once, instead of recomputing them on each redraw. Markers added,
+ *   moved or removed are merged in or taken out of the clusters of each level,
+ *   and only the clusters they change are redrawn. All levels are built again
+ *   when more markers are added than already indexed, or more than half of
+ *   them removed.
+ * * `minZoom`: (number) The minimum zoom level for which clusters are computed
+ *   in hierarchical mode.
+ * * `worker`: (Worker|string) A Web Worker running `clusterworker.js`, or its
+ *   URL. The markers are then indexed and clustered in the worker, off the
+ *   main thread, and clusters are rendered when its results come back. The
+ *   worker clusters the markers in view with the `algorithm` on each pass,
+ *   or looks them up in a cluster index in `hierarchical` mode. If the
+ *   worker fails, the markers are clustered on the main thread instead, after
+ *   a `workererror` event.
+ * * `workerImports`: (Array.<string>) The URLs of the scripts the worker
+ *   imports, rbush and clustercore.js, relative to the worker script.
+ * * `algorithm`: (Object) The clustering algorithm, see `GridAlgorithm` for
+ *   its contract. Defaults to a `MarkerClusterer.GridAlgorithm`. In worker mode,
+ *   only the built-in algorithms are supported, and the constructor throws
+ *   an error for others.
+ * * `aggregations`: (Object) Aggregates of marker properties to compute for
+ *   each cluster, by name, for example `{revenue: 'sum', status: 'countBy'}`.
+ *   See `ClusterCore.Aggregator` for the operations. Properties are read with
+ *   `marker.get`. The aggregates are passed to `iconGenerator` and to
+ *   `clusterclick` handlers after the cluster.
+ * * `animate`: (boolean|number) Whether clusters split and merge with an
+ *   animation when zooming, or its duration in milliseconds.
+ * * `spiderfy`: (boolean) Whether clicking a cluster of markers sharing the
+ *   same position fans them out around it, instead of zooming. Such clusters
+ *   keep their icon above `maxZoom`. Clicking the map collapses them again.
+ *   The clusterer triggers `spiderfied` and `unspiderfied` events with the
+ *   cluster and its markers.
+ * * `spiderfyLegOptions`: (google.maps.PolylineOptions) The style of the lines
+ *   between spiderfied markers and the cluster center.
+ * * `ariaLabel`: (string|function(Cluster): string) The accessible label of
+ *   cluster icons. In a string, every `{count}` is replaced by the number of
+ *   markers. Defaults to `'Cluster of {count} markers'`. Cluster icons can be
+ *   focused, activated with Enter or Space, and arrow keys move the focus to
+ *   the nearest cluster in their direction.
+ * * `renderer`: (string) How cluster icons are rendered: `'dom'`, the default,
+ *   with an element per icon showing the `iconGenerator` content, or
+ *   `'canvas'`, with all icons painted on a single canvas. Canvas icons cannot
+ *   be focused.
+ * * `iconPainter`: (function(CanvasRenderingContext2D, Cluster, Object,
+ *   Object, string)) Paints a cluster icon on the canvas, in the
+ *   `{x, y, width, height}` rectangle given as third argument, with the style
+ *   and text picked by the `calculator`. Only used by the canvas renderer.
+ *   The default painter draws a disc of the style `color`.
+ * * `styles`: (Array.<Object>) The styles of cluster icons, from the smallest
+ *   clusters to the largest. Each style supports `minCount`, the number of
+ *   markers from which it is used (10 to the power of its position by
+ *   default), `url` of a background image, `className`, background `color`,
+ *   `width`, `height`, `anchor`, `textColor`, `textSize`, `fontFamily` and
+ *   `fontWeight`. Defaults to `MarkerClusterer.DEFAULT_STYLES`, unless an
+ *   `iconGenerator` is set.
+ * * `calculator`: (function(Array.<google.maps.Marker>, Array.<Object>,
+ *   Object, number): {text: string, index: number}) Returns the text of a
+ *   cluster icon and the position of its style, from the markers of the
+ *   cluster, the styles, the aggregates and the total weight. Defaults to
+ *   `MarkerClusterer.CALCULATOR`.
+ * * `iconGenerator`: (function(Array.<google.maps.Marker>, Object):
+ *   (string|Node)) Returns the content of a cluster icon, instead of the
+ *   `calculator` text.
+ * * `showUnclusterable`: (boolean) Whether markers for which `isClusterable`
+ *   returns false are shown on their own, instead of not at all. Markers
+ *   hidden by `setFilter` are not shown either way.
+ * * `markerFactory`: (function(Object): google.maps.Marker) Creates the marker
+ *   shown for a data point, see `addMarkers`. Defaults to a plain marker at the
+ *   point position.
+ * * `snapshot`: (Object) A snapshot of the cluster index of the markers, to
+ *   add them without clustering them again, see `loadSnapshot`.
+ * * `hull`: (string) The shape of the area covered by a cluster, returned by
+ *   `Cluster.getHull`: `'convex'`, the default, for the convex hull of its
+ *   markers, or `'concave'` for a concave hull following them more closely.
+ * * `hullConcavity`: (number) How little concave hulls are dug between
+ *   markers, from 1, the most concave, upwards. Defaults to 2.
+ * * `showHullOnHover`: (boolean) Whether the hull of a cluster is drawn while
+ *   the pointer is over its icon. Hulls can also be drawn on demand with
+ *   `Cluster.showHull`.
+ * * `hullOptions`: (google.maps.PolygonOptions) The style of drawn hulls.
+ * * `mapEvents`: (boolean) Whether the clusterer redraws itself on map
+ *   events. Defaults to true. A `ClusterLayerManager` turns it off to redraw
+ *   all its layers in a single pass.
+ * * `padding`: (number) The number of pixels around the viewport in which
+ *   markers are clustered too, so that clusters are ready before they come
+ *   into view. Defaults to the grid size.
+ * * `redrawWhileMoving`: (string) Whether clusters are also updated while the
+ *   map is dragged, instead of only once it is idle: `'throttle'` to update
+ *   them at most once per `redrawDelay`, or `'debounce'` to update them once
+ *   the map has not moved for `redrawDelay`. Zoom level changes still wait
+ *   for the map to be idle.
+ * * `redrawDelay`: (number) The delay of `redrawWhileMoving`, in
+ *   milliseconds. Defaults to 100.
+ * * `infoWindow`: (boolean|string) Whether clicking a cluster opens an info
+ *   window listing its markers: `true` when zooming cannot separate them,
+ *   because they overlap or the map is at its maximum zoom level, or
+ *   `'always'` instead of zooming. Rows trigger `clusteritemselect` on the
+ *   clusterer with the marker and the cluster when clicked.
+ * * `renderItem`: (function(google.maps.Marker): (string|Node)) Returns the
+ *   content of the row of a marker in the info window, HTML if a string.
+ *   Defaults to the marker title.
+ * * `infoWindowPageSize`: (number) The number of markers per page of the info
+ *   window. Defaults to 10.
+ * * `infoWindowOptions`: (google.maps.InfoWindowOptions) The options of the
+ *   info window.
+ *
+ * Pointer events on cluster icons trigger `clusterclick`, `clusterdblclick`,
+ * `clusterrightclick`, `clustermouseover` and `clustermouseout` on the
+ * clusterer, with the cluster and its aggregates. Double clicks on cluster
+ * icons trigger `clusterclick` for their first click only, then
+ * `clusterdblclick`, and do not zoom the map in. Creating the clusters of the
+ * viewport triggers `clusteringbegin` with the clusterer, then `clusteringend`
+ * with the clusterer and `{clusters, markers, zoom, time}` statistics, `time`
+ * being the elapsed milliseconds.
  * @constructor
  * @extends google.maps.OverlayView
  */
@@ -46,51 +174,135 @@ function MarkerClusterer(map, markers, options) {
 	// MarkerClusterer implements google.maps.OverlayView interface.
 	extend(MarkerClusterer, google.maps.OverlayView);
 
-	this.map_ = map;
+	this.map_ = null;
+	this.mapEvents_ = true;
+	this.mapListeners_ = [];
 
 	this.markers_ = [];
 	this.clusters_ = [];
 	this.ready_ = false;
 
+	// Indices in markers_ and tree nodes of the markers, and their clusters,
+	// by marker id
+	this.markerIndex_ = {};
+	this.markerNodes_ = {};
+	this.markerClusters_ = {};
+
+	// Spatial index of the cluster centers, built when first queried and then
+	// updated as clusters change
+	this.clusterTree_ = null;
+
+	// Markers created for the data points currently shown, and dragend
+	// listeners of draggable markers, by marker id
+	this.pointMarkers_ = {};
+	this.dragListeners_ = {};
+
+	// Own positions of the markers shown elsewhere while animated or
+	// spiderfied, with the positions they are shown at, by marker id
+	this.displaced_ = {};
+
 	this.tree_ = rbush(options.maxMarkers, ['[0]', '[1]', '[0]', '[1]']);
 
 	options = options || {};
 
 	this.gridSize = options.gridSize || 60;
+	this.padding = options.padding !== undefined ? options.padding : this.gridSize;
+	this.redrawWhileMoving = options.redrawWhileMoving || false;
+	this.redrawDelay = options.redrawDelay !== undefined ? options.redrawDelay : 100;
 	this.minClusterSize = options.minimumClusterSize || 2;
+	this.weight = options.weight || null;
+	this.minClusterWeight = options.minimumClusterWeight || null;
 	this.maxZoom = options.maxZoom || null;
-	this.zoomOnClick = options.zoomOnClick || true;
+	this.zoomOnClick = options.zoomOnClick !== undefined ? options.zoomOnClick : true;
 	this.averageCenter = options.averageCenter || false;
 	this.isClusterable = options.isClusterable || function (marker) { return true; };
-	this.iconGenerator = options.iconGenerator || function (markers) { return markers.length; };
+	this.showUnclusterable = options.showUnclusterable || false;
+	this.markerFactory = options.markerFactory || createPointMarker;
+	this.filter_ = null;
+	this.mapEvents_ = options.mapEvents !== false;
+	this.iconGenerator = options.iconGenerator || null;
+	this.styles = options.styles || (options.iconGenerator ? [] : MarkerClusterer.DEFAULT_STYLES);
+	this.calculator = options.calculator || MarkerClusterer.CALCULATOR;
+	this.aggregations = options.aggregations || null;
+	this.ariaLabel = options.ariaLabel || 'Cluster of {count} markers';
+	this.renderer = options.renderer || 'dom';
+	this.iconPainter = options.iconPainter || paintClusterIcon;
+	this.canvasLayer_ = null;
 	this.clusterWidth = options.width;
 	this.clusterHeight = options.height;
 	this.anchor = options.anchor;
+	this.hierarchical = options.hierarchical || false;
+	this.minZoom = options.minZoom || 0;
+	this.algorithm = options.algorithm || new ClusterCore.GridAlgorithm();
+	this.animate = options.animate === true ? 300 : (options.animate || 0);
+	this.spiderfy = options.spiderfy || false;
+	this.spiderfier_ = new Spiderfier(this, options.spiderfyLegOptions);
+	this.infoWindow = options.infoWindow || false;
+	this.clusterInfo_ = new ClusterInfoWindow(this, {
+		renderItem: options.renderItem,
+		pageSize: options.infoWindowPageSize,
+		infoWindowOptions: options.infoWindowOptions
+	});
+	this.hull = options.hull || 'convex';
+	this.hullConcavity = options.hullConcavity || 2;
+	this.hullOptions = options.hullOptions || {
+		strokeColor: '#2196f3',
+		strokeOpacity: 0.8,
+		strokeWeight: 1.5,
+		fillColor: '#2196f3',
+		fillOpacity: 0.15
+	};
+
+	// Zoom level of the current clusters, and running zoom animation
+	this.clustersZoom_ = null;
+	this.transition_ = null;
+
+	this.index_ = null;
+	this.clustersIndex_ = null;
+	this.nodeClusters_ = {};
+
+	// Leaf nodes of the cluster index, by marker id
+	this.indexLeaves_ = {};
+
+	// Start time of the clustering pass in progress
+	this.clusteringStart_ = 0;
+
+	this.worker_ = null;
+	this.workerListener_ = null;
+	this.workerErrorListener_ = null;
+	this.ownsWorker_ = false;
+	this.workerPass_ = 0;
+	this.workerVersion_ = null;
+	this.renderedPass_ = 0;
+	this.resetOnResult_ = false;
+	this.passResolvers_ = [];
+
+	if (options.worker) {
+		this.initWorker_(options.worker, options.workerImports || []);
+	}
 
-	this.setMap(map);
+	this.prevZoom_ = null;
+	this.zoomChanged_ = false;
 
-	var that = this;
+	// Pending redraw while the map moves, and time of the last one
+	this.moveTimer_ = null;
+	this.lastMoveRedraw_ = 0;
 
-	var prevZoom = this.map_.getZoom();
-	var zoomChanged = false;
-	google.maps.event.addListener(this.map_, 'zoom_changed', function () {
-		var zoom = that.map_.getZoom();
-		if (zoom != zoomChanged) {
-			zoomChanged = true;
-		}
-	});
+	this.setMap(map);
 
-	// Add the map event listeners
-	google.maps.event.addListener(this.map_, 'idle', function () {
-		if (zoomChanged) {
-			that.repaint();
-		} else {
-			that.redraw();
-		}
-	});
+	if (options.showHullOnHover) {
+		google.maps.event.addListener(this, 'clustermouseover', function (cluster) {
+			cluster.showHull();
+		});
+		google.maps.event.addListener(this, 'clustermouseout', function (cluster) {
+			cluster.hideHull();
+		});
+	}
 
 	// Finally, add the markers
-	if (markers && markers.length) {
+	if (options.snapshot) {
+		this.loadSnapshot(options.snapshot, markers || [], false);
+	} else if (markers && markers.length) {
 		this.addMarkers(markers, false);
 	}
 }
@@ -121,6 +333,75 @@ MarkerClusterer.BOTTOM_LEFT = xalign.LEFT | yalign.BOTTOM;
 MarkerClusterer.BOTTOM = xalign.CENTER | yalign.BOTTOM;
 MarkerClusterer.BOTTOM_RIGHT = xalign.RIGHT | yalign.BOTTOM;
 
+// Built-in styles
+
+/**
+ * The default styles of cluster icons: discs growing and changing color with
+ * the number of markers.
+ * @type {Array.<Object>}
+ */
+MarkerClusterer.DEFAULT_STYLES = [{
+	color: 'rgba(33, 150, 243, 0.85)',
+	width: 36,
+	height: 36,
+	textColor: '#fff',
+	textSize: 12,
+	fontFamily: 'Arial, sans-serif',
+	fontWeight: 'bold'
+}, {
+	minCount: 10,
+	color: 'rgba(255, 152, 0, 0.85)',
+	width: 44,
+	height: 44,
+	textColor: '#fff',
+	textSize: 12,
+	fontFamily: 'Arial, sans-serif',
+	fontWeight: 'bold'
+}, {
+	minCount: 100,
+	color: 'rgba(244, 67, 54, 0.85)',
+	width: 52,
+	height: 52,
+	textColor: '#fff',
+	textSize: 13,
+	fontFamily: 'Arial, sans-serif',
+	fontWeight: 'bold'
+}];
+
+/**
+ * The default calculator, picking the last style whose `minCount` the total
+ * weight of the markers reaches, and showing that weight, rounded. Without
+ * the `weight` option, it is the number of markers.
+ * @param {Array.<google.maps.Marker>} markers The markers of the cluster.
+ * @param {Array.<Object>} styles The styles.
+ * @param {Object} aggregates The aggregates of the cluster.
+ * @param {number=} weight The total weight of the markers.
+ * @return {{text: string, index: number}} The text and style position.
+ */
+MarkerClusterer.CALCULATOR = function(markers, styles, aggregates, weight) {
+	var count = weight === undefined ? markers.length : Math.round(weight);
+	var index = 0;
+	for (var i = 0; i < styles.length; i++) {
+		var min = styles[i].minCount !== undefined ? styles[i].minCount : Math.pow(10, i);
+		if (count >= min) {
+			index = i;
+		}
+	}
+	return {text: String(count), index: index};
+};
+
+/**
+ * The maximum zoom level of maps without a `maxZoom` option.
+ * @type {number}
+ */
+MarkerClusterer.MAX_MAP_ZOOM = 22;
+
+// Built-in clustering algorithms
+
+MarkerClusterer.GridAlgorithm = ClusterCore.GridAlgorithm;
+MarkerClusterer.DistanceAlgorithm = ClusterCore.DistanceAlgorithm;
+MarkerClusterer.DBSCANAlgorithm = ClusterCore.DBSCANAlgorithm;
+
 /**
  * Implementaion of the interface method.
  * @ignore
@@ -135,6 +416,12 @@ MarkerClusterer.prototype.onAdd = function() {
  */
 MarkerClusterer.prototype.draw = function() {};
 
+/**
+ * Implementaion of the interface method.
+ * @ignore
+ */
+MarkerClusterer.prototype.onRemove = function() {};
+
 /**
  * Fit the map to the bounds of the markers in the clusterer.
  */
@@ -142,7 +429,7 @@ MarkerClusterer.prototype.fitMapToMarkers = function() {
 	var markers = this.getMarkers();
 	var bounds = new google.maps.LatLngBounds();
 	for (var i = 0, marker; marker = markers[i]; i++) {
-		bounds.extend(marker.getPosition());
+		bounds.extend(this.getMarkerPosition_(marker));
 	}
 
 	this.map_.fitBounds(bounds);
@@ -166,36 +453,136 @@ MarkerClusterer.prototype.getTotalMarkers = function() {
 	return this.markers_.length;
 };
 
-function getMarkerNode(marker) {
+/**
+ * Returns the position of a marker as a plain point.
+ * @param {google.maps.Marker|Object} marker The marker or data point.
+ * @return {{lat: number, lng: number}} The position.
+ * @ignore
+ */
+function getMarkerLatLng(marker) {
+	if (!isMarker(marker)) {
+		return {lat: marker.lat, lng: marker.lng};
+	}
 	var pos = marker.getPosition();
-	return [pos.lat(), pos.lng(), marker];
+	return {lat: pos.lat(), lng: pos.lng()};
 }
 
 /**
- * Adds a marker to the clusterer and redraws if needed.
- * @param {google.maps.Marker} marker The marker to add.
+ * Returns the position of a marker.
+ * @param {google.maps.Marker|Object} marker The marker or data point.
+ * @return {google.maps.LatLng} The position.
+ * @ignore
+ */
+function getMarkerPosition(marker) {
+	if (!isMarker(marker)) {
+		return new google.maps.LatLng(marker.lat, marker.lng);
+	}
+	return marker.getPosition();
+}
+
+/**
+ * Returns whether a marker is a real marker, rather than a data point.
+ * @param {google.maps.Marker|Object} marker The marker or data point.
+ * @return {boolean} True for a marker.
+ * @ignore
+ */
+function isMarker(marker) {
+	return typeof marker.getPosition === 'function';
+}
+
+/**
+ * Creates a marker at the position of a data point.
+ * @param {Object} point The data point.
+ * @return {google.maps.Marker} The marker.
+ * @ignore
+ */
+function createPointMarker(point) {
+	return new google.maps.Marker({position: {lat: point.lat, lng: point.lng}});
+}
+
+/**
+ * Returns a property of a marker.
+ * @param {google.maps.Marker} marker The marker.
+ * @param {string} key The property name.
+ * @return {*} The property value.
+ * @ignore
+ */
+function getMarkerProperty(marker, key) {
+	if (marker.get) {
+		return marker.get(key);
+	}
+	return (marker.props || marker)[key];
+}
+
+var nextMarkerId = 0;
+
+/**
+ * Returns a unique id for a marker: the id of a data point, or an id given to
+ * a marker by the clusterer.
+ * @param {google.maps.Marker|Object} marker The marker or data point.
+ * @return {number|string} The marker id.
+ * @ignore
+ */
+function getMarkerId(marker) {
+	if (!isMarker(marker)) {
+		return marker.id;
+	}
+
+	// Prefixed not to collide with the ids of data points
+	if (marker.clustererId_ === undefined) {
+		marker.clustererId_ = 'marker:' + nextMarkerId++;
+	}
+	return marker.clustererId_;
+}
+
+/**
+ * Adds a marker to the clusterer. It joins the nearest cluster covering it,
+ * if any, instead of waiting for the next redraw. In hierarchical and worker
+ * modes, the clusters are redrawn instead.
+ * @param {google.maps.Marker|Object} marker The marker or data point to add,
+ *   see `addMarkers`.
  * @param {boolean=} nodraw Whether to redraw the clusters.
  */
 MarkerClusterer.prototype.addMarker = function(marker, nodraw) {
-	this.pushMarkerTo_(marker);
-	this.tree_.insert(getMarkerNode(marker));
+	if (!this.pushMarkerTo_(marker)) {
+		return;
+	}
+	this.indexMarkers_([marker]);
 
-	if (!nodraw) {
+	if (nodraw) {
+		return;
+	}
+
+	if (this.worker_ || this.hierarchical) {
 		this.redraw();
+	} else {
+		this.placeMarkers_([marker]);
 	}
 };
 
 /**
  * Add an array of markers to the clusterer.
- * @param {Array.<google.maps.Marker>} markers The markers to add.
+ *
+ * Plain data points such as `{id, lat, lng, props}` can be added instead of
+ * markers, saving the cost of creating a marker for each one. A marker is
+ * created with the `markerFactory` option only when a data point is shown
+ * in the viewport outside a cluster, and released when it is hidden again or
+ * leaves the viewport. Aggregations read data point properties from `props`.
+ * Data points are identified by their `id`, unique among the markers of the
+ * clusterer, and left as they are. Use `moveMarker` to move a data point.
+ * @param {Array.<google.maps.Marker|Object>} markers The markers or data
+ *   points to add.
  * @param {boolean=} nodraw Whether to redraw the clusters.
  */
 MarkerClusterer.prototype.addMarkers = function(markers, nodraw) {
+	var added = [];
 	for (var i = 0, marker; marker = markers[i]; i++) {
-		this.pushMarkerTo_(marker);
+		if (this.pushMarkerTo_(marker)) {
+			added.push(marker);
+		}
 	}
 
-	this.tree_.load(markers.map(getMarkerNode));
+	this.indexMarkers_(added);
 
 	if (!nodraw) {
 		this.redraw();
@@ -204,531 +591,4629 @@ MarkerClusterer.prototype.addMarkers = function(markers, nodraw) {
 
 
 /**
- * Pushes a marker to the clusterer.
- * @param {google.maps.Marker} marker The marker to add.
- * @private
+ * Adds the Point features of a GeoJSON FeatureCollection as data points, see
+ * `addMarkers`. The feature properties are the data point `props`. Features
+ * of other geometry types are skipped.
+ * @param {Object} geoJson The FeatureCollection, or a single Feature.
+ * @param {Object=} options support the following options:
+ * * `idProperty`: (string) The property holding the data point id, for
+ *   features without an id. Features without either get a generated id.
+ * * `nodraw`: (boolean) Whether to redraw the clusters.
+ * @return {Array.<Object>} The data points added.
  */
-MarkerClusterer.prototype.pushMarkerTo_ = function(marker) {
-	marker.isAdded = false;
-	if (marker['draggable']) {
-		// If the marker is draggable add a listener so we update the clusters on
-		// the drag end.
-		var that = this;
-		google.maps.event.addListener(marker, 'dragend', function() {
-			marker.isAdded = false;
-			that.repaint();
+MarkerClusterer.prototype.addGeoJson = function(geoJson, options) {
+	options = options || {};
+
+	var features = geoJson.type == 'FeatureCollection' ? geoJson.features : [geoJson];
+	var points = [];
+	for (var i = 0, feature; feature = features[i]; i++) {
+		var geometry = feature.geometry;
+		if (!geometry || geometry.type != 'Point') continue;
+
+		var props = feature.properties || {};
+		var id = feature.id;
+		if (id === undefined && options.idProperty) {
+			id = props[options.idProperty];
+		}
+		if (id === undefined) {
+			// Data points are identified by their id
+			id = 'feature:' + nextMarkerId++;
+		}
+
+		// GeoJSON positions are longitude first
+		points.push({
+			id: id,
+			lat: geometry.coordinates[1],
+			lng: geometry.coordinates[0],
+			props: props
 		});
 	}
 
-	this.markers_.push(marker);
+	this.addMarkers(points, options.nodraw);
+	return points;
 };
 
 
 /**
- * Removes a marker and returns true if removed, false if not
- * @param {google.maps.Marker} marker The marker to remove
- * @return {boolean} Whether the marker was removed or not
+ * Adds the nodes of markers to the spatial index.
+ * @param {Array.<google.maps.Marker>} markers The markers.
  * @private
  */
-MarkerClusterer.prototype.removeMarker_ = function(marker) {
-	var index = this.markers_.indexOf(marker);
-
-	if (index === -1) {
-		// Marker is not in our list of markers.
-		return false;
-	}
-
-	marker.setMap(null);
-
-	this.markers_.splice(index, 1);
-
-	// Remove node from tree
-	// TODO: optimize this!
-	var nodes = this.tree_.all();
-	for (var i = 0; i < nodes.length; i++) {
-		var node = nodes[i];
-		if (node[2] === marker) {
-			this.tree_.remove(node);
-		}
+MarkerClusterer.prototype.loadMarkerNodes_ = function(markers) {
+	var nodes = [];
+	for (var i = 0, marker; marker = markers[i]; i++) {
+		var pos = this.getMarkerLatLng_(marker);
+		var node = [pos.lat, pos.lng, marker];
+		this.markerNodes_[getMarkerId(marker)] = node;
+		nodes.push(node);
 	}
 
-	return true;
+	this.tree_.load(nodes);
 };
 
 
 /**
- * Remove a marker from the cluster.
- * @param {google.maps.Marker} marker The marker to remove.
- * @param {boolean=} opt_nodraw Optional boolean to force no redraw.
- * @return {boolean} True if the marker was removed.
+ * Adds markers to the spatial index and to the cluster index, or sends them
+ * to the worker. The spatial index is kept in worker mode too, for the
+ * markers in view.
+ * @param {Array.<google.maps.Marker>} markers The markers to index.
+ * @private
  */
-MarkerClusterer.prototype.removeMarker = function(marker, opt_nodraw) {
-	var removed = this.removeMarker_(marker);
+MarkerClusterer.prototype.indexMarkers_ = function(markers) {
+	this.loadMarkerNodes_(markers);
+
+	if (this.worker_) {
+		var points = [];
+		for (var i = 0, marker; marker = markers[i]; i++) {
+			if (this.isClustered_(marker)) {
+				points.push(this.getMarkerPoint_(marker));
+			}
+		}
+		this.worker_.postMessage({type: 'insert', points: points});
+		return;
+	}
 
-	if (!opt_nodraw && removed) {
-		this.resetViewport();
-		this.redraw();
-		return true;
-	} else {
-	 return false;
+	if (!this.index_) {
+		return;
+	}
+	if (markers.length > this.markers_.length - markers.length) {
+		// Building the index again is faster than inserting more points than
+		// it has
+		this.index_ = null;
+		return;
+	}
+	for (var i = 0, marker; marker = markers[i]; i++) {
+		if (this.isClustered_(marker)) {
+			this.insertIndexLeaf_(marker);
+		}
 	}
 };
 
 
 /**
- * Removes an array of markers from the cluster.
+ * Removes markers from the spatial index, and from the cluster index or the
+ * worker.
  * @param {Array.<google.maps.Marker>} markers The markers to remove.
- * @param {boolean=} nodraw Optional boolean to force no redraw.
+ * @private
  */
-MarkerClusterer.prototype.removeMarkers = function(markers, nodraw) {
-	var removed = false;
-
-	for (var i = 0, marker; marker = markers[i]; i++) {
-		var r = this.removeMarker_(marker);
-		removed = removed || r;
-	}
-
-	if (!nodraw && removed) {
-		this.resetViewport();
-		this.redraw();
-		return true;
-	} else {
-	 return false;
+MarkerClusterer.prototype.unindexMarkers_ = function(markers) {
+	if (!markers.length) {
+		return;
 	}
-};
 
+	var ids = markers.map(getMarkerId);
 
-/**
- * Clears all clusters and markers from the clusterer.
- */
-MarkerClusterer.prototype.clearMarkers = function(nodraw) {
-	this.resetViewport(true);
+	if (this.worker_) {
+		this.worker_.postMessage({type: 'remove', ids: ids});
+	}
 
-	// Set the markers a empty array.
-	this.markers_ = [];
+	if (markers.length > this.markers_.length) {
+		// Rebuilding the tree is faster than removing most of its nodes
+		for (var i = 0; i < ids.length; i++) {
+			delete this.markerNodes_[ids[i]];
+		}
 
-	this.tree_.clear();
+		var nodes = [];
+		for (var i = 0, marker; marker = this.markers_[i]; i++) {
+			nodes.push(this.markerNodes_[getMarkerId(marker)]);
+		}
 
-	if (!nodraw) {
-		this.redraw();
+		this.tree_.clear();
+		this.tree_.load(nodes);
+		this.index_ = null;
+	} else {
+		for (var i = 0; i < ids.length; i++) {
+			this.tree_.remove(this.markerNodes_[ids[i]]);
+			delete this.markerNodes_[ids[i]];
+			this.removeIndexLeaf_(ids[i]);
+		}
 	}
 };
 
 
 /**
- * Sets the clusterer's ready state.
- * @param {boolean} ready The state.
+ * Inserts a marker in the cluster index, if built, updating the clusters
+ * containing it.
+ * @param {google.maps.Marker} marker The marker.
  * @private
  */
-MarkerClusterer.prototype.setReady_ = function(ready) {
-	if (!this.ready_) {
-		this.ready_ = ready;
-		this.createClusters_();
+MarkerClusterer.prototype.insertIndexLeaf_ = function(marker) {
+	if (this.index_) {
+		var point = this.getMarkerPoint_(marker);
+		point[2] = marker;
+		this.indexLeaves_[getMarkerId(marker)] = this.index_.insert(point);
 	}
 };
 
 
 /**
- * Returns the number of clusters in the clusterer.
- * @return {number} The number of clusters.
+ * Removes a marker from the cluster index, if in it, updating the clusters
+ * containing it.
+ * @param {number|string} id The marker id.
+ * @private
  */
-MarkerClusterer.prototype.getTotalClusters = function() {
-	return this.clusters_.length;
+MarkerClusterer.prototype.removeIndexLeaf_ = function(id) {
+	var leaf = this.indexLeaves_[id];
+	if (leaf) {
+		if (this.index_) {
+			this.index_.remove(leaf);
+		}
+		delete this.indexLeaves_[id];
+	}
 };
 
 
 /**
- * Returns the google map that the clusterer is associated with.
- * @return {google.maps.Map} The map.
+ * Pushes a marker to the clusterer.
+ * @param {google.maps.Marker} marker The marker to add.
+ * @return {boolean} False if the marker was already in the clusterer.
+ * @private
  */
-MarkerClusterer.prototype.getMap = function() {
-	return this.map_;
-};
+MarkerClusterer.prototype.pushMarkerTo_ = function(marker) {
+	var id = getMarkerId(marker);
+	if (id === undefined) {
+		throw new Error('Data points must have an id');
+	}
+	if (this.markerIndex_[id] !== undefined) {
+		return false;
+	}
 
+	if (marker['draggable']) {
+		// If the marker is draggable add a listener so we update the clusters on
+		// the drag end.
+		var that = this;
+		this.dragListeners_[id] = google.maps.event.addListener(marker, 'dragend', function() {
+			that.updateMarkerPosition(marker);
+		});
+	}
 
-/**
- * Sets the google map that the clusterer is associated with.
- * @param {google.maps.Map} map The map.
- */
-MarkerClusterer.prototype.setMap = function(map) {
-	this.map_ = map;
+	this.markerIndex_[id] = this.markers_.length;
+	this.markers_.push(marker);
+	this.updateStandaloneMarker_(marker);
+	return true;
 };
 
 
 /**
- * Extends a bounds object by the grid size.
- * @param {google.maps.LatLngBounds} bounds The bounds to extend.
- * @return {google.maps.LatLngBounds} The extended bounds.
+ * Removes a marker and returns true if removed, false if not
+ * @param {google.maps.Marker} marker The marker to remove
+ * @param {boolean=} nounindex Whether to leave the marker in the spatial
+ *   index, for the caller to remove it along with others.
+ * @return {boolean} Whether the marker was removed or not
+ * @private
  */
-MarkerClusterer.prototype.getExtendedBounds = function(bounds) {
-	var projection = this.getProjection();
-
-	// Turn the bounds into latlng.
-	var tr = new google.maps.LatLng(bounds.getNorthEast().lat(),
-			bounds.getNorthEast().lng());
-	var bl = new google.maps.LatLng(bounds.getSouthWest().lat(),
-			bounds.getSouthWest().lng());
+MarkerClusterer.prototype.removeMarker_ = function(marker, nounindex) {
+	var id = getMarkerId(marker);
+	var index = this.markerIndex_[id];
 
-	// Convert the points to pixels and the extend out by the grid size.
-	var trPix = projection.fromLatLngToDivPixel(tr);
-	trPix.x += this.gridSize;
-	trPix.y -= this.gridSize;
-
-	var blPix = projection.fromLatLngToDivPixel(bl);
-	blPix.x -= this.gridSize;
-	blPix.y += this.gridSize;
+	if (index === undefined) {
+		// Marker is not in our list of markers.
+		return false;
+	}
 
-	// Convert the pixel points back to LatLng
-	var ne = projection.fromDivPixelToLatLng(trPix);
-	var sw = projection.fromDivPixelToLatLng(blPix);
+	this.hideMarker_(marker);
+	delete this.markerClusters_[id];
+	if (this.dragListeners_[id]) {
+		google.maps.event.removeListener(this.dragListeners_[id]);
+		delete this.dragListeners_[id];
+	}
 
-	// Extend the bounds to contain the new bounds.
-	bounds.extend(ne);
-	bounds.extend(sw);
+	// Move the last marker in place of the removed one
+	var last = this.markers_.pop();
+	if (last !== marker) {
+		this.markers_[index] = last;
+		this.markerIndex_[getMarkerId(last)] = index;
+	}
+	delete this.markerIndex_[id];
 
-	return bounds;
+	if (!nounindex) {
+		this.unindexMarkers_([marker]);
+	}
+	return true;
 };
 
 
 /**
- * Clears all existing clusters and recreates them.
- * @param {boolean} reset To also remove markers.
+ * Updates the clusters after a marker has moved. Only the cluster the marker
+ * leaves and the nearest one covering its new position, which it joins, are
+ * changed. A marker moved out of the viewport is hidden. In hierarchical and
+ * worker modes, the clusters changed in the updated index are redrawn instead.
+ * @param {google.maps.Marker} marker The marker, at its new position.
+ * @param {boolean=} nodraw Whether to leave the marker out of clusters until
+ *   the next redraw, when moving many markers at once.
+ * @return {boolean} True if the marker is in the clusterer.
  */
-MarkerClusterer.prototype.resetViewport = function(reset) {
-	// Remove all the clusters
-	for (var i = 0, cluster; cluster = this.clusters_[i]; i++) {
-		cluster.remove();
+MarkerClusterer.prototype.updateMarkerPosition = function(marker, nodraw) {
+	if (this.markerIndex_[getMarkerId(marker)] === undefined) {
+		return false;
 	}
 
-	// Reset the markers to not be added and to be invisible.
-	for (var i = 0, marker; marker = this.markers_[i]; i++) {
-		marker.isAdded = false;
-		if (reset) {
-			marker.setMap(null);
+	// Moving a spiderfied marker collapses its cluster: the other markers go
+	// back to their position, a dragged one stays where it has been dropped.
+	// Markers of other clusters leave the spiderfied one open.
+	var spiderfied = this.spiderfier_.getCluster();
+	if (spiderfied && this.getMarkerCluster(marker) === spiderfied) {
+		this.unspiderfy();
+	}
+
+	if (this.worker_) {
+		this.tree_.remove(this.markerNodes_[getMarkerId(marker)]);
+		this.loadMarkerNodes_([marker]);
+		if (this.isClustered_(marker)) {
+			this.worker_.postMessage({type: 'update', points: [this.getMarkerPoint_(marker)]});
 		}
+	} else {
+		this.unindexMarkers_([marker]);
+		this.indexMarkers_([marker]);
 	}
 
-	this.clusters_ = [];
-};
+	if (this.worker_ || this.hierarchical) {
+		if (!nodraw) {
+			this.redraw();
+		}
+		return true;
+	}
 
-MarkerClusterer.prototype.repaint = function() {
-	this.resetViewport();
-	this.redraw();
+	this.leaveClusters_([marker]);
+	this.placeMarkers_([marker], nodraw);
+	return true;
 };
 
 
 /**
- * Redraws the clusters.
+ * Removes markers from the clusters of the viewport, and the clusters left
+ * empty.
+ * @param {Array.<google.maps.Marker>} markers The markers.
+ * @private
  */
-MarkerClusterer.prototype.redraw = function() {
-	this.createClusters_();
-};
-
-MarkerClusterer.prototype.getMarkerCluster = function (marker) {
-	if (!marker.isAdded) return null;
-
-	for (var i = 0; i < this.clusters_.length; i++) {
-		var cluster = this.clusters_[i];
+MarkerClusterer.prototype.leaveClusters_ = function(markers) {
+	var clusters = [];
+	var clusterMarkers = [];
+	for (var i = 0, marker; marker = markers[i]; i++) {
+		var cluster = this.getMarkerCluster(marker);
+		if (!cluster) continue;
 
-		if (cluster.isMarkerAlreadyAdded(marker)) {
-			return cluster;
+		var k = clusters.indexOf(cluster);
+		if (k == -1) {
+			k = clusters.push(cluster) - 1;
+			clusterMarkers.push([]);
 		}
+		clusterMarkers[k].push(marker);
 	}
 
-	return null;
-};
+	if (clusters.indexOf(this.spiderfier_.getCluster()) != -1) {
+		this.unspiderfy();
+	}
 
-MarkerClusterer.prototype.removeCluster = function (cluster) {
-	for (var i = 0; i < this.clusters_.length; i++) {
-		if (cluster === this.clusters_[i]) {
-			cluster.remove();
-			this.clusters_.splice(i, 1);
-			return;
+	var emptied = [];
+	for (var i = 0, cluster; cluster = clusters[i]; i++) {
+		cluster.removeMarkers(clusterMarkers[i]);
+		if (!cluster.getSize()) {
+			emptied.push(cluster);
 		}
 	}
+	this.removeClusters_(emptied);
 };
 
 
-function boundsToArray(bounds) {
+/**
+ * Places markers added or moved between clustering passes: each joins the
+ * nearest cluster covering it, if any, and a pass clusters the others in the
+ * viewport. Markers out of the viewport are hidden.
+ * @param {Array.<google.maps.Marker>} markers The markers, in no cluster.
+ * @param {boolean=} nodraw Whether to leave the markers out of clusters until
+ *   the next redraw.
+ * @private
+ */
+MarkerClusterer.prototype.placeMarkers_ = function(markers, nodraw) {
+	if (!this.ready_) {
+		return;
+	}
+
+	var bbox = this.getClusteringBounds_();
+	var pending = false;
+	for (var i = 0, marker; marker = markers[i]; i++) {
+		if (!this.isClustered_(marker)) continue;
+		if (!nodraw && this.joinCluster_(marker)) continue;
+
+		if (ClusterCore.containsLatLng(bbox, this.getMarkerLatLng_(marker))) {
+			pending = true;
+		} else {
+			this.hideMarker_(marker);
+		}
+	}
+
+	if (pending && !nodraw) {
+		this.redraw();
+	}
+};
+
+
+/**
+ * Adds a marker to the nearest cluster of the viewport whose bounds contain
+ * it.
+ * @param {google.maps.Marker} marker The marker.
+ * @return {boolean} True if the marker joined a cluster.
+ * @private
+ */
+MarkerClusterer.prototype.joinCluster_ = function(marker) {
+	var pos = this.getMarkerLatLng_(marker);
+	var bbox = ClusterCore.extendBounds([pos.lat, pos.lng, pos.lat, pos.lng],
+		this.map_.getZoom(), this.gridSize);
+
+	var nearest = null;
+	var best = Infinity;
+	var clusters = this.searchClusters_(bbox);
+	for (var i = 0, cluster; cluster = clusters[i]; i++) {
+		if (!cluster.isMarkerInClusterBounds(marker)) continue;
+
+		// Distances in world coordinates, across the antimeridian if shorter
+		var center = cluster.getCenter();
+		var dx = ClusterCore.wrapLng(center.lng() - pos.lng) / 360;
+		var dy = ClusterCore.latY(center.lat()) - ClusterCore.latY(pos.lat);
+		if (dx * dx + dy * dy < best) {
+			best = dx * dx + dy * dy;
+			nearest = cluster;
+		}
+	}
+
+	if (nearest) {
+		nearest.addMarker(marker);
+		return true;
+	}
+	return false;
+};
+
+
+/**
+ * Moves a marker and updates the clusters, see `updateMarkerPosition`.
+ * @param {google.maps.Marker} marker The marker.
+ * @param {google.maps.LatLng} position The new marker position.
+ * @param {boolean=} nodraw Whether to leave the marker out of clusters until
+ *   the next redraw.
+ * @return {boolean} True if the marker is in the clusterer.
+ */
+MarkerClusterer.prototype.moveMarker = function(marker, position, nodraw) {
+	if (isMarker(marker)) {
+		marker.setPosition(position);
+	} else {
+		var latLng = position instanceof google.maps.LatLng ?
+			position : new google.maps.LatLng(position.lat, position.lng);
+		marker.lat = latLng.lat();
+		marker.lng = latLng.lng();
+
+		var shown = this.pointMarkers_[getMarkerId(marker)];
+		if (shown) {
+			shown.setPosition(latLng);
+		}
+	}
+	return this.updateMarkerPosition(marker, nodraw);
+};
+
+
+/**
+ * Sets a filter hiding the markers it returns false for. Hidden markers stay
+ * in the clusterer, but are left out of clusters and not shown, until the
+ * filter is changed or cleared.
+ * @param {?function(google.maps.Marker): boolean} filter The filter, or null
+ *   to show all markers.
+ * @return {Promise} Resolved once the clusters are rendered, if promises are
+ *   supported.
+ */
+MarkerClusterer.prototype.setFilter = function(filter) {
+	var before = [];
+	for (var i = 0, marker; marker = this.markers_[i]; i++) {
+		before.push(this.isClustered_(marker));
+	}
+
+	this.filter_ = filter || null;
+
+	// Only markers joining or leaving the clusters need updating
+	var included = [];
+	var excluded = [];
+	var bbox = this.ready_ ? this.getClusteringBounds_() : null;
+	for (var i = 0, marker; marker = this.markers_[i]; i++) {
+		var clustered = this.isClustered_(marker);
+		if (clustered != before[i]) {
+			(clustered ? included : excluded).push(marker);
+		}
+		this.updateStandaloneMarker_(marker, bbox);
+	}
+
+	if (!included.length && !excluded.length) {
+		return this.whenClustered_();
+	}
+
+	if (this.worker_) {
+		if (excluded.length) {
+			this.worker_.postMessage({type: 'remove', ids: excluded.map(getMarkerId)});
+		}
+		if (included.length) {
+			this.worker_.postMessage({type: 'insert', points: included.map(this.getMarkerPoint_, this)});
+		}
+	} else {
+		// The spatial index holds all markers, only the cluster index follows
+		// the filter
+		for (var i = 0, marker; marker = excluded[i]; i++) {
+			this.removeIndexLeaf_(getMarkerId(marker));
+		}
+		for (var i = 0, marker; marker = included[i]; i++) {
+			this.insertIndexLeaf_(marker);
+		}
+	}
+
+	if (this.worker_ || this.hierarchical) {
+		// The clusters changed in the index are redrawn
+		return this.redraw();
+	}
+
+	this.leaveClusters_(excluded);
+	this.placeMarkers_(included);
+	return this.whenClustered_();
+};
+
+
+/**
+ * Clears the filter, showing all markers again.
+ * @return {Promise} Resolved once the clusters are rendered, if promises are
+ *   supported.
+ */
+MarkerClusterer.prototype.clearFilter = function() {
+	return this.setFilter(null);
+};
+
+
+/**
+ * Returns the filter set with `setFilter`.
+ * @return {?function(google.maps.Marker): boolean} The filter, or null.
+ */
+MarkerClusterer.prototype.getFilter = function() {
+	return this.filter_;
+};
+
+
+/**
+ * Returns whether a marker is part of the clusters, being clusterable and not
+ * hidden by the filter.
+ * @param {google.maps.Marker} marker The marker.
+ * @return {boolean} Whether the marker is clustered.
+ * @private
+ */
+MarkerClusterer.prototype.isClustered_ = function(marker) {
+	return (!this.filter_ || !!this.filter_(marker)) && !!this.isClusterable(marker);
+};
+
+
+/**
+ * Shows or hides a marker which is not clustered, depending on the filter and
+ * the `showUnclusterable` option. Clustered markers are shown by their cluster.
+ * Data points are only shown in the viewport.
+ * @param {google.maps.Marker} marker The marker.
+ * @param {Array.<number>=} bbox The bounds of the viewport, if known.
+ * @private
+ */
+MarkerClusterer.prototype.updateStandaloneMarker_ = function(marker, bbox) {
+	if (this.isClustered_(marker)) {
+		return;
+	}
+
+	var shown = this.showUnclusterable && (!this.filter_ || this.filter_(marker));
+	if (shown && !isMarker(marker)) {
+		// Markers are only created for the data points in view
+		shown = this.ready_ &&
+			ClusterCore.containsLatLng(bbox || this.getClusteringBounds_(), this.getMarkerLatLng_(marker));
+	}
+
+	if (shown) {
+		this.showMarker_(marker);
+	} else {
+		this.hideMarker_(marker);
+	}
+};
+
+
+/**
+ * Releases the markers of the data points in no cluster which left the
+ * viewport, such as the ones of clusters removed by a zoom change, and shows
+ * the markers left out of clusters in the viewport, with the
+ * `showUnclusterable` option.
+ * @param {Array.<number>} bbox The bounds of the viewport.
+ * @private
+ */
+MarkerClusterer.prototype.updateStandaloneMarkers_ = function(bbox) {
+	for (var id in this.pointMarkers_) {
+		var point = this.markers_[this.markerIndex_[id]];
+		if (!this.getMarkerCluster(point) && !ClusterCore.containsLatLng(bbox, this.getMarkerLatLng_(point))) {
+			this.hideMarker_(point);
+		}
+	}
+
+	if (!this.showUnclusterable) {
+		return;
+	}
+
+	var markers = this.getMarkersInBounds_(bbox);
+	for (var i = 0, marker; marker = markers[i]; i++) {
+		this.updateStandaloneMarker_(marker, bbox);
+	}
+};
+
+
+/**
+ * Shows a marker on the map. The marker of a data point is created then.
+ * @param {google.maps.Marker|Object} marker The marker or data point.
+ * @return {google.maps.Marker} The marker shown.
+ * @private
+ */
+MarkerClusterer.prototype.showMarker_ = function(marker) {
+	var shown = marker;
+	if (!isMarker(marker)) {
+		var id = getMarkerId(marker);
+		shown = this.pointMarkers_[id];
+		if (!shown) {
+			shown = this.pointMarkers_[id] = this.markerFactory(marker);
+		}
+	}
+
+	if (shown.getMap() != this.map_) {
+		shown.setMap(this.map_);
+	}
+	return shown;
+};
+
+
+/**
+ * Hides a marker. The marker of a data point is released then.
+ * @param {google.maps.Marker|Object} marker The marker or data point.
+ * @private
+ */
+MarkerClusterer.prototype.hideMarker_ = function(marker) {
+	if (isMarker(marker)) {
+		marker.setMap(null);
+		return;
+	}
+
+	var id = getMarkerId(marker);
+	var shown = this.pointMarkers_[id];
+	if (shown) {
+		shown.setMap(null);
+		delete this.pointMarkers_[id];
+	}
+};
+
+
+/**
+ * Returns the marker shown for a marker or a data point.
+ * @param {google.maps.Marker|Object} marker The marker or data point.
+ * @return {google.maps.Marker} The marker itself, the marker created for the
+ *   data point, or null if the data point is not shown.
+ */
+MarkerClusterer.prototype.getShownMarker = function(marker) {
+	if (isMarker(marker)) {
+		return marker;
+	}
+	return this.pointMarkers_[getMarkerId(marker)] || null;
+};
+
+
+/**
+ * Shows a marker at another position than its own, while animated or
+ * spiderfied. The clusterer keeps using its own position, until it is put
+ * back with `restoreMarker_` or the marker is moved by something else.
+ * @param {google.maps.Marker|Object} marker The marker or data point.
+ * @param {google.maps.LatLng} position The position to show it at.
+ * @private
+ */
+MarkerClusterer.prototype.displaceMarker_ = function(marker, position) {
+	var shown = this.getShownMarker(marker);
+	if (!shown) {
+		return;
+	}
+
+	var id = getMarkerId(marker);
+	var displaced = this.displaced_[id];
+	if (!displaced || shown.getPosition() !== displaced.position) {
+		displaced = this.displaced_[id] = {original: shown.getPosition()};
+	}
+	displaced.position = position;
+	shown.setPosition(position);
+};
+
+
+/**
+ * Shows a displaced marker at its own position again.
+ * @param {google.maps.Marker|Object} marker The marker or data point.
+ * @private
+ */
+MarkerClusterer.prototype.restoreMarker_ = function(marker) {
+	var id = getMarkerId(marker);
+	var displaced = this.displaced_[id];
+	if (!displaced) {
+		return;
+	}
+	delete this.displaced_[id];
+
+	// Markers moved meanwhile, by dragging them, keep their new position
+	var shown = this.getShownMarker(marker);
+	if (shown && shown.getPosition() === displaced.position) {
+		shown.setPosition(displaced.original);
+	}
+};
+
+
+/**
+ * Returns the own position of a marker, rather than the one it is shown at
+ * while displaced.
+ * @param {google.maps.Marker|Object} marker The marker or data point.
+ * @return {google.maps.LatLng} The position.
+ * @private
+ */
+MarkerClusterer.prototype.getMarkerPosition_ = function(marker) {
+	var displaced = isMarker(marker) && this.displaced_[getMarkerId(marker)];
+	if (displaced && marker.getPosition() === displaced.position) {
+		return displaced.original;
+	}
+	return getMarkerPosition(marker);
+};
+
+
+/**
+ * Returns the own position of a marker as a plain point, see
+ * `getMarkerPosition_`.
+ * @param {google.maps.Marker|Object} marker The marker or data point.
+ * @return {{lat: number, lng: number}} The position.
+ * @private
+ */
+MarkerClusterer.prototype.getMarkerLatLng_ = function(marker) {
+	var displaced = isMarker(marker) && this.displaced_[getMarkerId(marker)];
+	if (displaced && marker.getPosition() === displaced.position) {
+		return {lat: displaced.original.lat(), lng: displaced.original.lng()};
+	}
+	return getMarkerLatLng(marker);
+};
+
+
+/**
+ * Remove a marker from the clusterer. Only the cluster it leaves is changed,
+ * except in hierarchical and worker modes, where the clusters are redrawn.
+ * @param {google.maps.Marker} marker The marker to remove.
+ * @param {boolean=} opt_nodraw Optional boolean to force no redraw.
+ * @return {boolean} True if the marker was removed.
+ */
+MarkerClusterer.prototype.removeMarker = function(marker, opt_nodraw) {
+	if (this.markerIndex_[getMarkerId(marker)] === undefined) {
+		return false;
+	}
+
+	this.leaveClusters_([marker]);
+	var removed = this.removeMarker_(marker);
+
+	if (!opt_nodraw && removed) {
+		if (this.worker_ || this.hierarchical) {
+			this.redraw();
+		}
+		return true;
+	} else {
+	 return false;
+	}
+};
+
+
+/**
+ * Removes an array of markers from the clusterer, see `removeMarker`.
+ * @param {Array.<google.maps.Marker>} markers The markers to remove.
+ * @param {boolean=} nodraw Optional boolean to force no redraw.
+ */
+MarkerClusterer.prototype.removeMarkers = function(markers, nodraw) {
+	var removed = [];
+	for (var i = 0, marker; marker = markers[i]; i++) {
+		if (this.markerIndex_[getMarkerId(marker)] !== undefined) {
+			removed.push(marker);
+		}
+	}
+
+	this.leaveClusters_(removed);
+	for (var i = 0, marker; marker = removed[i]; i++) {
+		this.removeMarker_(marker, true);
+	}
+
+	this.unindexMarkers_(removed);
+
+	if (!nodraw && removed.length) {
+		if (this.worker_ || this.hierarchical) {
+			this.redraw();
+		}
+		return true;
+	} else {
+	 return false;
+	}
+};
+
+
+/**
+ * Clears all clusters and markers from the clusterer.
+ */
+MarkerClusterer.prototype.clearMarkers = function(nodraw) {
+	this.resetViewport(true);
+
+	for (var id in this.dragListeners_) {
+		google.maps.event.removeListener(this.dragListeners_[id]);
+	}
+	this.dragListeners_ = {};
+
+	// Set the markers a empty array.
+	this.markers_ = [];
+	this.markerIndex_ = {};
+	this.markerNodes_ = {};
+
+	this.tree_.clear();
+	this.index_ = null;
+	this.indexLeaves_ = {};
+
+	if (this.worker_) {
+		this.worker_.postMessage({type: 'clear'});
+	}
+
+	if (!nodraw) {
+		this.redraw();
+	}
+};
+
+
+/**
+ * Returns a JSON snapshot of the spatial index of the markers and, in
+ * hierarchical mode, of their cluster index: the clusters of every zoom
+ * level. Markers are referred to by their position in `getMarkers`. The
+ * snapshot can also be built offline with `ClusterCore.buildSnapshot`.
+ * @return {Object} The snapshot.
+ */
+MarkerClusterer.prototype.getSnapshot = function() {
+	var markerIndex = this.markerIndex_;
+	var getRef = function (marker) {
+		return markerIndex[getMarkerId(marker)];
+	};
+
+	return {
+		tree: ClusterCore.treeToJSON(this.tree_, function (node) {
+			return [node[0], node[1], getRef(node[2])];
+		}),
+		index: this.hierarchical ? this.getLocalIndex_().toJSON(getRef) : null
+	};
+};
+
+
+/**
+ * Replaces the markers of the clusterer with markers whose spatial index and
+ * clusters are restored from a snapshot, instead of being computed again. The
+ * markers must be in the same order and at the same positions as when the
+ * snapshot was taken, or they are indexed again. The clusters of the
+ * snapshot are only used if they were computed with the same options for as
+ * many markers, all of them clustered.
+ * @param {Object} snapshot The snapshot, see `getSnapshot`.
+ * @param {Array.<google.maps.Marker|Object>} markers The markers or data
+ *   points.
+ * @param {boolean=} nodraw Whether to redraw the clusters.
+ */
+MarkerClusterer.prototype.loadSnapshot = function(snapshot, markers, nodraw) {
+	this.clearMarkers(true);
+
+	for (var i = 0, marker; marker = markers[i]; i++) {
+		this.pushMarkerTo_(marker);
+	}
+
+	markers = this.markers_;
+	var valid = this.isSnapshotTreeValid_(snapshot.tree);
+	var index = valid && this.isSnapshotIndexValid_(snapshot.index) ? snapshot.index : null;
+
+	if (valid) {
+		var markerNodes = this.markerNodes_;
+		ClusterCore.treeFromJSON(this.tree_, snapshot.tree, function (item) {
+			var marker = markers[item[2]];
+			return markerNodes[getMarkerId(marker)] = [item[0], item[1], marker];
+		});
+	} else {
+		this.loadMarkerNodes_(markers);
+	}
+
+	if (this.worker_) {
+		var points = [];
+		for (var i = 0, marker; marker = markers[i]; i++) {
+			if (this.isClustered_(marker)) {
+				points.push(this.getMarkerPoint_(marker));
+			}
+		}
+		this.worker_.postMessage({type: 'load', points: points, index: index});
+	} else if (index && this.hierarchical) {
+		var that = this;
+		this.setIndex_(ClusterCore.ClusterIndex.fromJSON(index, function (ref) {
+			var point = that.getMarkerPoint_(markers[ref]);
+			point[2] = markers[ref];
+			return point;
+		}));
+	}
+
+	if (!nodraw) {
+		this.redraw();
+	}
+};
+
+
+/**
+ * Returns whether the spatial index of a snapshot holds all the markers, in
+ * the same order and at the same positions.
+ * @param {Object} json The spatial index snapshot.
+ * @return {boolean} True if the index is valid.
+ * @private
+ */
+MarkerClusterer.prototype.isSnapshotTreeValid_ = function(json) {
+	if (!json) {
+		return false;
+	}
+
+	var count = 0;
+	var stack = [json];
+	while (stack.length) {
+		var node = stack.pop();
+		for (var i = 0, child; child = node.children[i]; i++) {
+			if (!node.leaf) {
+				stack.push(child);
+				continue;
+			}
+
+			// Leaves are [lat, lng, position of the marker]
+			var marker = this.markers_[child[2]];
+			if (!marker) {
+				return false;
+			}
+			var pos = this.getMarkerLatLng_(marker);
+			if (pos.lat != child[0] || pos.lng != child[1]) {
+				return false;
+			}
+			count++;
+		}
+	}
+	return count == this.markers_.length;
+};
+
+
+/**
+ * Returns whether the clusters of a snapshot can be used as is, having been
+ * computed with the same options for all the markers.
+ * @param {Object} json The cluster index snapshot.
+ * @return {boolean} True if the clusters are valid.
+ * @private
+ */
+MarkerClusterer.prototype.isSnapshotIndexValid_ = function(json) {
+	if (!json || !json.levels || !json.trees || !this.hierarchical) {
+		return false;
+	}
+
+	var expected = new ClusterCore.ClusterIndex(this.getIndexOptions_());
+	if (json.gridSize != expected.gridSize || json.minZoom != expected.minZoom ||
+			json.maxZoom != expected.maxZoom ||
+			json.averageCenter != expected.averageCenter ||
+			json.algorithm != expected.algorithm.name ||
+			!sameOptions(json.algorithmOptions, expected.algorithm.options)) {
+		return false;
+	}
+
+	// Leaves refer to markers by position, which must all be there
+	if (json.leaves.length != this.markers_.length) {
+		return false;
+	}
+
+	for (var i = 0, marker; marker = this.markers_[i]; i++) {
+		if (!this.isClustered_(marker)) {
+			return false;
+		}
+	}
+	return true;
+};
+
+
+/**
+ * Returns whether two option objects have the same values.
+ * @param {Object} a The first options, if any.
+ * @param {Object} b The second options, if any.
+ * @return {boolean} True if they are the same.
+ * @ignore
+ */
+function sameOptions(a, b) {
+	a = a || {};
+	b = b || {};
+	for (var key in a) {
+		if (a[key] !== b[key]) {
+			return false;
+		}
+	}
+	for (var key in b) {
+		if (!(key in a)) {
+			return false;
+		}
+	}
+	return true;
+}
+
+
+/**
+ * Returns whether two option values are the same: equal primitives, the same
+ * functions, or objects of the same class with the same values, compared
+ * deeply. Objects without values of their own, such as workers, are only the
+ * same as themselves, unless plain objects or arrays.
+ * @param {*} a The first value.
+ * @param {*} b The second value.
+ * @return {boolean} True if they are the same.
+ * @ignore
+ */
+function sameValue(a, b) {
+	if (a === b) {
+		return true;
+	}
+	if (!a || !b || typeof a !== 'object' || typeof b !== 'object' ||
+			Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+		return false;
+	}
+
+	var keys = Object.keys(a);
+	if (keys.length != Object.keys(b).length) {
+		return false;
+	}
+	if (!keys.length) {
+		return Array.isArray(a) || Object.getPrototypeOf(a) === Object.prototype;
+	}
+	for (var i = 0; i < keys.length; i++) {
+		if (!Object.prototype.hasOwnProperty.call(b, keys[i]) || !sameValue(a[keys[i]], b[keys[i]])) {
+			return false;
+		}
+	}
+	return true;
+}
+
+
+/**
+ * Sets the clusterer's ready state.
+ * @param {boolean} ready The state.
+ * @private
+ */
+MarkerClusterer.prototype.setReady_ = function(ready) {
+	if (!this.ready_) {
+		this.ready_ = ready;
+		this.createClusters_();
+	}
+};
+
+
+/**
+ * Returns the number of clusters in the clusterer.
+ * @return {number} The number of clusters.
+ */
+MarkerClusterer.prototype.getTotalClusters = function() {
+	return this.clusters_.length;
+};
+
+
+/**
+ * Returns the clusters of the markers in some bounds at a zoom level as a
+ * GeoJSON FeatureCollection of Point features, computed the way the clusters
+ * shown on the map are, without creating them. Clusters have `cluster: true`,
+ * their number of markers as `point_count`, their total weight as
+ * `point_weight` with the `weight` option, and their aggregates as
+ * properties. Markers in groups smaller than the minimum cluster size, and
+ * markers left out of clusters with the `showUnclusterable` option, are
+ * features of their own, with the `props` of data points as properties. In
+ * worker mode, the clusters are computed on the main thread.
+ * @param {google.maps.LatLngBounds=} bounds The bounds, the map viewport by
+ *   default.
+ * @param {number=} zoom The zoom level, the map zoom level by default.
+ * @return {Object} The FeatureCollection, without features if the bounds or
+ *   the zoom level are left out while the clusterer has no map.
+ */
+MarkerClusterer.prototype.getClustersAsGeoJson = function(bounds, zoom) {
+	var features = [];
+	if (!this.map_ && (!bounds || zoom === undefined)) {
+		return {type: 'FeatureCollection', features: features};
+	}
+
+	bounds = bounds || this.map_.getBounds();
+	if (zoom === undefined) {
+		zoom = this.map_.getZoom();
+	}
+	var bbox = boundsToArray(bounds);
+
+	var clusters = this.computeClusters_(bbox, zoom);
+	for (var i = 0, cluster; cluster = clusters[i]; i++) {
+		var markers = cluster.markers;
+		var weight = 0;
+		for (var j = 0, marker; marker = markers[j]; j++) {
+			weight += this.getMarkerWeight_(marker);
+		}
+
+		if (!this.isClusterSize_(markers.length, weight)) {
+			for (var j = 0, marker; marker = markers[j]; j++) {
+				features.push(this.getMarkerFeature_(marker));
+			}
+			continue;
+		}
+
+		var properties = {cluster: true, point_count: markers.length};
+		if (this.weight) {
+			properties.point_weight = weight;
+		}
+		if (this.aggregations) {
+			var aggregator = new ClusterCore.Aggregator(this.aggregations, getMarkerProperty);
+			for (var j = 0, marker; marker = markers[j]; j++) {
+				aggregator.add(marker);
+			}
+
+			var aggregates = aggregator.getAggregates();
+			for (var key in aggregates) {
+				properties[key] = aggregates[key];
+			}
+		}
+		features.push(pointFeature(cluster.center, properties));
+	}
+
+	if (this.showUnclusterable) {
+		var markers = this.getMarkersInBounds_(bbox);
+		for (var i = 0, marker; marker = markers[i]; i++) {
+			if (!this.isClustered_(marker) && (!this.filter_ || this.filter_(marker))) {
+				features.push(this.getMarkerFeature_(marker));
+			}
+		}
+	}
+
+	return {type: 'FeatureCollection', features: features};
+};
+
+
+/**
+ * Computes the clusters of the clustered markers in some bounds, the way the
+ * clusters shown on the map are, without creating them.
+ * @param {Array.<number>} bbox The bounds.
+ * @param {number} zoom The zoom level.
+ * @return {Array.<{center: {lat: number, lng: number}, markers: Array}>} The
+ *   clusters.
+ * @private
+ */
+MarkerClusterer.prototype.computeClusters_ = function(bbox, zoom) {
+	var clusters = [];
+
+	if (this.hierarchical) {
+		var index = this.getLocalIndex_();
+		var nodes = index.getClusters(bbox, zoom);
+		for (var i = 0, node; node = nodes[i]; i++) {
+			clusters.push({center: index.getCenter(node), markers: index.getLeaves(node)});
+		}
+		return clusters;
+	}
+
+	var markers = [];
+	var inBounds = this.getMarkersInBounds_(bbox);
+	for (var i = 0, marker; marker = inBounds[i]; i++) {
+		if (this.isClustered_(marker)) {
+			markers.push(marker);
+		}
+	}
+
+	var groups = ClusterCore.clusterPoints(markers, {
+		zoom: zoom,
+		gridSize: this.gridSize,
+		bounds: bbox,
+		algorithm: this.algorithm,
+		averageCenter: this.averageCenter,
+		getLatLng: this.getMarkerLatLng_.bind(this),
+		getWeight: this.getMarkerWeight_.bind(this)
+	});
+	for (var i = 0, group; group = groups[i]; i++) {
+		clusters.push({center: group.center, markers: group.points});
+	}
+	return clusters;
+};
+
+
+/**
+ * Returns the GeoJSON Point feature of a marker shown on its own, with the
+ * `props` and `id` of data points.
+ * @param {google.maps.Marker|Object} marker The marker or data point.
+ * @return {Object} The feature.
+ * @private
+ */
+MarkerClusterer.prototype.getMarkerFeature_ = function(marker) {
+	var feature = pointFeature(this.getMarkerLatLng_(marker), marker.props || {});
+	if (marker.id !== undefined) {
+		feature.id = marker.id;
+	}
+	return feature;
+};
+
+
+/**
+ * Returns a GeoJSON Point feature.
+ * @param {{lat: number, lng: number}} latLng The point position.
+ * @param {Object} properties The feature properties.
+ * @return {Object} The feature.
+ * @ignore
+ */
+function pointFeature(latLng, properties) {
+	return {
+		type: 'Feature',
+		geometry: {type: 'Point', coordinates: [latLng.lng, latLng.lat]},
+		properties: properties
+	};
+}
+
+
+/**
+ * Returns the google map that the clusterer is associated with.
+ * @return {google.maps.Map} The map.
+ */
+MarkerClusterer.prototype.getMap = function() {
+	return this.map_;
+};
+
+
+/**
+ * Sets the google map that the clusterer is associated with. The clusters and
+ * markers are removed from the previous map, along with the listeners of the
+ * clusterer, and created on the new one.
+ * @param {google.maps.Map} map The map, or null to detach the clusterer.
+ */
+MarkerClusterer.prototype.setMap = function(map) {
+	if (map === this.map_) {
+		return;
+	}
+
+	if (this.map_) {
+		this.detach_();
+	}
+	this.map_ = map;
+	google.maps.OverlayView.prototype.setMap.call(this, map);
+	if (map) {
+		this.attach_();
+	}
+};
+
+
+/**
+ * Adds the map listeners, and shows the markers shown on their own.
+ * Clusters are created once the clusterer is added to the map.
+ * @private
+ */
+MarkerClusterer.prototype.attach_ = function() {
+	this.prevZoom_ = this.map_.getZoom();
+	this.zoomChanged_ = false;
+
+	if (this.mapEvents_) {
+		var that = this;
+		this.mapListeners_.push(
+			google.maps.event.addListener(this.map_, 'zoom_changed', function () {
+				that.onZoomChanged_();
+			}),
+			google.maps.event.addListener(this.map_, 'click', function () {
+				that.unspiderfy();
+			}),
+			google.maps.event.addListener(this.map_, 'idle', function () {
+				that.onIdle_();
+			}),
+			google.maps.event.addListener(this.map_, 'bounds_changed', function () {
+				that.onBoundsChanged_();
+			})
+		);
+	}
+
+	for (var i = 0, marker; marker = this.markers_[i]; i++) {
+		this.updateStandaloneMarker_(marker);
+	}
+};
+
+
+/**
+ * Removes the map listeners, the clusters and the markers from the map.
+ * @private
+ */
+MarkerClusterer.prototype.detach_ = function() {
+	for (var i = 0; i < this.mapListeners_.length; i++) {
+		google.maps.event.removeListener(this.mapListeners_[i]);
+	}
+	this.mapListeners_ = [];
+	this.cancelMoveRedraw_();
+	this.closeClusterInfo();
+
+	this.resetViewport(true);
+	if (this.canvasLayer_) {
+		this.canvasLayer_.setMap(null);
+		this.canvasLayer_ = null;
+	}
+
+	if (this.worker_) {
+		// Passes requested for this map are not rendered
+		this.renderedPass_ = ++this.workerPass_;
+		this.resetOnResult_ = false;
+		this.resolvePasses_();
+	}
+
+	this.ready_ = false;
+	this.clustersZoom_ = null;
+};
+
+
+/**
+ * Destroys the clusterer: removes its clusters, markers and listeners from
+ * the map, removes its listeners from the markers, stops the worker it
+ * started and removes all listeners of its events. It cannot be used
+ * afterwards.
+ */
+MarkerClusterer.prototype.destroy = function() {
+	this.clearMarkers(true);
+	this.setMap(null);
+	this.clusterInfo_.destroy();
+
+	if (this.worker_) {
+		this.releaseWorker_();
+	}
+
+	google.maps.event.clearInstanceListeners(this);
+};
+
+
+/**
+ * Extends a bounds object by the grid size.
+ * @param {google.maps.LatLngBounds} bounds The bounds to extend.
+ * @return {google.maps.LatLngBounds} The extended bounds.
+ */
+MarkerClusterer.prototype.getExtendedBounds = function(bounds) {
+	var bbox = ClusterCore.extendBounds(boundsToArray(bounds), this.map_.getZoom(), this.gridSize);
+
+	// Built from its corners, rather than extended, as the bounds may cross the
+	// antimeridian.
+	return new google.maps.LatLngBounds(
+		new google.maps.LatLng(bbox[0], bbox[1]),
+		new google.maps.LatLng(bbox[2], bbox[3]));
+};
+
+
+/**
+ * Clears all existing clusters and recreates them.
+ * @param {boolean} reset To also remove markers.
+ */
+MarkerClusterer.prototype.resetViewport = function(reset) {
+	this.cancelTransition_();
+	this.unspiderfy();
+
+	// Remove all the clusters
+	for (var i = 0, cluster; cluster = this.clusters_[i]; i++) {
+		cluster.remove();
+	}
+
+	// Reset the markers to be invisible.
+	if (reset) {
+		for (var i = 0, marker; marker = this.markers_[i]; i++) {
+			this.hideMarker_(marker);
+		}
+	}
+
+	this.clusters_ = [];
+	this.nodeClusters_ = {};
+	this.markerClusters_ = {};
+	this.clusterTree_ = null;
+};
+
+/**
+ * Clears all existing clusters and recreates them.
+ * @return {Promise} Resolved once the clusters are rendered, if promises are
+ *   supported.
+ */
+MarkerClusterer.prototype.repaint = function() {
+	return this.repaintView_();
+};
+
+
+/**
+ * Clears all existing clusters and recreates them for a view of the map.
+ * @param {Object=} view The map view, see `getMapView`. Read from the map by
+ *   default.
+ * @return {Promise} Resolved once the clusters are rendered, if promises are
+ *   supported.
+ * @private
+ */
+MarkerClusterer.prototype.repaintView_ = function(view) {
+	if (!this.map_) {
+		return this.whenClustered_();
+	}
+
+	if (this.worker_) {
+		// Keep the current clusters until the worker answers, instead of
+		// leaving the map empty meanwhile.
+		this.resetOnResult_ = true;
+		this.createClusters_(view);
+		return this.whenClustered_();
+	}
+
+	var previous = this.beginTransition_(view ? view.zoom : this.map_.getZoom());
+	this.resetViewport();
+	this.createClusters_(view);
+	var promise = this.whenClustered_();
+	this.animateTransition_(previous);
+	return promise;
+};
+
+
+/**
+ * Takes the current clusters away for a zoom animation, along with the
+ * position each marker is shown at. Does nothing if animations are disabled
+ * or the zoom level has not changed.
+ * @param {number} zoom The zoom level of the coming clusters.
+ * @return {Object} The previous clusters state, or null.
+ * @private
+ */
+MarkerClusterer.prototype.beginTransition_ = function(zoom) {
+	this.cancelTransition_();
+
+	if (!this.animate || this.clustersZoom_ === null || zoom == this.clustersZoom_) {
+		return null;
+	}
+
+	var origins = {};
+	for (var i = 0, cluster; cluster = this.clusters_[i]; i++) {
+		var grouped = cluster.clusterIcon_.visible_;
+		for (var j = 0, marker; marker = cluster.markers_[j]; j++) {
+			origins[getMarkerId(marker)] = grouped ?
+				cluster.getCenter() : this.getMarkerPosition_(marker);
+		}
+	}
+
+	var previous = {zoom: this.clustersZoom_, clusters: this.clusters_, origins: origins};
+	this.clusters_ = [];
+	this.clusterTree_ = null;
+	return previous;
+};
+
+
+/**
+ * Animates the change from the previous clusters to the current ones. When
+ * zooming in, the new clusters and markers move out from the center of the
+ * cluster they were in. When zooming out, the previous ones move into the
+ * cluster they are now in.
+ * @param {Object} previous The previous clusters state.
+ * @private
+ */
+MarkerClusterer.prototype.animateTransition_ = function(previous) {
+	if (!previous) {
+		return;
+	}
+
+	var transition = new ClusterTransition(this, this.animate);
+
+	if (this.clustersZoom_ > previous.zoom) {
+		for (var i = 0, cluster; cluster = previous.clusters[i]; i++) {
+			cluster.remove();
+		}
+
+		for (var i = 0, cluster; cluster = this.clusters_[i]; i++) {
+			if (cluster.clusterIcon_.visible_) {
+				var from = previous.origins[getMarkerId(cluster.markers_[0])];
+				if (from) {
+					transition.moveIcon(cluster.clusterIcon_, from, cluster.getCenter());
+				}
+				continue;
+			}
+
+			for (var j = 0, marker; marker = cluster.markers_[j]; j++) {
+				var from = previous.origins[getMarkerId(marker)];
+				var shown = this.getShownMarker(marker);
+				if (from && shown && shown.getMap()) {
+					transition.moveMarker(marker, from);
+				}
+			}
+		}
+	} else {
+		var targets = [];
+		for (var i = 0, cluster; cluster = previous.clusters[i]; i++) {
+			// Targets already hidden by other clusters merging into them are
+			// shown at the end
+			var target = this.getMarkerCluster(cluster.markers_[0]);
+			var merging = target && targets.indexOf(target) != -1;
+			if (!target || (!merging && !target.clusterIcon_.visible_)) {
+				cluster.remove();
+				continue;
+			}
+
+			// Show the merged cluster once everything has moved into it
+			if (!merging) {
+				target.clusterIcon_.hide();
+				targets.push(target);
+			}
+
+			if (cluster.clusterIcon_.visible_) {
+				transition.moveIcon(cluster.clusterIcon_, cluster.getCenter(), target.getCenter());
+				transition.onEnd(cluster.remove.bind(cluster));
+				continue;
+			}
+
+			for (var j = 0, marker; marker = cluster.markers_[j]; j++) {
+				this.showMarker_(marker);
+				transition.moveMarker(marker, target.getCenter(), true);
+				transition.onEnd(this.hideMarker_.bind(this, marker));
+			}
+			cluster.remove();
+		}
+
+		transition.onEnd(function () {
+			for (var i = 0, target; target = targets[i]; i++) {
+				// The cluster may have been removed meanwhile
+				if (target.markers_) {
+					target.updateIcon();
+				}
+			}
+		});
+	}
+
+	this.transition_ = transition;
+	transition.start();
+};
+
+
+/**
+ * Ends the running zoom animation, if any, leaving everything at its final
+ * place.
+ * @private
+ */
+MarkerClusterer.prototype.cancelTransition_ = function() {
+	if (this.transition_) {
+		var transition = this.transition_;
+		this.transition_ = null;
+		transition.finish();
+	}
+};
+
+
+/**
+ * Handles a change of the map zoom level.
+ * @private
+ */
+MarkerClusterer.prototype.onZoomChanged_ = function() {
+	if (!this.map_) {
+		return;
+	}
+
+	var zoom = this.map_.getZoom();
+	if (zoom != this.prevZoom_) {
+		this.prevZoom_ = zoom;
+		this.zoomChanged_ = true;
+		// Do not animate clusters for a zoom level already left
+		this.cancelTransition_();
+		this.unspiderfy();
+		this.closeClusterInfo();
+	}
+};
+
+
+/**
+ * Handles the map becoming idle, recreating the clusters after a zoom change
+ * or updating them otherwise.
+ * @param {Object=} view The map view, see `getMapView`. Read from the map by
+ *   default.
+ * @return {Promise} Resolved once the clusters are rendered, if promises are
+ *   supported.
+ * @private
+ */
+MarkerClusterer.prototype.onIdle_ = function(view) {
+	this.cancelMoveRedraw_();
+
+	if (this.zoomChanged_) {
+		this.zoomChanged_ = false;
+		return this.repaintView_(view);
+	}
+	this.createClusters_(view);
+	return this.whenClustered_();
+};
+
+
+/**
+ * Handles a change of the map bounds, redrawing the clusters while the map
+ * moves with the `redrawWhileMoving` option.
+ * @private
+ */
+MarkerClusterer.prototype.onBoundsChanged_ = function() {
+	// Clusters of another zoom level are recreated once the map is idle
+	if (!this.redrawWhileMoving || !this.map_ || this.zoomChanged_) {
+		return;
+	}
+
+	var that = this;
+	var redraw = function () {
+		that.moveTimer_ = null;
+		that.lastMoveRedraw_ = Date.now();
+		that.redraw();
+	};
+
+	if (this.redrawWhileMoving == 'debounce') {
+		this.cancelMoveRedraw_();
+		this.moveTimer_ = setTimeout(redraw, this.redrawDelay);
+	} else if (this.moveTimer_ === null) {
+		var wait = this.lastMoveRedraw_ + this.redrawDelay - Date.now();
+		if (wait <= 0) {
+			redraw();
+		} else {
+			this.moveTimer_ = setTimeout(redraw, wait);
+		}
+	}
+};
+
+
+/**
+ * Cancels the pending redraw while the map moves, if any.
+ * @private
+ */
+MarkerClusterer.prototype.cancelMoveRedraw_ = function() {
+	if (this.moveTimer_ !== null) {
+		clearTimeout(this.moveTimer_);
+		this.moveTimer_ = null;
+	}
+};
+
+
+/**
+ * Redraws the clusters.
+ * @return {Promise} Resolved once the clusters are rendered, if promises are
+ *   supported.
+ */
+MarkerClusterer.prototype.redraw = function() {
+	this.createClusters_();
+	return this.whenClustered_();
+};
+
+
+/**
+ * Returns a promise resolved once the last requested clustering pass is
+ * rendered.
+ * @return {Promise} The promise, or undefined if promises are not supported.
+ * @private
+ */
+MarkerClusterer.prototype.whenClustered_ = function() {
+	if (typeof Promise === 'undefined') {
+		return;
+	}
+
+	if (!this.worker_ || this.renderedPass_ == this.workerPass_) {
+		return Promise.resolve();
+	}
+
+	var that = this;
+	return new Promise(function (resolve) {
+		that.passResolvers_.push(resolve);
+	});
+};
+
+/**
+ * Returns the cluster of a marker.
+ * @param {google.maps.Marker|Object} marker The marker or data point.
+ * @return {Cluster} The cluster, or null if the marker is in no cluster of the
+ *   viewport.
+ */
+MarkerClusterer.prototype.getMarkerCluster = function (marker) {
+	var cluster = this.markerClusters_[getMarkerId(marker)];
+	// Removed clusters have no markers anymore
+	return cluster && cluster.markers_ ? cluster : null;
+};
+
+
+/**
+ * Returns the clusters whose center is in some bounds. Clusters only exist
+ * for the viewport and its padding: `getClustersAsGeoJson` computes the
+ * clusters of other bounds.
+ * @param {google.maps.LatLngBounds} bounds The bounds.
+ * @return {Array.<Cluster>} The clusters, including those with too few
+ *   markers to show an icon.
+ */
+MarkerClusterer.prototype.getClustersInBounds = function(bounds) {
+	return this.searchClusters_(boundsToArray(bounds));
+};
+
+
+/**
+ * Returns the cluster covering a position at the current zoom level, the one
+ * with the nearest center less than the grid size away. Like
+ * `getClustersInBounds`, it only finds the clusters of the viewport and its
+ * padding: `getClustersAsGeoJson` computes the clusters of other bounds.
+ * @param {google.maps.LatLng} latLng The position.
+ * @return {Cluster} The cluster, or null.
+ */
+MarkerClusterer.prototype.getClusterAt = function(latLng) {
+	if (!this.map_) {
+		return null;
+	}
+
+	var zoom = this.map_.getZoom();
+	var size = ClusterCore.worldSize(zoom);
+	var point = {lat: latLng.lat(), lng: latLng.lng()};
+	var p = ClusterCore.projectLatLng(point, zoom);
+
+	var bbox = ClusterCore.extendBounds([point.lat, point.lng, point.lat, point.lng], zoom, this.gridSize);
+	var clusters = this.searchClusters_(bbox);
+
+	var nearest = null;
+	var nearestDist = this.gridSize * this.gridSize;
+	for (var i = 0, cluster; cluster = clusters[i]; i++) {
+		var center = cluster.getCenter();
+		var c = ClusterCore.projectLatLng({lat: center.lat(), lng: center.lng()}, zoom);
+		// The shortest way may cross the antimeridian
+		var dx = Math.abs(c.x - p.x);
+		dx = Math.min(dx, size - dx);
+		var dy = c.y - p.y;
+		var dist = dx * dx + dy * dy;
+		if (dist <= nearestDist) {
+			nearest = cluster;
+			nearestDist = dist;
+		}
+	}
+	return nearest;
+};
+
+
+/**
+ * Returns the zoom level at which the markers of a cluster stop being all in
+ * one cluster. In hierarchical mode, without a worker, it is read from the
+ * index. Otherwise the markers of the cluster are clustered again at each
+ * next zoom level until they split, which takes longer the more markers the
+ * cluster has: use the `hierarchical` option to query large clusters.
+ * @param {Cluster} cluster The cluster.
+ * @return {?number} The zoom level, or null if the markers never split, as
+ *   they overlap or stay clustered up to the maximum zoom of the map.
+ */
+MarkerClusterer.prototype.getClusterExpansionZoom = function(cluster) {
+	if (cluster.node_ && this.index_ && this.index_ === this.clustersIndex_) {
+		return this.index_.getExpansionZoom(cluster.node_, this.clustersZoom_);
+	}
+
+	if (!this.map_ || cluster.getSize() < 2 || cluster.isOverlapping()) {
+		return null;
+	}
+
+	var maxZoom = this.map_.get('maxZoom');
+	if (maxZoom === undefined || maxZoom === null) {
+		maxZoom = MarkerClusterer.MAX_MAP_ZOOM;
+	}
+	for (var z = Math.floor(this.clustersZoom_) + 1; z <= maxZoom; z++) {
+		// Markers are not clustered above the maximum zoom level
+		if (this.maxZoom !== null && z > this.maxZoom) {
+			return z;
+		}
+
+		var groups = ClusterCore.clusterPoints(cluster.getMarkers(), {
+			zoom: z,
+			gridSize: this.gridSize,
+			algorithm: this.algorithm,
+			getLatLng: this.getMarkerLatLng_.bind(this)
+		});
+		if (groups.length > 1) {
+			return z;
+		}
+	}
+	return null;
+};
+
+
+/**
+ * Returns a page of the markers of a cluster.
+ * @param {Cluster} cluster The cluster.
+ * @param {number=} limit The maximum number of markers. Defaults to all.
+ * @param {number=} offset The number of markers to skip. Defaults to 0.
+ * @return {Array.<google.maps.Marker>} The markers.
+ */
+MarkerClusterer.prototype.getLeaves = function(cluster, limit, offset) {
+	offset = offset || 0;
+	var markers = cluster.getMarkers();
+	return markers.slice(offset, limit === undefined ? markers.length : offset + limit);
+};
+
+
+/**
+ * Searches the clusters whose center is in some bounds, building the spatial
+ * index of the clusters if it is out of date.
+ * @param {Array.<number>} bbox The bounds.
+ * @return {Array.<Cluster>} The clusters.
+ * @private
+ */
+MarkerClusterer.prototype.searchClusters_ = function(bbox) {
+	if (!this.clusterTree_) {
+		var nodes = [];
+		for (var i = 0, cluster; cluster = this.clusters_[i]; i++) {
+			var center = cluster.getCenter();
+			cluster.treeNode_ = center ? [center.lat(), center.lng(), cluster] : null;
+			if (cluster.treeNode_) {
+				nodes.push(cluster.treeNode_);
+			}
+		}
+		this.clusterTree_ = rbush(9, ['[0]', '[1]', '[0]', '[1]']).load(nodes);
+	}
+
+	var clusters = [];
+	var parts = ClusterCore.splitBounds(bbox);
+	for (var i = 0; i < parts.length; i++) {
+		var nodes = this.clusterTree_.search(parts[i]);
+		for (var j = 0; j < nodes.length; j++) {
+			clusters.push(nodes[j][2]);
+		}
+	}
+	return clusters;
+};
+
+
+/**
+ * Moves the node of a cluster in the spatial index of the clusters, if built,
+ * after its center changed.
+ * @param {Cluster} cluster The cluster.
+ * @private
+ */
+MarkerClusterer.prototype.updateClusterNode_ = function(cluster) {
+	if (!this.clusterTree_) {
+		return;
+	}
+
+	if (cluster.treeNode_) {
+		this.clusterTree_.remove(cluster.treeNode_);
+	}
+	var center = cluster.getCenter();
+	cluster.treeNode_ = center ? [center.lat(), center.lng(), cluster] : null;
+	if (cluster.treeNode_) {
+		this.clusterTree_.insert(cluster.treeNode_);
+	}
+};
+
+
+/**
+ * Removes a cluster and its icon. Its markers are left out of clusters until
+ * the next redraw.
+ * @param {Cluster} cluster The cluster.
+ */
+MarkerClusterer.prototype.removeCluster = function (cluster) {
+	this.removeClusters_([cluster]);
+};
+
+
+/**
+ * Removes clusters and their icons, in a single pass over the clusters for
+ * all of them. Clusters already removed, or of another clusterer, are left
+ * out.
+ * @param {Array.<Cluster>} clusters The clusters.
+ * @private
+ */
+MarkerClusterer.prototype.removeClusters_ = function(clusters) {
+	var removed = 0;
+	for (var i = 0, cluster; cluster = clusters[i]; i++) {
+		// Removed clusters have no markers anymore
+		if (cluster.getMarkerClusterer() !== this || !cluster.markers_) continue;
+
+		if (this.spiderfier_.getCluster() === cluster) {
+			this.unspiderfy();
+		}
+
+		delete this.nodeClusters_[cluster.nodeId_];
+		for (var j = 0, marker; marker = cluster.markers_[j]; j++) {
+			var id = getMarkerId(marker);
+			if (this.markerClusters_[id] === cluster) {
+				delete this.markerClusters_[id];
+			}
+		}
+		if (this.clusterTree_ && cluster.treeNode_) {
+			this.clusterTree_.remove(cluster.treeNode_);
+		}
+		cluster.remove();
+		removed++;
+	}
+	if (!removed) {
+		return;
+	}
+
+	var kept = 0;
+	for (var i = 0, cluster; cluster = this.clusters_[i]; i++) {
+		if (cluster.markers_) {
+			this.clusters_[kept++] = cluster;
+		}
+	}
+	this.clusters_.length = kept;
+};
+
+
+/**
+ * Fans out the markers of a cluster around its center, with lines to it.
+ * Any other spiderfied cluster is collapsed first.
+ * @param {Cluster} cluster The cluster.
+ */
+MarkerClusterer.prototype.spiderfyCluster = function(cluster) {
+	this.spiderfier_.spiderfy(cluster);
+};
+
+
+/**
+ * Collapses the spiderfied cluster, if any, moving its markers back to their
+ * position.
+ */
+MarkerClusterer.prototype.unspiderfy = function() {
+	this.spiderfier_.unspiderfy();
+};
+
+
+/**
+ * Opens an info window at the center of a cluster, listing its markers.
+ * @param {Cluster} cluster The cluster.
+ */
+MarkerClusterer.prototype.openClusterInfo = function(cluster) {
+	this.clusterInfo_.open(cluster);
+};
+
+
+/**
+ * Closes the info window of a cluster, if open.
+ */
+MarkerClusterer.prototype.closeClusterInfo = function() {
+	this.clusterInfo_.close();
+};
+
+
+/**
+ * Determines if zooming into a cluster can separate its markers.
+ * @param {Cluster} cluster The cluster.
+ * @return {boolean} False if the markers overlap or the map cannot zoom in.
+ * @private
+ */
+MarkerClusterer.prototype.canZoomInto_ = function(cluster) {
+	if (cluster.isOverlapping()) {
+		return false;
+	}
+
+	var maxZoom = this.map_.get('maxZoom');
+	if (maxZoom === undefined || maxZoom === null) {
+		maxZoom = MarkerClusterer.MAX_MAP_ZOOM;
+	}
+	return this.map_.getZoom() < maxZoom;
+};
+
+
+/**
+ * Returns the canvas layer all icons are painted on by the canvas renderer,
+ * creating it if needed.
+ * @return {CanvasLayer} The layer.
+ * @private
+ */
+MarkerClusterer.prototype.getCanvasLayer_ = function() {
+	if (!this.canvasLayer_) {
+		this.canvasLayer_ = new CanvasLayer(this);
+	}
+	return this.canvasLayer_;
+};
+
+
+/**
+ * Returns the point of a marker sent to the worker, or indexed once its id is
+ * replaced by the marker.
+ * @param {google.maps.Marker} marker The marker.
+ * @return {Array.<number>} The point, as `[lat, lng, id, weight]`.
+ * @private
+ */
+MarkerClusterer.prototype.getMarkerPoint_ = function(marker) {
+	var pos = this.getMarkerLatLng_(marker);
+	return [pos.lat, pos.lng, getMarkerId(marker), this.getMarkerWeight_(marker)];
+};
+
+
+/**
+ * Returns the weight of a marker.
+ * @param {google.maps.Marker} marker The marker.
+ * @return {number} The weight, 1 without the `weight` option.
+ * @private
+ */
+MarkerClusterer.prototype.getMarkerWeight_ = function(marker) {
+	if (!this.weight) {
+		return 1;
+	}
+
+	var weight = typeof this.weight == 'function' ?
+		this.weight(marker) : getMarkerProperty(marker, this.weight);
+	weight = Number(weight);
+	return isFinite(weight) ? weight : 0;
+};
+
+
+/**
+ * Determines if markers are enough to form a cluster, by their number and,
+ * with the `minimumClusterWeight` option, their total weight.
+ * @param {number} count The number of markers.
+ * @param {number} weight Their total weight.
+ * @return {boolean} True if they are hidden behind a cluster icon.
+ * @private
+ */
+MarkerClusterer.prototype.isClusterSize_ = function(count, weight) {
+	if (count < this.minClusterSize) {
+		return false;
+	}
+	return this.minClusterWeight === null || weight >= this.minClusterWeight;
+};
+
+
+/**
+ * Returns the style and text of the icon of a cluster.
+ * @param {Cluster} cluster The cluster.
+ * @return {{style: Object, text: string}} The style, or null if there are no
+ *   styles, and the text.
+ * @private
+ */
+MarkerClusterer.prototype.getIconStyle_ = function(cluster) {
+	var result = this.calculator(cluster.getMarkers(), this.styles,
+		cluster.getAggregates(), cluster.getWeight());
+	var index = Math.max(0, Math.min(result.index, this.styles.length - 1));
+	return {style: this.styles[index] || null, text: result.text};
+};
+
+
+function boundsToArray(bounds) {
 	var ne = bounds.getNorthEast();
 	var sw = bounds.getSouthWest();
 
-	return [
-		Math.min(ne.lat(), sw.lat()),
-		Math.min(ne.lng(), sw.lng()),
-		Math.max(ne.lat(), sw.lat()),
-		Math.max(ne.lng(), sw.lng())
-	];
+	// The west stays greater than the east for bounds crossing the
+	// antimeridian
+	return [
+		Math.min(ne.lat(), sw.lat()),
+		sw.lng(),
+		Math.max(ne.lat(), sw.lat()),
+		ne.lng()
+	];
+}
+
+/**
+ * Returns the view of a map clusters are created for.
+ * @param {google.maps.Map} map The map.
+ * @return {{bounds: Array.<number>, zoom: number}} The view bounds and zoom
+ *   level.
+ * @ignore
+ */
+function getMapView(map) {
+	return {bounds: boundsToArray(map.getBounds()), zoom: map.getZoom()};
+}
+
+/**
+ * Returns the bounds clusters are created in: the map view bounds, extended
+ * by the padding.
+ * @param {Object=} view The map view, see `getMapView`. Read from the map by
+ *   default.
+ * @return {Array.<number>} The bounds.
+ * @private
+ */
+MarkerClusterer.prototype.getClusteringBounds_ = function(view) {
+	view = view || getMapView(this.map_);
+	return ClusterCore.extendBounds(view.bounds, view.zoom, this.padding);
+};
+
+/**
+ * Creates the clusters.
+ * @param {Object=} view The map view, see `getMapView`. Read from the map by
+ *   default.
+ * @private
+ */
+MarkerClusterer.prototype.createClusters_ = function(view) {
+	if (!this.ready_) {
+		return;
+	}
+
+	view = view || getMapView(this.map_);
+	var zoom = view.zoom;
+	var bbox = this.getClusteringBounds_(view);
+
+	this.sweepClusters_(bbox);
+	this.updateStandaloneMarkers_(bbox);
+
+	if (this.worker_) {
+		// Passes superseded before their results come back end with the last one
+		if (this.renderedPass_ == this.workerPass_) {
+			this.beginClustering_();
+		}
+
+		this.worker_.postMessage({
+			type: 'cluster',
+			pass: ++this.workerPass_,
+			bbox: bbox,
+			zoom: zoom
+		});
+		return;
+	}
+
+	this.beginClustering_();
+	this.clustersZoom_ = zoom;
+
+	if (this.hierarchical) {
+		this.createIndexedClusters_(bbox, zoom);
+	} else {
+		this.createGroupedClusters_(bbox, zoom);
+	}
+
+	this.endClustering_(zoom);
+};
+
+
+/**
+ * Removes the clusters which left the viewport, hiding their markers, so that
+ * the markers of data points are released. They are clustered again when
+ * back in view.
+ * @param {Array.<number>} bbox The bounds of the viewport.
+ * @private
+ */
+MarkerClusterer.prototype.sweepClusters_ = function(bbox) {
+	var removed = [];
+	var markers = [];
+	for (var i = 0, cluster; cluster = this.clusters_[i]; i++) {
+		var center = cluster.getCenter();
+		if (center && ClusterCore.containsLatLng(bbox, {lat: center.lat(), lng: center.lng()})) {
+			continue;
+		}
+
+		removed.push(cluster);
+		markers.push.apply(markers, cluster.getMarkers());
+	}
+
+	this.removeClusters_(removed);
+	for (var i = 0, marker; marker = markers[i]; i++) {
+		this.hideMarker_(marker);
+	}
+};
+
+
+/**
+ * Triggers the clusteringbegin event.
+ * @private
+ */
+MarkerClusterer.prototype.beginClustering_ = function() {
+	this.clusteringStart_ = Date.now();
+	google.maps.event.trigger(this, 'clusteringbegin', this);
+};
+
+
+/**
+ * Triggers the clusteringend event, with statistics about the clusters.
+ * @param {number} zoom The zoom level of the clusters.
+ * @private
+ */
+MarkerClusterer.prototype.endClustering_ = function(zoom) {
+	google.maps.event.trigger(this, 'clusteringend', this, {
+		clusters: this.clusters_.length,
+		markers: this.markers_.length,
+		zoom: zoom,
+		time: Date.now() - this.clusteringStart_
+	});
+};
+
+
+/**
+ * Creates the clusters of the current zoom level by grouping the markers in
+ * view with the clustering algorithm.
+ * @param {Array.<number>} bbox The bounds to create clusters in.
+ * @param {number} zoom The zoom level.
+ * @private
+ */
+MarkerClusterer.prototype.createGroupedClusters_ = function(bbox, zoom) {
+	var markers = [];
+	var inBounds = this.getMarkersInBounds_(bbox);
+	for (var i = 0, marker; marker = inBounds[i]; i++) {
+		if (this.getMarkerCluster(marker)) continue;
+		if (!this.isClustered_(marker)) continue;
+
+		markers.push(marker);
+	}
+
+	var groups = ClusterCore.clusterPoints(markers, {
+		zoom: zoom,
+		gridSize: this.gridSize,
+		bounds: bbox,
+		algorithm: this.algorithm,
+		getLatLng: this.getMarkerLatLng_.bind(this)
+	});
+
+	for (var i = 0, group; group = groups[i]; i++) {
+		var cluster = new Cluster(this);
+		cluster.addMarkers(group.points);
+
+		this.clusters_.push(cluster);
+	}
+};
+
+
+/**
+ * Returns the markers in some bounds, from the spatial index.
+ * @param {Array.<number>} bbox The bounds.
+ * @return {Array.<google.maps.Marker>} The markers.
+ * @private
+ */
+MarkerClusterer.prototype.getMarkersInBounds_ = function(bbox) {
+	var markers = [];
+	var parts = ClusterCore.splitBounds(bbox);
+	for (var i = 0; i < parts.length; i++) {
+		var nodes = this.tree_.search(parts[i]);
+		for (var j = 0; j < nodes.length; j++) {
+			markers.push(nodes[j][2]);
+		}
+	}
+	return markers;
+};
+
+
+/**
+ * Creates the clusters of the current zoom level from the cluster index,
+ * building the index first if needed.
+ * @param {Array.<number>} bbox The bounds to create clusters in.
+ * @param {number} zoom The zoom level.
+ * @private
+ */
+MarkerClusterer.prototype.createIndexedClusters_ = function(bbox, zoom) {
+	var index = this.getIndex_();
+	var released = [];
+	if (index !== this.clustersIndex_) {
+		// Clusters of a previous index are not valid anymore
+		for (var i = 0, cluster; cluster = this.clusters_[i]; i++) {
+			released.push.apply(released, cluster.getMarkers());
+		}
+		this.resetViewport();
+		this.clustersIndex_ = index;
+	}
+
+	var nodes = index.getClusters(bbox, zoom);
+
+	// Clusters changed in the index since they were shown have new ids
+	var ids = {};
+	for (var i = 0, node; node = nodes[i]; i++) {
+		ids[node.id] = true;
+	}
+	var removed = [];
+	for (var i = 0, cluster; cluster = this.clusters_[i]; i++) {
+		if (ids[cluster.nodeId_]) continue;
+
+		released.push.apply(released, cluster.getMarkers());
+		removed.push(cluster);
+	}
+	this.removeClusters_(removed);
+
+	for (var i = 0, node; node = nodes[i]; i++) {
+		// Clusters already shown in the viewport are kept as is
+		if (this.nodeClusters_[node.id]) continue;
+
+		var cluster = new Cluster(this);
+		cluster.nodeId_ = node.id;
+		cluster.node_ = node;
+
+		cluster.addMarkers(index.getLeaves(node));
+
+		this.clusters_.push(cluster);
+		this.nodeClusters_[node.id] = cluster;
+	}
+
+	// Markers of the previous and changed clusters may be in none anymore
+	for (var i = 0, marker; marker = released[i]; i++) {
+		if (!this.getMarkerCluster(marker)) {
+			this.hideMarker_(marker);
+		}
+	}
+};
+
+
+/**
+ * Returns the cluster index of the clustered markers, building it if needed.
+ * @return {ClusterIndex} The index.
+ * @private
+ */
+MarkerClusterer.prototype.getIndex_ = function() {
+	if (!this.index_) {
+		this.setIndex_(this.buildIndex_());
+	}
+	return this.index_;
+};
+
+
+/**
+ * Builds a cluster index of the clustered markers.
+ * @return {ClusterIndex} The index.
+ * @private
+ */
+MarkerClusterer.prototype.buildIndex_ = function() {
+	var points = [];
+	for (var i = 0, marker; marker = this.markers_[i]; i++) {
+		if (this.isClustered_(marker)) {
+			var point = this.getMarkerPoint_(marker);
+			point[2] = marker;
+			points.push(point);
+		}
+	}
+
+	var index = new ClusterCore.ClusterIndex(this.getIndexOptions_());
+	index.load(points);
+	return index;
+};
+
+
+/**
+ * Returns a cluster index of the clustered markers to read on the main
+ * thread. In worker mode, it is built again each time rather than kept, as
+ * only the index of the worker is updated.
+ * @return {ClusterIndex} The index.
+ * @private
+ */
+MarkerClusterer.prototype.getLocalIndex_ = function() {
+	return this.worker_ ? this.buildIndex_() : this.getIndex_();
+};
+
+
+/**
+ * Sets the cluster index of all the clustered markers.
+ * @param {ClusterIndex} index The index.
+ * @private
+ */
+MarkerClusterer.prototype.setIndex_ = function(index) {
+	this.index_ = index;
+
+	// Leaves are found by marker id to update the index
+	this.indexLeaves_ = {};
+	var nodes = index.getClusters([-90, -180, 90, 180], index.maxZoom + 1);
+	for (var i = 0, node; node = nodes[i]; i++) {
+		this.indexLeaves_[getMarkerId(node.data)] = node;
+	}
+};
+
+
+/**
+ * Returns the options of the cluster index.
+ * @return {Object} The options, see `ClusterIndex`.
+ * @private
+ */
+MarkerClusterer.prototype.getIndexOptions_ = function() {
+	return {
+		gridSize: this.gridSize,
+		minZoom: this.minZoom,
+		maxZoom: this.maxZoom,
+		averageCenter: this.averageCenter,
+		algorithm: this.algorithm
+	};
+};
+
+
+/**
+ * Starts the clustering worker.
+ * @param {Worker|string} worker The worker or its URL.
+ * @param {Array.<string>} imports The URLs of the scripts the worker imports.
+ * @private
+ */
+MarkerClusterer.prototype.initWorker_ = function(worker, imports) {
+	// The worker creates the algorithm again from its name and options
+	var algorithm = ClusterCore.createAlgorithm(this.algorithm.name, this.algorithm.options);
+	if (algorithm.constructor !== this.algorithm.constructor) {
+		throw new Error('Unknown algorithm in worker mode: ' + this.algorithm.name);
+	}
+
+	if (typeof worker === 'string') {
+		worker = new Worker(worker);
+		this.ownsWorker_ = true;
+	}
+	this.worker_ = worker;
+
+	var that = this;
+	this.workerListener_ = function (e) {
+		that.onWorkerMessage_(e.data);
+	};
+	this.workerErrorListener_ = function (e) {
+		that.onWorkerError_(e);
+	};
+	worker.addEventListener('message', this.workerListener_);
+	worker.addEventListener('error', this.workerErrorListener_);
+	worker.addEventListener('messageerror', this.workerErrorListener_);
+
+	worker.postMessage({
+		type: 'init',
+		imports: imports,
+		options: {
+			gridSize: this.gridSize,
+			minZoom: this.minZoom,
+			maxZoom: this.maxZoom,
+			averageCenter: this.averageCenter,
+			algorithm: {name: this.algorithm.name, options: this.algorithm.options},
+			hierarchical: this.hierarchical
+		}
+	});
+};
+
+
+/**
+ * Stops listening to the worker, and terminates it if the clusterer started
+ * it.
+ * @private
+ */
+MarkerClusterer.prototype.releaseWorker_ = function() {
+	this.worker_.removeEventListener('message', this.workerListener_);
+	this.worker_.removeEventListener('error', this.workerErrorListener_);
+	this.worker_.removeEventListener('messageerror', this.workerErrorListener_);
+	if (this.ownsWorker_) {
+		this.worker_.terminate();
+	}
+	this.worker_ = null;
+};
+
+
+/**
+ * Falls back to clustering on the main thread once the worker failed, and
+ * renders the passes still waiting for it.
+ * @param {Event|Object} e The error event, or message of the worker.
+ * @private
+ */
+MarkerClusterer.prototype.onWorkerError_ = function(e) {
+	this.releaseWorker_();
+	this.renderedPass_ = this.workerPass_;
+	this.resetOnResult_ = false;
+	this.workerVersion_ = null;
+
+	google.maps.event.trigger(this, 'workererror', e);
+
+	this.repaint();
+	this.resolvePasses_();
+};
+
+
+/**
+ * Renders the clusters computed by the worker.
+ * @param {Object} msg The worker message.
+ * @private
+ */
+MarkerClusterer.prototype.onWorkerMessage_ = function(msg) {
+	if (msg.type == 'error') {
+		this.onWorkerError_(msg);
+		return;
+	}
+	if (msg.type != 'clusters') return;
+
+	// Results of a pass requested before the last one are for a view the map
+	// has already left.
+	if (msg.pass != this.workerPass_) return;
+
+	var previous = null;
+	var released = [];
+	if (this.resetOnResult_ || msg.version !== this.workerVersion_) {
+		this.resetOnResult_ = false;
+		this.workerVersion_ = msg.version;
+		for (var i = 0, cluster; cluster = this.clusters_[i]; i++) {
+			released.push.apply(released, cluster.getMarkers());
+		}
+		previous = this.beginTransition_(msg.zoom);
+		this.resetViewport();
+	}
+
+	// Clusters changed since they were shown come back with new ids
+	var ids = {};
+	for (var i = 0, c; c = msg.clusters[i]; i++) {
+		ids[c.id] = true;
+	}
+	var removed = [];
+	for (var i = 0, cluster; cluster = this.clusters_[i]; i++) {
+		if (ids[cluster.nodeId_]) continue;
+
+		released.push.apply(released, cluster.getMarkers());
+		removed.push(cluster);
+	}
+	this.removeClusters_(removed);
+
+	for (var i = 0, c; c = msg.clusters[i]; i++) {
+		// Clusters already shown in the viewport are kept as is
+		if (this.nodeClusters_[c.id]) continue;
+
+		var markers = [];
+		for (var j = 0; j < c.ids.length; j++) {
+			var marker = this.markers_[this.markerIndex_[c.ids[j]]];
+			// The marker may have been removed since the pass was requested
+			if (marker) {
+				markers.push(marker);
+			}
+		}
+		if (!markers.length) continue;
+
+		var cluster = new Cluster(this);
+		cluster.nodeId_ = c.id;
+		cluster.addMarkers(markers);
+
+		this.clusters_.push(cluster);
+		this.nodeClusters_[c.id] = cluster;
+	}
+
+	// Markers of the changed or reset clusters may be in none anymore
+	for (var i = 0, marker; marker = released[i]; i++) {
+		if (!this.getMarkerCluster(marker)) {
+			this.hideMarker_(marker);
+		}
+	}
+
+	this.clustersZoom_ = msg.zoom;
+	this.animateTransition_(previous);
+	this.renderedPass_ = msg.pass;
+	this.endClustering_(msg.zoom);
+	this.resolvePasses_();
+};
+
+
+/**
+ * Resolves the promises waiting for the requested clustering passes.
+ * @private
+ */
+MarkerClusterer.prototype.resolvePasses_ = function() {
+	var resolvers = this.passResolvers_;
+	this.passResolvers_ = [];
+	for (var i = 0; i < resolvers.length; i++) {
+		resolvers[i]();
+	}
+};
+
+
+/**
+ * Manages named layers of markers clustered on the same map, each with its
+ * own clusterer options, and redraws them all in a single pass when the map
+ * is idle. Layers of the same group are clustered together, so that their
+ * clusters do not fight for the same screen space, and clusters mixing
+ * markers of several layers are shown with their own styles.
+ * @param {google.maps.Map} map The Google map to attach to.
+ * @param {Object=} options support the following options:
+ * * `mixedStyles`: (Array.<Object>) The styles of clusters mixing layers, see
+ *   the `styles` option of `MarkerClusterer`. Defaults to
+ *   `ClusterLayerManager.MIXED_STYLES`.
+ * * `mixedCalculator`: (function(Array.<google.maps.Marker>, Array.<Object>,
+ *   Object, number): {text: string, index: number}) The calculator of
+ *   clusters mixing layers. Defaults to `MarkerClusterer.CALCULATOR`.
+ * @constructor
+ */
+function ClusterLayerManager(map, options) {
+	options = options || {};
+
+	this.map_ = map;
+	this.mixedStyles = options.mixedStyles || ClusterLayerManager.MIXED_STYLES;
+	this.mixedCalculator = options.mixedCalculator || MarkerClusterer.CALCULATOR;
+
+	this.layers_ = {};
+	this.groups_ = {};
+
+	// Layer names, by marker id
+	this.markerLayers_ = {};
+
+	var that = this;
+	this.listeners_ = [
+		google.maps.event.addListener(map, 'zoom_changed', function () {
+			that.forEachClusterer_(function (clusterer) {
+				clusterer.onZoomChanged_();
+			});
+		}),
+		google.maps.event.addListener(map, 'click', function () {
+			that.forEachClusterer_(function (clusterer) {
+				clusterer.unspiderfy();
+			});
+		}),
+		google.maps.event.addListener(map, 'idle', function () {
+			that.onIdle_();
+		}),
+		google.maps.event.addListener(map, 'bounds_changed', function () {
+			that.forEachClusterer_(function (clusterer) {
+				clusterer.onBoundsChanged_();
+			});
+		})
+	];
+}
+
+/**
+ * The default styles of clusters mixing layers.
+ * @type {Array.<Object>}
+ */
+ClusterLayerManager.MIXED_STYLES = [{
+	color: 'rgba(103, 58, 183, 0.85)',
+	width: 40,
+	height: 40,
+	textColor: '#fff',
+	textSize: 12,
+	fontFamily: 'Arial, sans-serif',
+	fontWeight: 'bold'
+}, {
+	minCount: 100,
+	color: 'rgba(103, 58, 183, 0.85)',
+	width: 52,
+	height: 52,
+	textColor: '#fff',
+	textSize: 13,
+	fontFamily: 'Arial, sans-serif',
+	fontWeight: 'bold'
+}];
+
+
+/**
+ * The options the layers of a group set for themselves.
+ * @type {Object.<string, boolean>}
+ * @private
+ */
+ClusterLayerManager.LAYER_OPTIONS = {group: true, styles: true, calculator: true};
+
+
+/**
+ * Adds a layer of markers.
+ * @param {string} name The layer name.
+ * @param {Array.<google.maps.Marker|Object>=} markers The markers or data
+ *   points of the layer, see `MarkerClusterer.prototype.addMarkers`.
+ * @param {Object=} options The options of the `MarkerClusterer` of the layer,
+ *   and:
+ * * `group`: (string) The name of the group the layer is clustered with.
+ *   Layers without a group are clustered alone. The `styles` and
+ *   `calculator` of the layers of a group stay their own. The layers share
+ *   the other options of the first layer added to the group: they can leave
+ *   them out, but setting one to another value, such as another `gridSize`
+ *   or `maxZoom`, throws an error. Options are compared by value: object
+ *   options such as `aggregations` or `hullOptions` can be repeated as new
+ *   objects.
+ * @return {MarkerClusterer} The clusterer of the layer.
+ */
+ClusterLayerManager.prototype.addLayer = function(name, markers, options) {
+	if (this.layers_[name]) {
+		throw new Error('Duplicate layer: ' + name);
+	}
+	options = options || {};
+
+	// Group and layer names must not clash
+	var key = options.group ? 'group:' + options.group : 'layer:' + name;
+	var group = this.groups_[key];
+	if (group) {
+		// The clusterer of the group only has the options of its first layer
+		for (var option in options) {
+			if (!ClusterLayerManager.LAYER_OPTIONS[option] &&
+					!sameValue(options[option], group.options[option])) {
+				throw new Error('Conflicting option of layer ' + name + ' in group ' +
+					options.group + ': ' + option);
+			}
+		}
+	} else {
+		group = this.groups_[key] = {key: key, options: options, layers: [], styles: [], mixedOffset: 0};
+		group.clusterer = this.createClusterer_(group, options);
+	}
+
+	var layer = {
+		name: name,
+		group: group,
+		styles: options.styles || MarkerClusterer.DEFAULT_STYLES,
+		calculator: options.calculator || MarkerClusterer.CALCULATOR,
+		styleOffset: 0
+	};
+	this.layers_[name] = layer;
+	group.layers.push(layer);
+	this.updateStyles_(group);
+
+	// Clusters of the group are created again, to mix in the markers
+	this.addMarkers(name, markers || [], true);
+	group.clusterer.repaint();
+	return group.clusterer;
+};
+
+
+/**
+ * Removes a layer and its markers.
+ * @param {string} name The layer name.
+ */
+ClusterLayerManager.prototype.removeLayer = function(name) {
+	var layer = this.getLayer_(name);
+	var group = layer.group;
+
+	var markers = [];
+	var clustererMarkers = group.clusterer.getMarkers();
+	for (var i = 0, marker; marker = clustererMarkers[i]; i++) {
+		var id = getMarkerId(marker);
+		if (this.markerLayers_[id] === name) {
+			delete this.markerLayers_[id];
+			markers.push(marker);
+		}
+	}
+
+	delete this.layers_[name];
+	group.layers.splice(group.layers.indexOf(layer), 1);
+
+	if (!group.layers.length) {
+		group.clusterer.destroy();
+		delete this.groups_[group.key];
+		return;
+	}
+
+	group.clusterer.removeMarkers(markers, true);
+	this.updateStyles_(group);
+	group.clusterer.repaint();
+};
+
+
+/**
+ * Adds markers to a layer.
+ * @param {string} name The layer name.
+ * @param {Array.<google.maps.Marker|Object>} markers The markers or data
+ *   points to add.
+ * @param {boolean=} nodraw Whether to redraw the clusters.
+ */
+ClusterLayerManager.prototype.addMarkers = function(name, markers, nodraw) {
+	var layer = this.getLayer_(name);
+	for (var i = 0, marker; marker = markers[i]; i++) {
+		this.markerLayers_[getMarkerId(marker)] = name;
+	}
+	layer.group.clusterer.addMarkers(markers, nodraw);
+};
+
+
+/**
+ * Removes markers from a layer.
+ * @param {string} name The layer name.
+ * @param {Array.<google.maps.Marker|Object>} markers The markers or data
+ *   points to remove.
+ * @param {boolean=} nodraw Whether to redraw the clusters.
+ * @return {boolean} True if markers were removed.
+ */
+ClusterLayerManager.prototype.removeMarkers = function(name, markers, nodraw) {
+	var layer = this.getLayer_(name);
+
+	var removed = [];
+	for (var i = 0, marker; marker = markers[i]; i++) {
+		var id = getMarkerId(marker);
+		if (this.markerLayers_[id] === name) {
+			delete this.markerLayers_[id];
+			removed.push(marker);
+		}
+	}
+	return layer.group.clusterer.removeMarkers(removed, nodraw);
+};
+
+
+/**
+ * Returns the clusterer of a layer, shared by the layers of its group.
+ * @param {string} name The layer name.
+ * @return {MarkerClusterer} The clusterer.
+ */
+ClusterLayerManager.prototype.getClusterer = function(name) {
+	return this.getLayer_(name).group.clusterer;
+};
+
+
+/**
+ * Returns the number of markers of each layer in a cluster.
+ * @param {Cluster} cluster The cluster.
+ * @return {Object.<string, number>} The numbers of markers, by layer name.
+ */
+ClusterLayerManager.prototype.getClusterLayers = function(cluster) {
+	var counts = {};
+	var markers = cluster.getMarkers();
+	for (var i = 0, marker; marker = markers[i]; i++) {
+		var name = this.markerLayers_[getMarkerId(marker)];
+		counts[name] = (counts[name] || 0) + 1;
+	}
+	return counts;
+};
+
+
+/**
+ * Redraws the clusters of all layers.
+ * @return {Promise} Resolved once the clusters are rendered, if promises are
+ *   supported.
+ */
+ClusterLayerManager.prototype.redraw = function() {
+	return this.forEachClusterer_(function (clusterer) {
+		return clusterer.redraw();
+	});
+};
+
+
+/**
+ * Clears the clusters of all layers and recreates them.
+ * @return {Promise} Resolved once the clusters are rendered, if promises are
+ *   supported.
+ */
+ClusterLayerManager.prototype.repaint = function() {
+	return this.forEachClusterer_(function (clusterer) {
+		return clusterer.repaint();
+	});
+};
+
+
+/**
+ * Destroys the clusterers of all layers and removes the map listeners. The
+ * manager cannot be used afterwards.
+ */
+ClusterLayerManager.prototype.destroy = function() {
+	this.forEachClusterer_(function (clusterer) {
+		clusterer.destroy();
+	});
+	for (var i = 0; i < this.listeners_.length; i++) {
+		google.maps.event.removeListener(this.listeners_[i]);
+	}
+
+	this.listeners_ = [];
+	this.layers_ = {};
+	this.groups_ = {};
+	this.markerLayers_ = {};
+};
+
+
+/**
+ * Returns a layer.
+ * @param {string} name The layer name.
+ * @return {Object} The layer.
+ * @private
+ */
+ClusterLayerManager.prototype.getLayer_ = function(name) {
+	var layer = this.layers_[name];
+	if (!layer) {
+		throw new Error('Unknown layer: ' + name);
+	}
+	return layer;
+};
+
+
+/**
+ * Handles the map becoming idle, clustering all groups in a single pass over
+ * the map view, which is read once for all of them.
+ * @return {Promise} Resolved once the clusters of all groups are rendered, if
+ *   promises are supported.
+ * @private
+ */
+ClusterLayerManager.prototype.onIdle_ = function() {
+	var view = getMapView(this.map_);
+	return this.forEachClusterer_(function (clusterer) {
+		return clusterer.onIdle_(view);
+	});
+};
+
+
+/**
+ * Calls a function with the clusterer of each group.
+ * @param {function(MarkerClusterer): Promise} callback The function.
+ * @return {Promise} Resolved once the promises returned by the function are,
+ *   if promises are supported.
+ * @private
+ */
+ClusterLayerManager.prototype.forEachClusterer_ = function(callback) {
+	var promises = [];
+	for (var key in this.groups_) {
+		promises.push(callback(this.groups_[key].clusterer));
+	}
+
+	if (typeof Promise !== 'undefined') {
+		return Promise.all(promises);
+	}
+};
+
+
+/**
+ * Creates the clusterer of a group. Its styles are those of all the layers of
+ * the group, followed by the mixed styles, and its calculator picks among
+ * them depending on the layers of the markers of a cluster.
+ * @param {Object} group The group.
+ * @param {Object} options The options of the first layer of the group.
+ * @return {MarkerClusterer} The clusterer.
+ * @private
+ */
+ClusterLayerManager.prototype.createClusterer_ = function(group, options) {
+	var clustererOptions = {};
+	for (var key in options) {
+		clustererOptions[key] = options[key];
+	}
+	delete clustererOptions.group;
+	clustererOptions.mapEvents = false;
+	clustererOptions.styles = group.styles;
+
+	var that = this;
+	clustererOptions.calculator = function (markers, styles, aggregates, weight) {
+		return that.calculate_(group, markers, aggregates, weight);
+	};
+
+	return new MarkerClusterer(this.map_, [], clustererOptions);
+};
+
+
+/**
+ * Updates the styles of the clusterer of a group after its layers changed.
+ * @param {Object} group The group.
+ * @private
+ */
+ClusterLayerManager.prototype.updateStyles_ = function(group) {
+	var styles = group.styles;
+	styles.length = 0;
+	for (var i = 0, layer; layer = group.layers[i]; i++) {
+		layer.styleOffset = styles.length;
+		styles.push.apply(styles, layer.styles);
+	}
+	group.mixedOffset = styles.length;
+	styles.push.apply(styles, this.mixedStyles);
+};
+
+
+/**
+ * Computes the text and style of a cluster of a group, with the calculator
+ * of the layer of its markers, or the mixed calculator if they are from
+ * several layers.
+ * @param {Object} group The group.
+ * @param {Array.<google.maps.Marker>} markers The markers of the cluster.
+ * @param {Object} aggregates The aggregates of the cluster.
+ * @param {number} weight The total weight of the markers.
+ * @return {{text: string, index: number}} The text and the position of the
+ *   style in the styles of the group.
+ * @private
+ */
+ClusterLayerManager.prototype.calculate_ = function(group, markers, aggregates, weight) {
+	var layer = null;
+	for (var i = 0, marker; marker = markers[i]; i++) {
+		var l = this.layers_[this.markerLayers_[getMarkerId(marker)]];
+		if (layer && l !== layer) {
+			layer = null;
+			break;
+		}
+		layer = l;
+	}
+
+	var styles = layer ? layer.styles : this.mixedStyles;
+	var calculator = layer ? layer.calculator : this.mixedCalculator;
+	var offset = layer ? layer.styleOffset : group.mixedOffset;
+
+	var result = calculator(markers, styles, aggregates, weight);
+	var index = Math.max(0, Math.min(result.index, styles.length - 1));
+	return {text: result.text, index: offset + index};
+};
+
+
+/**
+ * Fans out the markers of a cluster around its center, on a circle for a few
+ * markers and on a spiral for more.
+ * @param {MarkerClusterer} markerClusterer The markerclusterer that this
+ *   spiderfier is associated with.
+ * @param {google.maps.PolylineOptions=} legOptions The style of the lines
+ *   between the markers and the cluster center.
+ * @constructor
+ * @ignore
+ */
+function Spiderfier(markerClusterer, legOptions) {
+	this.markerClusterer_ = markerClusterer;
+	this.legOptions_ = legOptions || {
+		strokeColor: '#444',
+		strokeOpacity: 0.8,
+		strokeWeight: 1.5
+	};
+
+	this.cluster_ = null;
+	this.spiders_ = [];
+	this.legs_ = [];
+}
+
+// Layout constants, in pixels
+Spiderfier.CIRCLE_MAX_MARKERS = 8;
+Spiderfier.CIRCLE_SEPARATION = 23;
+Spiderfier.SPIRAL_SEPARATION = 26;
+Spiderfier.SPIRAL_START = 11;
+Spiderfier.SPIRAL_GROWTH = 4;
+
+
+/**
+ * Returns the spiderfied cluster.
+ * @return {Cluster} The cluster, or null.
+ */
+Spiderfier.prototype.getCluster = function() {
+	return this.cluster_;
+};
+
+
+/**
+ * Spiderfies a cluster, collapsing the previous one.
+ * @param {Cluster} cluster The cluster.
+ */
+Spiderfier.prototype.spiderfy = function(cluster) {
+	this.unspiderfy();
+
+	var map = this.markerClusterer_.getMap();
+	var zoom = map.getZoom();
+	var size = ClusterCore.worldSize(zoom);
+	var center = cluster.getCenter();
+	var c = ClusterCore.projectLatLng({lat: center.lat(), lng: center.lng()}, zoom);
+
+	var markers = cluster.getMarkers().slice();
+	var offsets = this.getOffsets_(markers.length);
+
+	for (var i = 0, marker; marker = markers[i]; i++) {
+		var position = new google.maps.LatLng(
+			ClusterCore.yLat((c.y + offsets[i].y) / size),
+			ClusterCore.xLng((c.x + offsets[i].x) / size));
+
+		// Only the shown marker moves, the clusterer keeps its own position
+		this.markerClusterer_.showMarker_(marker);
+		this.markerClusterer_.displaceMarker_(marker, position);
+		this.spiders_.push(marker);
+
+		var legOptions = {clickable: false, map: map, path: [center, position]};
+		for (var key in this.legOptions_) {
+			legOptions[key] = this.legOptions_[key];
+		}
+		this.legs_.push(new google.maps.Polyline(legOptions));
+	}
+
+	cluster.clusterIcon_.hide();
+	cluster.hideHull();
+	this.cluster_ = cluster;
+
+	google.maps.event.trigger(this.markerClusterer_, 'spiderfied', cluster, markers);
+};
+
+
+/**
+ * Collapses the spiderfied cluster, if any.
+ */
+Spiderfier.prototype.unspiderfy = function() {
+	var cluster = this.cluster_;
+	if (!cluster) {
+		return;
+	}
+
+	var markers = this.spiders_;
+	for (var i = 0, marker; marker = markers[i]; i++) {
+		this.markerClusterer_.restoreMarker_(marker);
+	}
+
+	for (var i = 0, leg; leg = this.legs_[i]; i++) {
+		leg.setMap(null);
+	}
+
+	this.cluster_ = null;
+	this.spiders_ = [];
+	this.legs_ = [];
+
+	// The cluster may have been removed meanwhile
+	if (cluster.markers_) {
+		if (cluster.isClusterSize_()) {
+			for (var i = 0, marker; marker = markers[i]; i++) {
+				this.markerClusterer_.hideMarker_(marker);
+			}
+		}
+		cluster.updateIcon();
+	}
+
+	google.maps.event.trigger(this.markerClusterer_, 'unspiderfied', cluster, markers);
+};
+
+
+/**
+ * Returns the pixel offsets of spiderfied markers from the cluster center.
+ * @param {number} count The number of markers.
+ * @return {Array.<{x: number, y: number}>} The offsets.
+ * @private
+ */
+Spiderfier.prototype.getOffsets_ = function(count) {
+	var offsets = [];
+
+	if (count <= Spiderfier.CIRCLE_MAX_MARKERS) {
+		var circumference = Spiderfier.CIRCLE_SEPARATION * (count + 2);
+		var radius = circumference / (2 * Math.PI);
+		var step = 2 * Math.PI / count;
+		for (var i = 0; i < count; i++) {
+			var angle = i * step;
+			offsets.push({x: radius * Math.cos(angle), y: radius * Math.sin(angle)});
+		}
+		return offsets;
+	}
+
+	var length = Spiderfier.SPIRAL_START;
+	var angle = 0;
+	for (var i = 0; i < count; i++) {
+		angle += Spiderfier.SPIRAL_SEPARATION / length + i * 0.0005;
+		offsets.push({x: length * Math.cos(angle), y: length * Math.sin(angle)});
+		length += 2 * Math.PI * Spiderfier.SPIRAL_GROWTH / angle;
+	}
+	return offsets;
+};
+
+
+/**
+ * An info window listing the markers of a cluster, a page at a time.
+ * Activating a row triggers `clusteritemselect` on the clusterer with the
+ * marker and the cluster.
+ * @param {MarkerClusterer} markerClusterer The markerclusterer that this
+ *   info window is associated with.
+ * @param {Object} options support the following options:
+ * * `renderItem`: (function(google.maps.Marker): (string|Node)) Returns the
+ *   content of the row of a marker, HTML if a string. Defaults to
+ *   `ClusterInfoWindow.renderItem`.
+ * * `pageSize`: (number) The number of rows per page. Defaults to 10.
+ * * `infoWindowOptions`: (google.maps.InfoWindowOptions) The options of the
+ *   info window.
+ * @constructor
+ * @ignore
+ */
+function ClusterInfoWindow(markerClusterer, options) {
+	this.markerClusterer_ = markerClusterer;
+	this.renderItem_ = options.renderItem || ClusterInfoWindow.renderItem;
+	this.pageSize_ = options.pageSize || 10;
+	this.infoWindowOptions_ = options.infoWindowOptions || {};
+
+	this.infoWindow_ = null;
+	this.content_ = null;
+	this.listeners_ = [];
+
+	// The cluster and its markers when the window was opened, as the cluster
+	// may be removed meanwhile
+	this.cluster_ = null;
+	this.markers_ = [];
+	this.page_ = 0;
+}
+
+
+/**
+ * Returns the content of the row of a marker: its title, or the id of a data
+ * point.
+ * @param {google.maps.Marker|Object} marker The marker or data point.
+ * @return {Node} The content.
+ */
+ClusterInfoWindow.renderItem = function(marker) {
+	var title = getMarkerProperty(marker, 'title');
+	if (title === undefined || title === null) {
+		title = marker.id !== undefined ? marker.id : '';
+	}
+	return document.createTextNode(String(title));
+};
+
+
+/**
+ * Returns the cluster the info window is open for.
+ * @return {Cluster} The cluster, or null.
+ */
+ClusterInfoWindow.prototype.getCluster = function() {
+	return this.cluster_;
+};
+
+
+/**
+ * Opens the info window at the center of a cluster, on its first page.
+ * @param {Cluster} cluster The cluster.
+ */
+ClusterInfoWindow.prototype.open = function(cluster) {
+	if (!this.infoWindow_) {
+		this.create_();
+	}
+
+	this.cluster_ = cluster;
+	this.markers_ = cluster.getMarkers().slice();
+	this.page_ = 0;
+	this.render_();
+
+	this.infoWindow_.setPosition(cluster.getCenter());
+	this.infoWindow_.open(this.markerClusterer_.getMap());
+};
+
+
+/**
+ * Closes the info window, if open.
+ */
+ClusterInfoWindow.prototype.close = function() {
+	if (this.infoWindow_) {
+		this.infoWindow_.close();
+	}
+	this.cluster_ = null;
+	this.markers_ = [];
+};
+
+
+/**
+ * Shows a page of the markers.
+ * @param {number} page The page, from 0.
+ */
+ClusterInfoWindow.prototype.setPage = function(page) {
+	var pages = Math.ceil(this.markers_.length / this.pageSize_);
+	this.page_ = Math.max(0, Math.min(page, pages - 1));
+	this.render_();
+};
+
+
+/**
+ * Closes the info window and removes its listeners.
+ */
+ClusterInfoWindow.prototype.destroy = function() {
+	this.close();
+	for (var i = 0; i < this.listeners_.length; i++) {
+		google.maps.event.removeListener(this.listeners_[i]);
+	}
+	this.listeners_ = [];
+	this.infoWindow_ = null;
+	this.content_ = null;
+};
+
+
+/**
+ * Creates the info window and its content element, with listeners for the
+ * rows and page buttons it will hold.
+ * @private
+ */
+ClusterInfoWindow.prototype.create_ = function() {
+	this.infoWindow_ = new google.maps.InfoWindow(this.infoWindowOptions_);
+	this.content_ = document.createElement('div');
+	this.content_.className = 'cluster-info';
+
+	var that = this;
+	this.listeners_.push(
+		google.maps.event.addListener(this.infoWindow_, 'closeclick', function () {
+			that.cluster_ = null;
+			that.markers_ = [];
+		}),
+		google.maps.event.addDomListener(this.content_, 'click', function (e) {
+			that.activate_(e.target);
+		}),
+		google.maps.event.addDomListener(this.content_, 'keydown', function (e) {
+			if (e.key === 'Enter' || e.key === ' ' || e.key === 'Spacebar') {
+				e.preventDefault();
+				that.activate_(e.target);
+			}
+		})
+	);
+};
+
+
+/**
+ * Renders the current page of markers.
+ * @private
+ */
+ClusterInfoWindow.prototype.render_ = function() {
+	var content = this.content_;
+	content.innerHTML = '';
+
+	var list = document.createElement('ul');
+	list.className = 'cluster-info-items';
+	list.style.cssText = 'list-style:none; margin:0; padding:0;';
+
+	var start = this.page_ * this.pageSize_;
+	var end = Math.min(start + this.pageSize_, this.markers_.length);
+	for (var i = start; i < end; i++) {
+		var item = document.createElement('li');
+		item.className = 'cluster-info-item';
+		item.style.cssText = 'cursor:pointer;';
+		item.setAttribute('role', 'button');
+		item.setAttribute('tabindex', '0');
+		item.setAttribute('data-index', i);
+
+		var rendered = this.renderItem_(this.markers_[i]);
+		if (typeof rendered === 'string') {
+			item.innerHTML = rendered;
+		} else if (rendered) {
+			item.appendChild(rendered);
+		}
+		list.appendChild(item);
+	}
+	content.appendChild(list);
+
+	var pages = Math.ceil(this.markers_.length / this.pageSize_);
+	if (pages > 1) {
+		var pager = document.createElement('div');
+		pager.className = 'cluster-info-pager';
+		pager.appendChild(this.createPageButton_('\u2039', this.page_ - 1, this.page_ > 0));
+		pager.appendChild(document.createTextNode(' ' + (this.page_ + 1) + ' / ' + pages + ' '));
+		pager.appendChild(this.createPageButton_('\u203a', this.page_ + 1, this.page_ < pages - 1));
+		content.appendChild(pager);
+	}
+
+	// The window fits its new content
+	this.infoWindow_.setContent(content);
+};
+
+
+/**
+ * Creates a button showing another page.
+ * @param {string} label The button label.
+ * @param {number} page The page it shows.
+ * @param {boolean} enabled Whether the page exists.
+ * @return {Element} The button.
+ * @private
+ */
+ClusterInfoWindow.prototype.createPageButton_ = function(label, page, enabled) {
+	var button = document.createElement('button');
+	button.setAttribute('type', 'button');
+	button.setAttribute('data-page', page);
+	if (!enabled) {
+		button.setAttribute('disabled', 'disabled');
+	}
+	button.appendChild(document.createTextNode(label));
+	return button;
+};
+
+
+/**
+ * Handles the activation of an element of the content: selects the marker of
+ * a row, or shows the page of a button.
+ * @param {Element} target The activated element.
+ * @private
+ */
+ClusterInfoWindow.prototype.activate_ = function(target) {
+	for (var el = target; el && el !== this.content_; el = el.parentNode) {
+		var index = el.getAttribute && el.getAttribute('data-index');
+		if (index !== null && index !== undefined) {
+			google.maps.event.trigger(this.markerClusterer_, 'clusteritemselect',
+				this.markers_[index], this.cluster_);
+			return;
+		}
+
+		var page = el.getAttribute && el.getAttribute('data-page');
+		if (page !== null && page !== undefined) {
+			if (!el.hasAttribute || !el.hasAttribute('disabled')) {
+				this.setPage(parseInt(page, 10));
+			}
+			return;
+		}
+	}
+};
+
+
+/**
+ * An animation of cluster icons and markers moving between two positions.
+ * @param {MarkerClusterer} markerClusterer The markerclusterer that this
+ *   animation is associated with.
+ * @param {number} duration The duration in milliseconds.
+ * @constructor
+ * @ignore
+ */
+function ClusterTransition(markerClusterer, duration) {
+	this.markerClusterer_ = markerClusterer;
+	this.duration_ = duration;
+	this.moves_ = [];
+	this.endCallbacks_ = [];
+	this.frame_ = null;
+}
+
+
+/**
+ * Moves a cluster icon from a position to another.
+ * @param {ClusterIcon} icon The icon.
+ * @param {google.maps.LatLng} from The start position.
+ * @param {google.maps.LatLng} to The end position.
+ */
+ClusterTransition.prototype.moveIcon = function(icon, from, to) {
+	this.moves_.push({from: from, to: to, step: function (latLng) {
+		icon.setCenter(latLng);
+	}});
+};
+
+
+/**
+ * Moves a marker from a position to its own, or from its own to another.
+ * Only the shown marker moves: the clusterer keeps using its own position,
+ * which the marker is back at once the animation ends.
+ * @param {google.maps.Marker|Object} marker The marker or data point.
+ * @param {google.maps.LatLng} position The other position.
+ * @param {boolean=} away Whether the marker moves away from its position,
+ *   for the caller to hide it at the end.
+ */
+ClusterTransition.prototype.moveMarker = function(marker, position, away) {
+	var markerClusterer = this.markerClusterer_;
+	var own = markerClusterer.getMarkerPosition_(marker);
+	this.moves_.push({
+		from: away ? own : position,
+		to: away ? position : own,
+		step: function (latLng) {
+			markerClusterer.displaceMarker_(marker, latLng);
+		}
+	});
+
+	this.onEnd(function () {
+		markerClusterer.restoreMarker_(marker);
+	});
+};
+
+
+/**
+ * Adds a callback to run when the animation ends.
+ * @param {function()} callback The callback.
+ */
+ClusterTransition.prototype.onEnd = function(callback) {
+	this.endCallbacks_.push(callback);
+};
+
+
+/**
+ * Starts the animation.
+ */
+ClusterTransition.prototype.start = function() {
+	var that = this;
+	var start = null;
+
+	var frame = function (time) {
+		start = start || time;
+		var t = Math.min(1, (time - start) / that.duration_);
+		if (t >= 1) {
+			that.finish();
+			return;
+		}
+
+		// Ease out, so that moves start fast and settle smoothly
+		var k = 1 - Math.pow(1 - t, 3);
+		for (var i = 0, move; move = that.moves_[i]; i++) {
+			move.step(new google.maps.LatLng(
+				move.from.lat() + (move.to.lat() - move.from.lat()) * k,
+				move.from.lng() + (move.to.lng() - move.from.lng()) * k));
+		}
+
+		that.frame_ = requestFrame(frame);
+	};
+
+	this.frame_ = requestFrame(frame);
+};
+
+
+/**
+ * Ends the animation, leaving everything at its final place.
+ */
+ClusterTransition.prototype.finish = function() {
+	if (this.frame_ !== null) {
+		cancelFrame(this.frame_);
+		this.frame_ = null;
+	}
+	if (this.markerClusterer_.transition_ === this) {
+		this.markerClusterer_.transition_ = null;
+	}
+
+	for (var i = 0, move; move = this.moves_[i]; i++) {
+		move.step(move.to);
+	}
+	for (var i = 0; i < this.endCallbacks_.length; i++) {
+		this.endCallbacks_[i]();
+	}
+
+	this.moves_ = [];
+	this.endCallbacks_ = [];
+};
+
+
+/**
+ * Requests an animation frame, with a timer where animation frames are not
+ * supported.
+ * @param {function(number)} callback The frame callback, called with the
+ *   current time.
+ * @return {number} The request id.
+ * @ignore
+ */
+function requestFrame(callback) {
+	if (typeof requestAnimationFrame !== 'undefined') {
+		return requestAnimationFrame(callback);
+	}
+	return setTimeout(function () {
+		callback(Date.now());
+	}, 16);
+}
+
+/**
+ * Cancels an animation frame request.
+ * @param {number} id The request id.
+ * @ignore
+ */
+function cancelFrame(id) {
+	if (typeof cancelAnimationFrame !== 'undefined') {
+		cancelAnimationFrame(id);
+	} else {
+		clearTimeout(id);
+	}
+}
+
+
+/**
+ * A cluster that contains markers.
+ * @param {MarkerClusterer} markerClusterer The markerclusterer that this
+ * cluster is associated with.
+ * @constructor
+ * @ignore
+ */
+function Cluster(markerClusterer) {
+	this.markerClusterer_ = markerClusterer;
+	this.map_ = markerClusterer.getMap();
+	this.gridSize = markerClusterer.gridSize;
+	this.minClusterSize = markerClusterer.minClusterSize;
+	this.averageCenter = markerClusterer.averageCenter;
+	this.center_ = null;
+	this.markers_ = [];
+	this.bounds_ = null;
+	this.overlapping_ = true;
+	this.hull_ = null;
+	this.hullPolygon_ = null;
+
+	// Node of the cluster in the spatial index of the clusters
+	this.treeNode_ = null;
+
+	// Weighted sums of the marker positions, longitudes being taken on the
+	// side of the first marker, which may be across the antimeridian from
+	// others
+	this.weight_ = 0;
+	this.latSum_ = 0;
+	this.lngSum_ = 0;
+	this.refLng_ = 0;
+	this.aggregator_ = markerClusterer.aggregations ?
+		new ClusterCore.Aggregator(markerClusterer.aggregations, getMarkerProperty) : null;
+	if (markerClusterer.renderer == 'canvas') {
+		this.clusterIcon_ = new CanvasClusterIcon(this, markerClusterer.getCanvasLayer_());
+	} else {
+		this.clusterIcon_ = new ClusterIcon(this, markerClusterer.iconGenerator);
+	}
 }
 
 /**
- * Creates the clusters.
+ * Determins if a marker is already added to the cluster.
+ * @param {google.maps.Marker} marker The marker to check.
+ * @return {boolean} True if the marker is already added.
+ */
+Cluster.prototype.isMarkerAlreadyAdded = function(marker) {
+	return (this.markers_.indexOf(marker) != -1);
+};
+
+
+/**
+ * Add a marker the cluster.
+ * @param {google.maps.Marker} marker The marker to add.
+ * @param {boolean=} nodraw Whether to leave showing or hiding the markers and
+ *   the icon to the caller.
+ * @return {boolean} True if the marker was added.
+ */
+Cluster.prototype.addMarker = function(marker, nodraw) {
+	var markerClusters = this.markerClusterer_.markerClusters_;
+	var id = getMarkerId(marker);
+	if (markerClusters[id] === this) {
+		return false;
+	}
+
+	var wasCluster = this.isClusterSize_();
+	var center = this.center_;
+
+	var position = this.markerClusterer_.getMarkerPosition_(marker);
+	if (!this.center_) {
+		this.center_ = position;
+		this.refLng_ = position.lng();
+		this.calculateBounds_();
+	}
+
+	// Sums do not drift like a repeatedly updated average
+	var weight = this.markerClusterer_.getMarkerWeight_(marker);
+	this.weight_ += weight;
+	this.latSum_ += weight * position.lat();
+	this.lngSum_ += weight * (this.refLng_ + ClusterCore.wrapLng(position.lng() - this.refLng_));
+	if (this.averageCenter && this.markers_.length && this.weight_ > 0) {
+		this.center_ = new google.maps.LatLng(this.latSum_ / this.weight_,
+			ClusterCore.wrapLng(this.lngSum_ / this.weight_));
+		this.calculateBounds_();
+	}
+
+	if (this.markers_.length &&
+			!position.equals(this.markerClusterer_.getMarkerPosition_(this.markers_[0]))) {
+		this.overlapping_ = false;
+	}
+
+	this.markers_.push(marker);
+	if (this.aggregator_) {
+		this.aggregator_.add(marker);
+	}
+	this.invalidateHull_();
+
+	markerClusters[id] = this;
+	if (this.center_ !== center) {
+		this.markerClusterer_.updateClusterNode_(this);
+	}
+
+	if (nodraw) {
+		return true;
+	}
+
+	if (!this.isClusterSize_()) {
+		// Min cluster size not reached so show the marker.
+		this.markerClusterer_.showMarker_(marker);
+	} else if (!wasCluster) {
+		// Hide the markers that were showing.
+		for (var i = 0, m; m = this.markers_[i]; i++) {
+			this.markerClusterer_.hideMarker_(m);
+		}
+	} else {
+		this.markerClusterer_.hideMarker_(marker);
+	}
+
+	this.updateIcon();
+	return true;
+};
+
+
+/**
+ * Adds markers to the cluster, showing them or the icon once all are added.
+ * Unlike adding them one by one, this does not create markers for data
+ * points only to release them when the cluster grows.
+ * @param {Array.<google.maps.Marker>} markers The markers to add.
+ */
+Cluster.prototype.addMarkers = function(markers) {
+	for (var i = 0, marker; marker = markers[i]; i++) {
+		this.addMarker(marker, true);
+	}
+
+	var shown = !this.isClusterSize_();
+	for (var i = 0, marker; marker = this.markers_[i]; i++) {
+		if (shown) {
+			this.markerClusterer_.showMarker_(marker);
+		} else {
+			this.markerClusterer_.hideMarker_(marker);
+		}
+	}
+
+	this.updateIcon();
+};
+
+/**
+ * Removes a marker from the cluster, and updates its center and icon.
+ * @param {google.maps.Marker} marker The marker to remove.
+ * @return {boolean} True if the marker was removed.
+ */
+Cluster.prototype.removeMarker = function (marker) {
+	return this.removeMarkers([marker]) > 0;
+};
+
+
+/**
+ * Removes markers from the cluster, and updates its center and icon once.
+ * @param {Array.<google.maps.Marker>} markers The markers to remove.
+ * @return {number} The number of markers removed.
+ */
+Cluster.prototype.removeMarkers = function (markers) {
+	var ids = {};
+	for (var i = 0, marker; marker = markers[i]; i++) {
+		ids[getMarkerId(marker)] = true;
+	}
+
+	var wasCluster = this.isClusterSize_();
+	var wasFirst = this.markers_[0];
+	var center = this.center_;
+	var markerClusters = this.markerClusterer_.markerClusters_;
+	var kept = [];
+	for (var i = 0, marker; marker = this.markers_[i]; i++) {
+		var id = getMarkerId(marker);
+		if (!ids[id]) {
+			kept.push(marker);
+			continue;
+		}
+
+		if (this.aggregator_) {
+			this.aggregator_.remove(marker);
+		}
+		if (markerClusters[id] === this) {
+			delete markerClusters[id];
+		}
+	}
+
+	var removed = this.markers_.length - kept.length;
+	if (!removed) {
+		return 0;
+	}
+
+	this.markers_ = kept;
+	this.invalidateHull_();
+
+	var len = this.markers_.length;
+	if (!len) {
+		this.center_ = null;
+		this.weight_ = this.latSum_ = this.lngSum_ = 0;
+		this.markerClusterer_.updateClusterNode_(this);
+		this.clusterIcon_.hide();
+		return removed;
+	}
+
+	var first = this.markerClusterer_.getMarkerPosition_(this.markers_[0]);
+	this.overlapping_ = true;
+	for (var j = 1; j < len; j++) {
+		if (!this.markerClusterer_.getMarkerPosition_(this.markers_[j]).equals(first)) {
+			this.overlapping_ = false;
+			break;
+		}
+	}
+
+	// The sums are computed again, rather than subtracted from
+	this.weight_ = this.latSum_ = this.lngSum_ = 0;
+	this.refLng_ = first.lng();
+	for (var j = 0; j < len; j++) {
+		var pos = this.markerClusterer_.getMarkerPosition_(this.markers_[j]);
+		var weight = this.markerClusterer_.getMarkerWeight_(this.markers_[j]);
+		this.weight_ += weight;
+		this.latSum_ += weight * pos.lat();
+		this.lngSum_ += weight * (this.refLng_ + ClusterCore.wrapLng(pos.lng() - this.refLng_));
+	}
+
+	if (this.averageCenter && this.weight_ > 0) {
+		this.center_ = new google.maps.LatLng(this.latSum_ / this.weight_,
+			ClusterCore.wrapLng(this.lngSum_ / this.weight_));
+	} else if (this.averageCenter || this.markers_[0] !== wasFirst) {
+		// There is no weight to average, or the center was the position of a
+		// removed marker
+		this.center_ = first;
+	}
+	this.calculateBounds_();
+	if (this.center_ !== center) {
+		this.markerClusterer_.updateClusterNode_(this);
+	}
+
+	if (wasCluster && !this.isClusterSize_()) {
+		// Min cluster size not reached anymore so show the markers.
+		for (var j = 0; j < len; j++) {
+			this.markerClusterer_.showMarker_(this.markers_[j]);
+		}
+	}
+
+	this.updateIcon();
+	return removed;
+};
+
+
+/**
+ * Returns the marker clusterer that the cluster is associated with.
+ * @return {MarkerClusterer} The associated marker clusterer.
+ */
+Cluster.prototype.getMarkerClusterer = function() {
+	return this.markerClusterer_;
+};
+
+
+/**
+ * Returns the bounds of the cluster.
+ * @return {google.maps.LatLngBounds} the cluster bounds.
+ */
+Cluster.prototype.getBounds = function() {
+	var bounds = new google.maps.LatLngBounds(this.center_, this.center_);
+	for (var i = 0, marker; marker = this.markers_[i]; i++) {
+		bounds.extend(this.markerClusterer_.getMarkerPosition_(marker));
+	}
+	return bounds;
+};
+
+
+/**
+ * Removes the cluster
+ */
+Cluster.prototype.remove = function() {
+	this.clusterIcon_.remove();
+	this.hideHull();
+	this.markers_.length = 0;
+	delete this.markers_;
+};
+
+
+/**
+ * Returns the center of the cluster.
+ * @return {number} The cluster center.
+ */
+Cluster.prototype.getSize = function() {
+	return this.markers_.length;
+};
+
+
+/**
+ * Returns the center of the cluster.
+ * @return {Array.<google.maps.Marker>} The cluster center.
+ */
+Cluster.prototype.getMarkers = function() {
+	return this.markers_;
+};
+
+
+/**
+ * Returns the center of the cluster.
+ * @return {google.maps.LatLng} The cluster center.
+ */
+Cluster.prototype.getCenter = function() {
+	return this.center_;
+};
+
+
+/**
+ * Determines if all the markers of the cluster share the same position, so
+ * that zooming cannot separate them.
+ * @return {boolean} True if the markers overlap.
+ */
+Cluster.prototype.isOverlapping = function() {
+	return this.markers_.length > 1 && this.overlapping_;
+};
+
+
+/**
+ * Returns the total weight of the markers in the cluster.
+ * @return {number} The weight, the number of markers without the `weight`
+ *   option of the clusterer.
+ */
+Cluster.prototype.getWeight = function() {
+	return this.weight_;
+};
+
+
+/**
+ * Determines if the cluster has enough markers, and enough weight, to hide
+ * them behind its icon.
+ * @return {boolean} True if the markers are hidden behind the icon.
+ * @private
+ */
+Cluster.prototype.isClusterSize_ = function() {
+	return this.markerClusterer_.isClusterSize_(this.markers_.length, this.weight_);
+};
+
+
+/**
+ * Returns the aggregates of the markers in the cluster.
+ * @return {Object} The aggregates, by name, as configured by the
+ *   `aggregations` option.
+ */
+Cluster.prototype.getAggregates = function() {
+	return this.aggregator_ ? this.aggregator_.getAggregates() : {};
+};
+
+
+/**
+ * Returns the hull of the markers of the cluster, convex or concave depending
+ * on the `hull` option of the clusterer.
+ * @return {Array.<google.maps.LatLng>} The positions on the hull, in order
+ *   around it.
+ */
+Cluster.prototype.getHull = function() {
+	if (!this.hull_) {
+		var points = [];
+		for (var i = 0, marker; marker = this.markers_[i]; i++) {
+			var position = this.markerClusterer_.getMarkerPosition_(marker);
+			points.push({lat: position.lat(), lng: position.lng(), position: position});
+		}
+
+		var markerClusterer = this.markerClusterer_;
+		var hull = markerClusterer.hull == 'concave' ?
+			ClusterCore.concaveHull(points, markerClusterer.hullConcavity) : ClusterCore.convexHull(points);
+		this.hull_ = hull.map(function (p) { return p.position; });
+	}
+	return this.hull_;
+};
+
+
+/**
+ * Draws the hull of the cluster on the map, with the `hullOptions` of the
+ * clusterer.
+ */
+Cluster.prototype.showHull = function() {
+	if (this.hullPolygon_) {
+		return;
+	}
+
+	var options = {clickable: false, map: this.map_, paths: this.getHull()};
+	var hullOptions = this.markerClusterer_.hullOptions;
+	for (var key in hullOptions) {
+		options[key] = hullOptions[key];
+	}
+	this.hullPolygon_ = new google.maps.Polygon(options);
+};
+
+
+/**
+ * Removes the hull of the cluster from the map, if drawn.
+ */
+Cluster.prototype.hideHull = function() {
+	if (this.hullPolygon_) {
+		this.hullPolygon_.setMap(null);
+		this.hullPolygon_ = null;
+	}
+};
+
+
+/**
+ * Forgets the hull of the cluster after its markers changed, and redraws it
+ * if drawn.
+ * @private
+ */
+Cluster.prototype.invalidateHull_ = function() {
+	this.hull_ = null;
+	if (this.hullPolygon_) {
+		this.hullPolygon_.setPaths(this.getHull());
+	}
+};
+
+
+/**
+ * Calculated the extended bounds of the cluster with the grid.
  * @private
  */
-MarkerClusterer.prototype.createClusters_ = function() {
-	if (!this.ready_) {
+Cluster.prototype.calculateBounds_ = function() {
+	var bounds = new google.maps.LatLngBounds(this.center_, this.center_);
+	this.bounds_ = this.markerClusterer_.getExtendedBounds(bounds);
+};
+
+
+/**
+ * Determines if a marker lies in the clusters bounds.
+ * @param {google.maps.Marker} marker The marker to check.
+ * @return {boolean} True if the marker lies in the bounds.
+ */
+Cluster.prototype.isMarkerInClusterBounds = function(marker) {
+	return this.bounds_.contains(this.markerClusterer_.getMarkerPosition_(marker));
+};
+
+
+/**
+ * Returns the map that the cluster is associated with.
+ * @return {google.maps.Map} The map.
+ */
+Cluster.prototype.getMap = function() {
+	return this.map_;
+};
+
+
+/**
+ * Updates the cluster icon
+ */
+Cluster.prototype.updateIcon = function() {
+	var zoom = this.map_.getZoom();
+	var mz = this.markerClusterer_.maxZoom;
+
+	// Overlapping markers stay behind the icon, to be spiderfied
+	if (mz && zoom > mz && !(this.markerClusterer_.spiderfy && this.isOverlapping())) {
+		// The zoom is greater than our max zoom so show all the markers in cluster.
+		for (var i = 0, marker; marker = this.markers_[i]; i++) {
+			this.markerClusterer_.showMarker_(marker);
+		}
 		return;
 	}
 
-	// Get our current map view bounds.
-	// Create a new bounds object so we don't affect the map.
-	var mapBounds = this.map_.getBounds();
-	mapBounds = new google.maps.LatLngBounds(mapBounds.getSouthWest(), mapBounds.getNorthEast());
-	mapBounds = this.getExtendedBounds(mapBounds);
+	if (!this.isClusterSize_()) {
+		// Min cluster size not yet reached.
+		this.clusterIcon_.hide();
+		return;
+	}
 
-	for (var i = 0, marker; marker = this.markers_[i]; i++) {
-		if (marker.isAdded) continue;
+	this.clusterIcon_.center = this.center_;
+	this.clusterIcon_.show();
+};
 
-		var pos = marker.getPosition();
-		if (!mapBounds.contains(pos)) continue;
-		if (!this.isClusterable(marker)) continue;
 
-		// Create a new cluster for this marker
-		var cluster = new Cluster(this);
-		cluster.addMarker(marker);
+/**
+ * A cluster icon.
+ * @param {Cluster} cluster The cluster to be associated with.
+ * @param {Function} iconGenerator A function that generates cluster icons, or
+ *   null to show the calculator text.
+ * @constructor
+ * @extends google.maps.OverlayView
+ * @ignore
+ */
+function ClusterIcon(cluster, iconGenerator) {
+	extend(ClusterIcon, google.maps.OverlayView);
+
+	this.cluster_ = cluster;
+	this.iconGenerator = iconGenerator;
+	this.center = null;
+	this.map_ = cluster.getMap();
+	this.div_ = null;
+	this.visible_ = false;
+
+	this.width = 0;
+	this.height = 0;
+	this.style_ = {};
+	this.text_ = '';
 
-		// Calculate cluster bounds
-		var bounds = new google.maps.LatLngBounds(pos, pos);
-		bounds = this.getExtendedBounds(bounds);
+	this.setMap(this.map_);
+}
 
-		// Get markers in the cluster bounds
-		var nodes = this.tree_.search(boundsToArray(bounds));
-		for (var j = 0; j < nodes.length; j++) {
-			var m = nodes[j][2];
 
-			if (m.isAdded) continue;
-			if (!this.isClusterable(m)) continue;
+/**
+ * Triggers the clusterclick event and zoom's if the option is set.
+ */
+ClusterIcon.prototype.triggerClusterClick = function() {
+	var markerClusterer = this.cluster_.getMarkerClusterer();
+
+	// Trigger the clusterclick event.
+	this.triggerClusterEvent('clusterclick');
+
+	if (markerClusterer.spiderfy && this.cluster_.isOverlapping()) {
+		// Zooming cannot separate the markers
+		markerClusterer.spiderfyCluster(this.cluster_);
+	} else if (markerClusterer.infoWindow == 'always' || (markerClusterer.infoWindow &&
+			!markerClusterer.canZoomInto_(this.cluster_))) {
+		markerClusterer.openClusterInfo(this.cluster_);
+	} else if (markerClusterer.zoomOnClick) {
+		// Zoom into the cluster.
+		this.map_.fitBounds(this.cluster_.getBounds());
+	}
+};
+
+
+/**
+ * Triggers a cluster event on the clusterer, with the cluster and its
+ * aggregates.
+ * @param {string} type The event type.
+ */
+ClusterIcon.prototype.triggerClusterEvent = function(type) {
+	google.maps.event.trigger(this.cluster_.getMarkerClusterer(), type,
+		this.cluster_, this.cluster_.getAggregates());
+};
+
+
+/**
+ * Adding the cluster icon to the dom.
+ * @ignore
+ */
+ClusterIcon.prototype.onAdd = function() {
+	this.div_ = document.createElement('div');
+	if (this.visible_) {
+		this.applyStyle_();
+	}
+
+	// Make the icon reachable and usable with the keyboard
+	this.div_.setAttribute('role', 'button');
+	this.div_.setAttribute('tabindex', '0');
+
+	var panes = this.getPanes();
+	panes.overlayMouseTarget.appendChild(this.div_);
 
-			cluster.addMarker(m);
+	var that = this;
+	google.maps.event.addDomListener(this.div_, 'click', function(e) {
+		if (!isRepeatedClick(e)) {
+			that.triggerClusterClick();
 		}
+	});
+	google.maps.event.addDomListener(this.div_, 'keydown', function(e) {
+		that.onKeyDown_(e);
+	});
+	google.maps.event.addDomListener(this.div_, 'dblclick', function(e) {
+		// Keep the map from zooming in: the first click already handled it
+		e.stopPropagation();
+		that.triggerClusterEvent('clusterdblclick');
+	});
+	google.maps.event.addDomListener(this.div_, 'contextmenu', function(e) {
+		e.preventDefault();
+		that.triggerClusterEvent('clusterrightclick');
+	});
+	// Unlike mouseover and mouseout, these ignore moves between the icon content
+	google.maps.event.addDomListener(this.div_, 'mouseenter', function() {
+		that.triggerClusterEvent('clustermouseover');
+	});
+	google.maps.event.addDomListener(this.div_, 'mouseleave', function() {
+		that.triggerClusterEvent('clustermouseout');
+	});
+};
 
-		this.clusters_.push(cluster);
+
+/**
+ * Returns whether a click is the second one of a double click, or a later
+ * one. The browser fires a click for each, before the double click: only the
+ * first one is handled, the other ones would click the cluster again.
+ * @param {MouseEvent=} e The click event.
+ * @return {boolean} True if the click repeats another one.
+ * @ignore
+ */
+function isRepeatedClick(e) {
+	return !!e && e.detail > 1;
+}
+
+
+/**
+ * Arrow key directions, as unit vectors in pixels.
+ * @type {Object.<string, Array.<number>>}
+ * @ignore
+ */
+var arrowKeys = {
+	ArrowLeft: [-1, 0],
+	ArrowUp: [0, -1],
+	ArrowRight: [1, 0],
+	ArrowDown: [0, 1],
+	// Older browsers
+	Left: [-1, 0],
+	Up: [0, -1],
+	Right: [1, 0],
+	Down: [0, 1]
+};
+
+
+/**
+ * Handles the keyboard: Enter and Space activate the icon, arrow keys move the
+ * focus to the nearest cluster icon in their direction.
+ * @param {KeyboardEvent} e The event.
+ * @private
+ */
+ClusterIcon.prototype.onKeyDown_ = function(e) {
+	var key = e.key;
+	if (key === 'Enter' || key === ' ' || key === 'Spacebar') {
+		e.preventDefault();
+		this.triggerClusterClick();
+		return;
+	}
+
+	var direction = arrowKeys[key];
+	if (!direction) {
+		return;
+	}
+
+	// Keep the map from panning
+	e.preventDefault();
+	e.stopPropagation();
+
+	var next = this.getNeighbor_(direction[0], direction[1]);
+	if (next) {
+		next.div_.focus();
 	}
 };
 
 
 /**
- * A cluster that contains markers.
- * @param {MarkerClusterer} markerClusterer The markerclusterer that this
- * cluster is associated with.
- * @constructor
+ * Returns the nearest shown cluster icon in a direction. Icons off the
+ * direction axis are penalized, so that the focus moves as expected.
+ * @param {number} dx The x direction.
+ * @param {number} dy The y direction.
+ * @return {ClusterIcon} The icon, or null.
+ * @private
+ */
+ClusterIcon.prototype.getNeighbor_ = function(dx, dy) {
+	var projection = this.getProjection();
+	var from = projection.fromLatLngToDivPixel(this.center);
+	var clusters = this.cluster_.getMarkerClusterer().clusters_;
+
+	var best = null;
+	var bestScore = Infinity;
+	for (var i = 0, cluster; cluster = clusters[i]; i++) {
+		var icon = cluster.clusterIcon_;
+		if (icon === this || !icon.visible_ || !icon.div_) continue;
+
+		var to = projection.fromLatLngToDivPixel(icon.center);
+		var along = (to.x - from.x) * dx + (to.y - from.y) * dy;
+		if (along <= 0) continue;
+
+		var across = Math.abs((to.x - from.x) * dy - (to.y - from.y) * dx);
+		var score = along + 2 * across;
+		if (score < bestScore) {
+			best = icon;
+			bestScore = score;
+		}
+	}
+
+	return best;
+};
+
+
+/**
+ * Returns the accessible label of the icon.
+ * @return {string} The label.
+ * @private
+ */
+ClusterIcon.prototype.getAriaLabel_ = function() {
+	var label = this.cluster_.getMarkerClusterer().ariaLabel;
+	if (typeof label === 'function') {
+		return label(this.cluster_);
+	}
+	return label.replace(/\{count\}/g, this.cluster_.getSize());
+};
+
+
+/**
+ * Returns the position to place the div dending on the latlng.
+ * @param {google.maps.LatLng} latlng The position in latlng.
+ * @return {google.maps.Point} The position in pixels.
+ * @private
+ */
+ClusterIcon.prototype.getPosFromLatLng_ = function(latlng) {
+	var pos = this.getProjection().fromLatLngToDivPixel(latlng);
+	return anchorPosition(pos, this.width || 0, this.height || 0, this.anchor);
+};
+
+
+/**
+ * Moves the position of an icon to its top left corner, according to its
+ * anchor.
+ * @param {google.maps.Point} pos The position of the icon anchor in pixels.
+ * @param {number} width The icon width.
+ * @param {number} height The icon height.
+ * @param {number=} anchor The anchor, `MarkerClusterer.CENTER` by default.
+ * @return {google.maps.Point} The position of the top left corner.
  * @ignore
  */
-function Cluster(markerClusterer) {
-	this.markerClusterer_ = markerClusterer;
-	this.map_ = markerClusterer.getMap();
-	this.gridSize = markerClusterer.gridSize;
-	this.minClusterSize = markerClusterer.minClusterSize;
-	this.averageCenter = markerClusterer.averageCenter;
-	this.center_ = null;
-	this.markers_ = [];
-	this.bounds_ = null;
-	this.clusterIcon_ = new ClusterIcon(this, markerClusterer.iconGenerator, markerClusterer.gridSize);
+function anchorPosition(pos, width, height, anchor) {
+	anchor = anchor || MarkerClusterer.CENTER;
+
+	if (anchor & xalign.CENTER) {
+		pos.x -= width / 2;
+	}
+	if (anchor & xalign.RIGHT) {
+		pos.x -= width;
+	}
 
-	if (markerClusterer.clusterWidth && markerClusterer.clusterHeight) {
-		this.clusterIcon_.width = markerClusterer.clusterWidth;
-		this.clusterIcon_.height = markerClusterer.clusterHeight;
+	if (anchor & yalign.CENTER) {
+		pos.y -= height / 2;
 	}
-	if (markerClusterer.anchor) {
-		this.clusterIcon_.anchor = markerClusterer.anchor;
+	if (anchor & yalign.BOTTOM) {
+		pos.y -= height;
 	}
+
+	return pos;
 }
 
+
 /**
- * Determins if a marker is already added to the cluster.
- * @param {google.maps.Marker} marker The marker to check.
- * @return {boolean} True if the marker is already added.
+ * Draw the icon.
+ * @ignore
+ */
+ClusterIcon.prototype.draw = function() {
+	if (this.visible_) {
+		var pos = this.getPosFromLatLng_(this.center);
+		this.div_.style.top = pos.y + 'px';
+		this.div_.style.left = pos.x + 'px';
+		this.div_.setAttribute('aria-label', this.getAriaLabel_());
+
+		var content = this.iconGenerator ?
+			this.iconGenerator(this.cluster_.markers_, this.cluster_.getAggregates()) :
+			this.text_;
+		if (typeof content === 'object') {
+			this.div_.innerHTML = '';
+			this.div_.appendChild(content);
+		} else {
+			this.div_.innerHTML = content;
+		}
+	}
+};
+
+
+/**
+ * Moves the icon, without generating its content again.
+ * @param {google.maps.LatLng} center The new icon position.
+ */
+ClusterIcon.prototype.setCenter = function(center) {
+	this.center = center;
+	if (this.div_ && this.visible_) {
+		var pos = this.getPosFromLatLng_(center);
+		this.div_.style.top = pos.y + 'px';
+		this.div_.style.left = pos.x + 'px';
+	}
+};
+
+
+/**
+ * Hide the icon.
+ */
+ClusterIcon.prototype.hide = function() {
+	if (this.div_) {
+		this.div_.style.display = 'none';
+	}
+	this.visible_ = false;
+};
+
+
+/**
+ * Position and show the icon.
+ */
+ClusterIcon.prototype.show = function() {
+	// The style and content depend on the markers, which may have changed
+	this.useStyle_();
+	this.visible_ = true;
+
+	if (this.div_) {
+		this.applyStyle_();
+		this.draw();
+	}
+};
+
+
+/**
+ * Picks the style and text of the icon for the markers of its cluster.
+ * @private
+ */
+ClusterIcon.prototype.useStyle_ = function() {
+	var markerClusterer = this.cluster_.getMarkerClusterer();
+	var icon = markerClusterer.getIconStyle_(this.cluster_);
+
+	this.style_ = icon.style || {};
+	this.text_ = icon.text;
+	this.width = this.style_.width || markerClusterer.clusterWidth || 0;
+	this.height = this.style_.height || markerClusterer.clusterHeight || 0;
+	this.anchor = this.style_.anchor || markerClusterer.anchor;
+};
+
+
+/**
+ * Applies the style to the icon element, at the icon position.
+ * @private
+ */
+ClusterIcon.prototype.applyStyle_ = function() {
+	var pos = this.getPosFromLatLng_(this.center);
+	this.div_.style.cssText = this.createCss(pos);
+	this.div_.className = this.style_.className || '';
+};
+
+
+/**
+ * Remove the icon from the map
  */
-Cluster.prototype.isMarkerAlreadyAdded = function(marker) {
-	return (this.markers_.indexOf(marker) != -1);
+ClusterIcon.prototype.remove = function() {
+	this.setMap(null);
 };
 
 
 /**
- * Add a marker the cluster.
- * @param {google.maps.Marker} marker The marker to add.
- * @return {boolean} True if the marker was added.
+ * Implementation of the onRemove interface.
+ * @ignore
  */
-Cluster.prototype.addMarker = function(marker) {
-	if (this.isMarkerAlreadyAdded(marker)) {
-		return false;
+ClusterIcon.prototype.onRemove = function() {
+	if (this.div_ && this.div_.parentNode) {
+		google.maps.event.clearInstanceListeners(this.div_);
+		this.hide();
+		this.div_.parentNode.removeChild(this.div_);
+		this.div_ = null;
 	}
+};
 
-	if (!this.center_) {
-		this.center_ = marker.getPosition();
-		this.calculateBounds_();
-	} else {
-		if (this.averageCenter) {
-			var l = this.markers_.length + 1;
-			var lat = (this.center_.lat() * (l-1) + marker.getPosition().lat()) / l;
-			var lng = (this.center_.lng() * (l-1) + marker.getPosition().lng()) / l;
-			this.center_ = new google.maps.LatLng(lat, lng);
-			this.calculateBounds_();
-		}
-	}
 
-	marker.isAdded = true;
-	this.markers_.push(marker);
+/**
+ * Create the css text based on the position of the icon.
+ * @param {google.maps.Point} pos The position.
+ * @return {string} The css style text.
+ */
+ClusterIcon.prototype.createCss = function(pos) {
+	var style = this.style_;
+	var css = 'cursor:pointer; position:absolute; top:' + pos.y + 'px; left:' + pos.x + 'px;';
 
-	var len = this.markers_.length;
-	if (len < this.minClusterSize && marker.getMap() != this.map_) {
-		// Min cluster size not reached so show the marker.
-		marker.setMap(this.map_);
+	if (this.width && this.height) {
+		css += 'width:' + this.width + 'px; height:' + this.height + 'px;'
+			+ 'line-height:' + this.height + 'px; text-align:center;';
 	}
 
-	if (len == this.minClusterSize) {
-		// Hide the markers that were showing.
-		for (var i = 0; i < len; i++) {
-			this.markers_[i].setMap(null);
-		}
+	if (style.url) {
+		// Quoted, for URLs with spaces or parentheses
+		css += 'background-image:url("' + style.url.replace(/(["\\])/g, '\\$1') + '");'
+			+ ' background-size:100% 100%;';
+	} else if (style.color) {
+		css += 'background-color:' + style.color + '; border-radius:50%;';
 	}
 
-	if (len >= this.minClusterSize) {
-		marker.setMap(null);
+	if (style.textColor) {
+		css += 'color:' + style.textColor + ';';
+	}
+	if (style.textSize) {
+		css += 'font-size:' + style.textSize + 'px;';
+	}
+	if (style.fontFamily) {
+		css += 'font-family:' + style.fontFamily + ';';
+	}
+	if (style.fontWeight) {
+		css += 'font-weight:' + style.fontWeight + ';';
 	}
 
-	this.updateIcon();
-	return true;
+	return css;
 };
 
-Cluster.prototype.removeMarker = function (marker) {
-	var i = this.markers_.indexOf(marker);
-	if (i == -1) return false;
 
-	marker.isAdded = false;
+/**
+ * A single overlay painting the icons of all the clusters of a clusterer on a
+ * canvas, instead of an element per icon. Mouse events are matched to icons
+ * with a spatial index of the painted icons.
+ * @param {MarkerClusterer} markerClusterer The markerclusterer that this layer
+ *   is associated with.
+ * @constructor
+ * @extends google.maps.OverlayView
+ * @ignore
+ */
+function CanvasLayer(markerClusterer) {
+	extend(CanvasLayer, google.maps.OverlayView);
 
-	this.markers_.splice(i, 1);
-	return true;
-};
+	this.markerClusterer_ = markerClusterer;
+	this.icons_ = {};
+	this.nextId_ = 0;
 
+	this.canvas_ = null;
+	this.tree_ = rbush(9);
+	this.frame_ = null;
+	this.listeners_ = [];
+	this.hovered_ = null;
+
+	// The map whose options are changed while the mouse is over icons, and the
+	// options it had before
+	this.overMap_ = null;
+	this.mapOptions_ = null;
+
+	this.setMap(markerClusterer.getMap());
+}
 
 /**
- * Returns the marker clusterer that the cluster is associated with.
- * @return {MarkerClusterer} The associated marker clusterer.
+ * The size of icons without a size set, in pixels.
+ * @type {number}
  */
-Cluster.prototype.getMarkerClusterer = function() {
-	return this.markerClusterer_;
-};
+CanvasLayer.DEFAULT_SIZE = 36;
 
 
 /**
- * Returns the bounds of the cluster.
- * @return {google.maps.LatLngBounds} the cluster bounds.
+ * Adds an icon to the layer.
+ * @param {CanvasClusterIcon} icon The icon.
  */
-Cluster.prototype.getBounds = function() {
-	var bounds = new google.maps.LatLngBounds(this.center_, this.center_);
-	for (var i = 0, marker; marker = this.markers_[i]; i++) {
-		bounds.extend(marker.getPosition());
-	}
-	return bounds;
+CanvasLayer.prototype.add = function(icon) {
+	icon.layerId_ = this.nextId_++;
+	this.icons_[icon.layerId_] = icon;
+	this.invalidate();
 };
 
 
 /**
- * Removes the cluster
+ * Removes an icon from the layer.
+ * @param {CanvasClusterIcon} icon The icon.
  */
-Cluster.prototype.remove = function() {
-	this.clusterIcon_.remove();
-	this.markers_.length = 0;
-	delete this.markers_;
+CanvasLayer.prototype.remove = function(icon) {
+	delete this.icons_[icon.layerId_];
+	if (icon === this.hovered_) {
+		// The map options stay as over icons until the mouse moves, for the
+		// second click of a double click on the icon not to zoom in
+		this.hovered_ = null;
+		icon.triggerClusterEvent('clustermouseout');
+	}
+	this.invalidate();
 };
 
 
 /**
- * Returns the center of the cluster.
- * @return {number} The cluster center.
+ * Schedules painting the layer on the next animation frame.
  */
-Cluster.prototype.getSize = function() {
-	return this.markers_.length;
+CanvasLayer.prototype.invalidate = function() {
+	if (this.frame_ === null) {
+		var that = this;
+		this.frame_ = requestFrame(function () {
+			that.frame_ = null;
+			that.paint_();
+		});
+	}
 };
 
 
 /**
- * Returns the center of the cluster.
- * @return {Array.<google.maps.Marker>} The cluster center.
+ * Implementation of the onAdd interface.
+ * @ignore
  */
-Cluster.prototype.getMarkers = function() {
-	return this.markers_;
+CanvasLayer.prototype.onAdd = function() {
+	this.canvas_ = document.createElement('canvas');
+	this.canvas_.style.position = 'absolute';
+	this.canvas_.style.pointerEvents = 'none';
+	this.getPanes().overlayLayer.appendChild(this.canvas_);
+
+	var that = this;
+	var map = this.getMap();
+	this.listeners_ = [
+		google.maps.event.addListener(map, 'bounds_changed', function () {
+			that.invalidate();
+		}),
+		google.maps.event.addListener(map, 'click', function (e) {
+			var icon = that.getIconAt(e.latLng);
+			if (icon && !isRepeatedClick(e.domEvent)) {
+				icon.triggerClusterClick();
+			}
+		}),
+		google.maps.event.addListener(map, 'dblclick', function (e) {
+			var icon = that.getIconAt(e.latLng);
+			if (icon) {
+				icon.triggerClusterEvent('clusterdblclick');
+			}
+		}),
+		google.maps.event.addListener(map, 'rightclick', function (e) {
+			var icon = that.getIconAt(e.latLng);
+			if (icon) {
+				icon.triggerClusterEvent('clusterrightclick');
+			}
+		}),
+		google.maps.event.addListener(map, 'mousemove', function (e) {
+			that.setHovered_(that.getIconAt(e.latLng));
+		}),
+		google.maps.event.addListener(map, 'mouseout', function () {
+			that.setHovered_(null);
+		})
+	];
 };
 
 
 /**
- * Returns the center of the cluster.
- * @return {google.maps.LatLng} The cluster center.
+ * Implementation of the draw interface.
+ * @ignore
  */
-Cluster.prototype.getCenter = function() {
-	return this.center_;
+CanvasLayer.prototype.draw = function() {
+	this.paint_();
 };
 
 
 /**
- * Calculated the extended bounds of the cluster with the grid.
- * @private
+ * Implementation of the onRemove interface.
+ * @ignore
  */
-Cluster.prototype.calculateBounds_ = function() {
-	var bounds = new google.maps.LatLngBounds(this.center_, this.center_);
-	this.bounds_ = this.markerClusterer_.getExtendedBounds(bounds);
+CanvasLayer.prototype.onRemove = function() {
+	for (var i = 0; i < this.listeners_.length; i++) {
+		google.maps.event.removeListener(this.listeners_[i]);
+	}
+	this.listeners_ = [];
+
+	if (this.frame_ !== null) {
+		cancelFrame(this.frame_);
+		this.frame_ = null;
+	}
+
+	this.setHovered_(null);
+	if (this.canvas_ && this.canvas_.parentNode) {
+		this.canvas_.parentNode.removeChild(this.canvas_);
+	}
+	this.canvas_ = null;
 };
 
 
 /**
- * Determines if a marker lies in the clusters bounds.
- * @param {google.maps.Marker} marker The marker to check.
- * @return {boolean} True if the marker lies in the bounds.
+ * Returns the topmost icon painted at a position.
+ * @param {google.maps.LatLng} latLng The position.
+ * @return {CanvasClusterIcon} The icon, or null.
  */
-Cluster.prototype.isMarkerInClusterBounds = function(marker) {
-	return this.bounds_.contains(marker.getPosition());
+CanvasLayer.prototype.getIconAt = function(latLng) {
+	var projection = this.getProjection();
+	if (!projection || !latLng) {
+		return null;
+	}
+
+	var p = projection.fromLatLngToDivPixel(latLng);
+	var items = this.tree_.search([p.x, p.y, p.x, p.y]);
+
+	// Icons painted last are on top
+	var top = null;
+	for (var i = 0, item; item = items[i]; i++) {
+		if (!top || item[5] > top[5]) {
+			top = item;
+		}
+	}
+	return top ? top[4] : null;
 };
 
 
 /**
- * Returns the map that the cluster is associated with.
- * @return {google.maps.Map} The map.
+ * Paints all shown icons covering the viewport, and indexes them.
+ * @private
  */
-Cluster.prototype.getMap = function() {
-	return this.map_;
+CanvasLayer.prototype.paint_ = function() {
+	var projection = this.getProjection();
+	var map = this.getMap();
+	if (!projection || !this.canvas_ || !map || !map.getBounds()) {
+		return;
+	}
+
+	// Cover the map viewport, in div pixels
+	var div = map.getDiv();
+	var width = div.offsetWidth;
+	var height = div.offsetHeight;
+	var bounds = map.getBounds();
+	var origin = projection.fromLatLngToDivPixel(new google.maps.LatLng(
+		bounds.getNorthEast().lat(), bounds.getSouthWest().lng()));
+
+	// Paint at the device resolution
+	var ratio = window.devicePixelRatio || 1;
+	var canvas = this.canvas_;
+	canvas.style.left = origin.x + 'px';
+	canvas.style.top = origin.y + 'px';
+	canvas.style.width = width + 'px';
+	canvas.style.height = height + 'px';
+	canvas.width = width * ratio;
+	canvas.height = height * ratio;
+
+	var ctx = canvas.getContext('2d');
+	ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+	ctx.clearRect(0, 0, width, height);
+
+	var painter = this.markerClusterer_.iconPainter;
+	var items = [];
+	for (var id in this.icons_) {
+		var icon = this.icons_[id];
+		if (!icon.visible_ || !icon.center) continue;
+
+		var w = icon.width || CanvasLayer.DEFAULT_SIZE;
+		var h = icon.height || CanvasLayer.DEFAULT_SIZE;
+		var pos = anchorPosition(projection.fromLatLngToDivPixel(icon.center), w, h, icon.anchor);
+
+		var x = pos.x - origin.x;
+		var y = pos.y - origin.y;
+		if (x + w < 0 || y + h < 0 || x > width || y > height) continue;
+
+		painter(ctx, icon.cluster_, {x: x, y: y, width: w, height: h}, icon.style_, icon.text_);
+		items.push([pos.x, pos.y, pos.x + w, pos.y + h, icon, items.length]);
+	}
+
+	this.tree_.clear();
+	this.tree_.load(items);
 };
 
 
 /**
- * Updates the cluster icon
+ * Sets the icon under the mouse, showing a pointer cursor over icons and
+ * triggering the mouse over and out events.
+ * @param {CanvasClusterIcon} icon The icon, or null.
+ * @private
  */
-Cluster.prototype.updateIcon = function() {
-	var zoom = this.map_.getZoom();
-	var mz = this.markerClusterer_.maxZoom;
-
-	if (mz && zoom > mz) {
-		// The zoom is greater than our max zoom so show all the markers in cluster.
-		for (var i = 0, marker; marker = this.markers_[i]; i++) {
-			marker.setMap(this.map_);
-		}
+CanvasLayer.prototype.setHovered_ = function(icon) {
+	this.setOverIcon_(!!icon);
+	if (icon === this.hovered_) {
 		return;
 	}
 
-	if (this.markers_.length < this.minClusterSize) {
-		// Min cluster size not yet reached.
-		this.clusterIcon_.hide();
-		return;
+	var previous = this.hovered_;
+	this.hovered_ = icon;
+
+	if (previous) {
+		previous.triggerClusterEvent('clustermouseout');
 	}
+	if (icon) {
+		icon.triggerClusterEvent('clustermouseover');
+	}
+};
 
-	this.clusterIcon_.center = this.center_;
-	this.clusterIcon_.show();
+
+/**
+ * Changes the map options while the mouse is over icons: the cursor is a
+ * pointer, and double clicks trigger `clusterdblclick` rather than zooming in.
+ * The options are put back as they were once the mouse leaves the icons.
+ * @param {boolean} over Whether the mouse is over an icon.
+ * @private
+ */
+CanvasLayer.prototype.setOverIcon_ = function(over) {
+	if (over && !this.overMap_) {
+		var map = this.getMap();
+		if (!map) {
+			return;
+		}
+
+		this.overMap_ = map;
+		this.mapOptions_ = {
+			draggableCursor: map.get('draggableCursor'),
+			disableDoubleClickZoom: map.get('disableDoubleClickZoom')
+		};
+		map.setOptions({draggableCursor: 'pointer', disableDoubleClickZoom: true});
+	} else if (!over && this.overMap_) {
+		this.overMap_.setOptions(this.mapOptions_);
+		this.overMap_ = null;
+		this.mapOptions_ = null;
+	}
 };
 
 
 /**
- * A cluster icon.
+ * Paints a cluster icon as a disc of the style color with the text.
+ * @param {CanvasRenderingContext2D} ctx The canvas context.
+ * @param {Cluster} cluster The cluster.
+ * @param {Object} rect The `{x, y, width, height}` rectangle to paint in.
+ * @param {Object} style The icon style.
+ * @param {string} text The icon text.
+ * @ignore
+ */
+function paintClusterIcon(ctx, cluster, rect, style, text) {
+	var cx = rect.x + rect.width / 2;
+	var cy = rect.y + rect.height / 2;
+
+	ctx.beginPath();
+	ctx.arc(cx, cy, Math.min(rect.width, rect.height) / 2, 0, 2 * Math.PI);
+	ctx.fillStyle = style.color || 'rgba(33, 150, 243, 0.85)';
+	ctx.fill();
+
+	ctx.fillStyle = style.textColor || '#fff';
+	ctx.font = (style.fontWeight || 'bold') + ' ' + (style.textSize || 12) + 'px ' +
+		(style.fontFamily || 'sans-serif');
+	ctx.textAlign = 'center';
+	ctx.textBaseline = 'middle';
+	ctx.fillText(text, cx, cy);
+}
+
+
+/**
+ * A cluster icon painted by a canvas layer. It has the same interface as
+ * `ClusterIcon`.
  * @param {Cluster} cluster The cluster to be associated with.
- * @param {Function} iconGenerator A function that generates cluster icons.
+ * @param {CanvasLayer} layer The layer painting the icon.
  * @constructor
- * @extends google.maps.OverlayView
  * @ignore
  */
-function ClusterIcon(cluster, iconGenerator) {
-	extend(ClusterIcon, google.maps.OverlayView);
-
+function CanvasClusterIcon(cluster, layer) {
 	this.cluster_ = cluster;
-	this.iconGenerator = iconGenerator;
+	this.layer_ = layer;
 	this.center = null;
 	this.map_ = cluster.getMap();
 	this.div_ = null;
@@ -736,151 +5221,75 @@ function ClusterIcon(cluster, iconGenerator) {
 
 	this.width = 0;
 	this.height = 0;
+	this.style_ = {};
+	this.text_ = '';
 
-	this.setMap(this.map_);
+	layer.add(this);
 }
 
 
 /**
  * Triggers the clusterclick event and zoom's if the option is set.
  */
-ClusterIcon.prototype.triggerClusterClick = function() {
-	var markerClusterer = this.cluster_.getMarkerClusterer();
-
-	// Trigger the clusterclick event.
-	google.maps.event.trigger(markerClusterer, 'clusterclick', this.cluster_);
-
-	if (markerClusterer.zoomOnClick) {
-		// Zoom into the cluster.
-		this.map_.fitBounds(this.cluster_.getBounds());
-	}
-};
+CanvasClusterIcon.prototype.triggerClusterClick = ClusterIcon.prototype.triggerClusterClick;
 
 
 /**
- * Adding the cluster icon to the dom.
- * @ignore
+ * Triggers a cluster event on the clusterer, with the cluster and its
+ * aggregates.
+ * @param {string} type The event type.
  */
-ClusterIcon.prototype.onAdd = function() {
-	this.div_ = document.createElement('div');
-	if (this.visible_) {
-		var pos = this.getPosFromLatLng_(this.center);
-		this.div_.style.cssText = this.createCss(pos);
-	}
-
-	var panes = this.getPanes();
-	panes.overlayMouseTarget.appendChild(this.div_);
-
-	var that = this;
-	google.maps.event.addDomListener(this.div_, 'click', function() {
-		that.triggerClusterClick();
-	});
-};
+CanvasClusterIcon.prototype.triggerClusterEvent = ClusterIcon.prototype.triggerClusterEvent;
 
 
 /**
- * Returns the position to place the div dending on the latlng.
- * @param {google.maps.LatLng} latlng The position in latlng.
- * @return {google.maps.Point} The position in pixels.
- * @private
+ * Draw the icon.
  */
-ClusterIcon.prototype.getPosFromLatLng_ = function(latlng) {
-	var pos = this.getProjection().fromLatLngToDivPixel(latlng);
-
-	var width = this.width || 0,
-		height = this.height || 0,
-		anchor = this.anchor || MarkerClusterer.CENTER;
-
-	if (anchor & xalign.CENTER) {
-		pos.x -= width / 2;
-	}
-	if (anchor & xalign.RIGHT) {
-		pos.x -= width;
-	}
-
-	if (anchor & yalign.CENTER) {
-		pos.y -= height / 2;
-	}
-	if (anchor & yalign.BOTTOM) {
-		pos.y -= height;
-	}
-
-	return pos;
+CanvasClusterIcon.prototype.draw = function() {
+	this.layer_.invalidate();
 };
 
 
 /**
- * Draw the icon.
- * @ignore
+ * Moves the icon.
+ * @param {google.maps.LatLng} center The new icon position.
  */
-ClusterIcon.prototype.draw = function() {
-	if (this.visible_) {
-		var pos = this.getPosFromLatLng_(this.center);
-		this.div_.style.top = pos.y + 'px';
-		this.div_.style.left = pos.x + 'px';
-
-		var content = this.iconGenerator(this.cluster_.markers_);
-		if (typeof content === 'object') {
-			this.div_.innerHTML = '';
-			this.div_.appendChild(content);
-		} else {
-			this.div_.innerHTML = content;
-		}
-	}
+CanvasClusterIcon.prototype.setCenter = function(center) {
+	this.center = center;
+	this.layer_.invalidate();
 };
 
 
 /**
  * Hide the icon.
  */
-ClusterIcon.prototype.hide = function() {
-	if (this.div_) {
-		this.div_.style.display = 'none';
-	}
+CanvasClusterIcon.prototype.hide = function() {
 	this.visible_ = false;
+	this.layer_.invalidate();
 };
 
 
 /**
- * Position and show the icon.
+ * Show the icon.
  */
-ClusterIcon.prototype.show = function() {
-	if (this.div_) {
-		var pos = this.getPosFromLatLng_(this.center);
-		this.div_.style.cssText = this.createCss(pos);
-		this.div_.style.display = '';
-	}
+CanvasClusterIcon.prototype.show = function() {
+	this.useStyle_();
 	this.visible_ = true;
+	this.layer_.invalidate();
 };
 
 
 /**
- * Remove the icon from the map
- */
-ClusterIcon.prototype.remove = function() {
-	this.setMap(null);
-};
-
-
-/**
- * Implementation of the onRemove interface.
- * @ignore
+ * Picks the style and text of the icon for the markers of its cluster.
+ * @private
  */
-ClusterIcon.prototype.onRemove = function() {
-	if (this.div_ && this.div_.parentNode) {
-		this.hide();
-		this.div_.parentNode.removeChild(this.div_);
-		this.div_ = null;
-	}
-};
+CanvasClusterIcon.prototype.useStyle_ = ClusterIcon.prototype.useStyle_;
 
 
 /**
- * Create the css text based on the position of the icon.
- * @param {google.maps.Point} pos The position.
- * @return {string} The css style text.
+ * Remove the icon from the map
  */
-ClusterIcon.prototype.createCss = function(pos) {
-	return 'cursor:pointer; position:absolute; top:' + pos.y + 'px; left:' + pos.x + 'px;'
-		+ 'height:' + this.height_ + 'px; width:' + this.width_ + 'px;';
+CanvasClusterIcon.prototype.remove = function() {
+	this.visible_ = false;
+	this.layer_.remove(this);
 };
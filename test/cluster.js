@@ -0,0 +1,403 @@
+var assert = require('assert');
+var core = require('../src/clustercore');
+
+
+/**
+ * Returns the sizes of clusters, in ascending order.
+ */
+function sizes(clusters) {
+	return clusters.map(function (c) {
+		return (c.points || c).length;
+	}).sort(function (a, b) { return a - b; });
+}
+
+
+describe('clusterPoints', function() {
+	var points = [
+		{lat: 0, lng: 0},
+		{lat: 0.001, lng: 0.001},
+		{lat: 0.002, lng: 0},
+		{lat: 10, lng: 10},
+		{lat: -20, lng: 30}
+	];
+
+	it('groups points less than a grid size apart', function() {
+		var clusters = core.clusterPoints(points, {zoom: 5, gridSize: 60});
+		assert.deepStrictEqual(sizes(clusters), [1, 1, 3]);
+	});
+
+	it('separates points at a higher zoom level', function() {
+		var clusters = core.clusterPoints(points, {zoom: 20, gridSize: 60});
+		assert.deepStrictEqual(sizes(clusters), [1, 1, 1, 1, 1]);
+	});
+
+	it('only clusters the points in the bounds', function() {
+		var clusters = core.clusterPoints(points, {zoom: 5, bounds: [-1, -1, 1, 1]});
+		assert.deepStrictEqual(sizes(clusters), [3]);
+	});
+
+	it('centers clusters on their first point', function() {
+		var clusters = core.clusterPoints(points.slice(0, 3), {zoom: 5});
+		assert.deepStrictEqual(clusters[0].center, {lat: 0, lng: 0});
+	});
+
+	it('averages centers, weighted by the points', function() {
+		var weights = [1, 1, 2];
+		var clusters = core.clusterPoints(points.slice(0, 3), {
+			zoom: 5,
+			averageCenter: true,
+			getWeight: function (p) { return weights[points.indexOf(p)]; }
+		});
+		assert.ok(Math.abs(clusters[0].center.lat - 0.00125) < 1e-12);
+		assert.ok(Math.abs(clusters[0].center.lng - 0.00025) < 1e-12);
+	});
+
+	it('reads positions with getLatLng', function() {
+		var items = points.map(function (p) { return [p.lat, p.lng]; });
+		var clusters = core.clusterPoints(items, {
+			zoom: 5,
+			getLatLng: function (p) { return {lat: p[0], lng: p[1]}; }
+		});
+		assert.deepStrictEqual(sizes(clusters), [1, 1, 3]);
+	});
+
+	it('merges points across the antimeridian in bounds crossing it', function() {
+		var items = [{lat: 0, lng: 179.99}, {lat: 0, lng: -179.99}];
+		var clusters = core.clusterPoints(items, {
+			zoom: 10,
+			bounds: [-1, 179, 1, -179],
+			averageCenter: true
+		});
+		assert.deepStrictEqual(sizes(clusters), [2]);
+		assert.ok(Math.abs(Math.abs(clusters[0].center.lng) - 180) < 1e-9);
+	});
+
+	it('merges points across the antimeridian without bounds', function() {
+		var items = [{lat: 0, lng: 179.99}, {lat: 0, lng: -179.99}, {lat: 0, lng: 0}];
+		var clusters = core.clusterPoints(items, {zoom: 10, averageCenter: true});
+		assert.deepStrictEqual(sizes(clusters), [1, 2]);
+
+		var merged = clusters.filter(function (c) { return c.points.length == 2; })[0];
+		assert.ok(Math.abs(Math.abs(merged.center.lng) - 180) < 1e-9);
+	});
+});
+
+
+describe('algorithms', function() {
+	var points = [];
+	for (var i = 0; i < 5; i++) {
+		points.push({lat: 0, lng: i * 0.01});
+	}
+	points.push({lat: 40, lng: 40});
+
+	it('creates the built-in algorithms by name', function() {
+		assert.ok(core.createAlgorithm('distance') instanceof core.DistanceAlgorithm);
+		assert.ok(core.createAlgorithm('dbscan') instanceof core.DBSCANAlgorithm);
+		assert.ok(core.createAlgorithm('other') instanceof core.GridAlgorithm);
+	});
+
+	it('groups points around the nearest center with the distance algorithm', function() {
+		var clusters = core.clusterPoints(points, {
+			zoom: 8,
+			gridSize: 60,
+			algorithm: new core.DistanceAlgorithm()
+		});
+		assert.deepStrictEqual(sizes(clusters), [1, 5]);
+	});
+
+	it('finds neighbours across the antimeridian around the whole world', function() {
+		var items = [{lat: 0, lng: 179.995}, {lat: 0, lng: -179.995}, {lat: 0, lng: -179.99}];
+		var algorithms = [
+			new core.GridAlgorithm(),
+			new core.DistanceAlgorithm(),
+			new core.DBSCANAlgorithm({minPoints: 2})
+		];
+		for (var i = 0; i < algorithms.length; i++) {
+			var clusters = core.clusterPoints(items, {zoom: 12, algorithm: algorithms[i]});
+			assert.deepStrictEqual(sizes(clusters), [3], algorithms[i].name);
+		}
+	});
+
+	it('leaves noise points alone with DBSCAN', function() {
+		var clusters = core.clusterPoints(points, {
+			zoom: 8,
+			gridSize: 60,
+			algorithm: new core.DBSCANAlgorithm({minPoints: 3})
+		});
+		assert.deepStrictEqual(sizes(clusters), [1, 5]);
+	});
+});
+
+
+describe('ClusterIndex', function() {
+	var points = [];
+	for (var i = 0; i < 20; i++) {
+		points.push([i % 4 * 0.001, Math.floor(i / 4) * 0.001, 'p' + i]);
+	}
+	points.push([30, 30, 'far']);
+
+	var index = new core.ClusterIndex({gridSize: 60, maxZoom: 16});
+	index.load(points);
+
+	it('clusters every zoom level', function() {
+		var world = [-85, -180, 85, 180];
+		assert.deepStrictEqual(sizes(index.getClusters(world, 0).map(index.getLeaves)), [21]);
+		assert.deepStrictEqual(sizes(index.getClusters(world, 5).map(index.getLeaves)), [1, 20]);
+		assert.strictEqual(index.getClusters(world, 17).length, 21);
+	});
+
+	it('only returns the clusters in the bounds', function() {
+		var nodes = index.getClusters([29, 29, 31, 31], 5);
+		assert.strictEqual(nodes.length, 1);
+		assert.deepStrictEqual(index.getLeaves(nodes[0]), ['far']);
+	});
+
+	it('returns the leaves and centers of clusters', function() {
+		var node = index.getClusters([-1, -1, 1, 1], 5)[0];
+		assert.strictEqual(node.count, 20);
+		assert.strictEqual(index.getLeaves(node).length, 20);
+
+		var center = index.getCenter(node);
+		assert.ok(Math.abs(center.lat) < 0.01 && Math.abs(center.lng) < 0.01);
+	});
+
+	it('returns the zoom level at which a cluster splits', function() {
+		var node = index.getClusters([-1, -1, 1, 1], 5)[0];
+		var zoom = index.getExpansionZoom(node, 5);
+		assert.ok(zoom > 5);
+		assert.strictEqual(index.getClusters([-1, -1, 1, 1], zoom - 1).length, 1);
+		assert.ok(index.getClusters([-1, -1, 1, 1], zoom).length > 1);
+	});
+
+	it('weights average centers by the points', function() {
+		var weighted = new core.ClusterIndex({maxZoom: 10, averageCenter: true});
+		weighted.load([[0, 0, 'a', 3], [0.001, 0.001, 'b', 1], [0.002, 0.002, 'c', 0]]);
+
+		var node = weighted.getClusters([-1, -1, 1, 1], 5)[0];
+		var center = weighted.getCenter(node);
+		assert.strictEqual(node.count, 3);
+		assert.strictEqual(node.weight, 4);
+		assert.ok(Math.abs(center.lng - 0.00025) < 1e-9);
+		assert.ok(Math.abs(center.lat - 0.00025) < 1e-6);
+	});
+
+	it('adds and removes points without clustering again', function() {
+		var world = [-85, -180, 85, 180];
+		var incremental = new core.ClusterIndex({gridSize: 60, maxZoom: 16, averageCenter: true});
+		incremental.load(points);
+
+		var before = [];
+		for (var z = 0; z <= 17; z++) {
+			before.push(sizes(incremental.getClusters(world, z).map(incremental.getLeaves)));
+		}
+
+		var leaves = [];
+		for (var i = 0; i < 50; i++) {
+			leaves.push(incremental.insert([Math.sin(i) * 0.01, Math.cos(i) * 0.01, 'new' + i]));
+		}
+		var near = incremental.getClusters([-1, -1, 1, 1], 5);
+		assert.strictEqual(near.length, 1);
+		assert.strictEqual(near[0].count, 70);
+		assert.strictEqual(incremental.getLeaves(near[0]).length, 70);
+		for (var z = 0; z <= 17; z++) {
+			var count = 0;
+			incremental.getClusters(world, z).forEach(function (node) { count += node.count; });
+			assert.strictEqual(count, 71, 'zoom ' + z);
+		}
+
+		// Points removed in another order leave the clusters as they were
+		for (var i = 0; i < leaves.length; i += 2) {
+			incremental.remove(leaves[i]);
+		}
+		for (var i = leaves.length - 1; i > 0; i -= 2) {
+			incremental.remove(leaves[i]);
+		}
+		for (var z = 0; z <= 17; z++) {
+			assert.deepStrictEqual(sizes(incremental.getClusters(world, z).map(incremental.getLeaves)),
+				before[z], 'zoom ' + z);
+		}
+	});
+
+	it('gives new ids to the clusters changed by adding points', function() {
+		var incremental = new core.ClusterIndex({gridSize: 60, maxZoom: 16});
+		incremental.load(points);
+
+		var node = incremental.getClusters([-1, -1, 1, 1], 5)[0];
+		var id = node.id;
+		incremental.insert([0.001, 0.001, 'new']);
+		assert.notStrictEqual(node.id, id);
+		assert.strictEqual(incremental.getClusters([-1, -1, 1, 1], 5)[0], node);
+	});
+
+	it('is restored from a snapshot', function() {
+		var names = points.map(function (p) { return p[2]; });
+		var json = index.toJSON(function (name) { return names.indexOf(name); });
+		var restored = core.ClusterIndex.fromJSON(JSON.parse(JSON.stringify(json)), function (ref) {
+			return points[ref];
+		});
+		for (var z = 0; z <= 17; z++) {
+			var world = [-85, -180, 85, 180];
+			assert.deepStrictEqual(sizes(restored.getClusters(world, z).map(restored.getLeaves)),
+				sizes(index.getClusters(world, z).map(index.getLeaves)));
+		}
+
+		var node = restored.getClusters([-1, -1, 1, 1], 5)[0];
+		assert.strictEqual(restored.getExpansionZoom(node, 5),
+			index.getExpansionZoom(index.getClusters([-1, -1, 1, 1], 5)[0], 5));
+	});
+
+	it('restores the spatial trees of snapshots without loading them again', function() {
+		var rbush = require('rbush');
+		var load = rbush.prototype.load;
+		var loaded = 0;
+		rbush.prototype.load = function (data) {
+			loaded += data.length;
+			return load.apply(this, arguments);
+		};
+
+		try {
+			var json = JSON.parse(JSON.stringify(index.toJSON()));
+			var restored = core.ClusterIndex.fromJSON(json, function (name) {
+				return points.filter(function (p) { return p[2] == name; })[0];
+			});
+		} finally {
+			rbush.prototype.load = load;
+		}
+		assert.strictEqual(loaded, 0);
+
+		// The restored trees are updated like built ones
+		var leaf = restored.insert([0.0005, 0.0005, 'new']);
+		assert.strictEqual(restored.getClusters([-1, -1, 1, 1], 5)[0].count, 21);
+		restored.remove(leaf);
+		assert.strictEqual(restored.getClusters([-1, -1, 1, 1], 5)[0].count, 20);
+		assert.deepStrictEqual(restored.getClusters([29, 29, 31, 31], 16).map(restored.getLeaves), [['far']]);
+	});
+
+	it('lists each cluster once in snapshots', function() {
+		var json = index.toJSON();
+		assert.strictEqual(json.leaves.length, 21);
+
+		var clusters = 0;
+		for (var z = json.minZoom; z <= json.maxZoom; z++) {
+			for (var i = 0; i < json.levels[z].length; i += 4 + json.levels[z][i + 3]) {
+				clusters++;
+			}
+		}
+		// Merging n nodes at a time, clusters are fewer than the points
+		assert.ok(clusters > 0 && clusters < 21);
+	});
+});
+
+
+describe('ClusterIndex around the whole world', function() {
+	// Points in every degree of longitude leave no gap to cut the world at
+	var points = [];
+	for (var lng = -179.5; lng < 180; lng++) {
+		points.push([10, lng, 'lng' + lng]);
+	}
+	points.push([0, 179.999, 'east'], [0, -179.999, 'west']);
+
+	it('merges points across the antimeridian', function() {
+		var index = new core.ClusterIndex({gridSize: 60, maxZoom: 16, averageCenter: true});
+		index.load(points);
+
+		for (var z = 10; z <= 14; z++) {
+			var nodes = index.getClusters([-1, 179, 1, -179], z);
+			assert.strictEqual(nodes.length, 1, 'zoom ' + z);
+			assert.deepStrictEqual(index.getLeaves(nodes[0]).sort(), ['east', 'west']);
+
+			var center = index.getCenter(nodes[0]);
+			assert.ok(Math.abs(Math.abs(center.lng) - 180) < 1e-9);
+		}
+	});
+});
+
+
+describe('Aggregator', function() {
+	it('aggregates the properties of points as they are added and removed', function() {
+		var aggregator = new core.Aggregator({
+			total: {property: 'value', op: 'sum'},
+			avg: {property: 'value', op: 'avg'},
+			min: {property: 'value', op: 'min'},
+			max: {property: 'value', op: 'max'},
+			status: 'countBy'
+		});
+		var a = {value: 3, status: 'open'};
+		var b = {value: 5, status: 'closed'};
+		var c = {value: 1, status: 'open'};
+
+		aggregator.add(a);
+		aggregator.add(b);
+		aggregator.add(c);
+		assert.deepStrictEqual(aggregator.getAggregates(),
+			{total: 9, avg: 3, min: 1, max: 5, status: {open: 2, closed: 1}});
+
+		aggregator.remove(c);
+		aggregator.remove(b);
+		assert.deepStrictEqual(aggregator.getAggregates(),
+			{total: 3, avg: 3, min: 3, max: 3, status: {open: 1}});
+	});
+
+	it('rejects unknown operations', function() {
+		assert.throws(function () {
+			new core.Aggregator({value: 'median'});
+		}, /Unknown aggregation operation/);
+	});
+});
+
+
+describe('treeToJSON', function() {
+	var rbush = require('rbush');
+	var format = ['[0]', '[1]', '[0]', '[1]'];
+
+	it('copies the nodes of a tree, to restore it as is', function() {
+		var items = [];
+		for (var i = 0; i < 100; i++) {
+			items.push([i % 10, Math.floor(i / 10), 'item' + i]);
+		}
+		var tree = rbush(4, format).load(items);
+
+		var json = JSON.parse(JSON.stringify(core.treeToJSON(tree, function (item) {
+			return item[2];
+		})));
+		var restored = core.treeFromJSON(rbush(4, format), json, function (name) {
+			return items[Number(name.slice(4))];
+		});
+
+		assert.deepStrictEqual(restored.toJSON(), tree.toJSON());
+		assert.deepStrictEqual(restored.search([2, 2, 3, 3]).length, 4);
+
+		// Restored nodes are not shared with the copy
+		restored.insert([50, 50, 'outside']);
+		assert.strictEqual(json.bbox[2], 9);
+	});
+
+	it('restores empty trees', function() {
+		var json = JSON.parse(JSON.stringify(core.treeToJSON(rbush(9, format))));
+		var restored = core.treeFromJSON(rbush(9, format), json);
+		assert.deepStrictEqual(restored.search([-90, -180, 90, 180]), []);
+		restored.insert([1, 1, 'item']);
+		assert.strictEqual(restored.search([0, 0, 2, 2]).length, 1);
+	});
+});
+
+
+describe('buildSnapshot', function() {
+	it('builds the spatial index of points referred to by position', function() {
+		var points = [[0, 0], [0, 0.0001], [10, 10]];
+		var snapshot = core.buildSnapshot(points);
+		var tree = core.treeFromJSON(require('rbush')(9, ['[0]', '[1]', '[0]', '[1]']), snapshot.tree,
+			function (item) { return item; });
+		assert.deepStrictEqual(tree.search([-1, -1, 1, 1]).sort(), [[0, 0, 0], [0, 0.0001, 1]]);
+	});
+
+	it('builds the cluster index of points referred to by position', function() {
+		var points = [[0, 0], [0, 0.0001], [10, 10]];
+		var snapshot = core.buildSnapshot(points, {maxZoom: 10});
+		var index = core.ClusterIndex.fromJSON(snapshot.index, function (ref) {
+			return [points[ref][0], points[ref][1], ref];
+		});
+		var nodes = index.getClusters([-85, -180, 85, 180], 5);
+		assert.deepStrictEqual(nodes.map(index.getLeaves).sort(), [[0, 1], [2]]);
+	});
+});
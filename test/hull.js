@@ -0,0 +1,40 @@
+var assert = require('assert');
+var core = require('../src/clustercore');
+
+
+describe('hulls', function() {
+	var square = [
+		{lat: 0, lng: 0},
+		{lat: 0, lng: 1},
+		{lat: 1, lng: 1},
+		{lat: 1, lng: 0}
+	];
+
+	it('returns the convex hull of points', function() {
+		var points = square.concat([{lat: 0.5, lng: 0.5}, {lat: 0.2, lng: 0.7}]);
+		var hull = core.convexHull(points);
+		assert.strictEqual(hull.length, 4);
+		for (var i = 0; i < square.length; i++) {
+			assert.ok(hull.indexOf(square[i]) != -1);
+		}
+	});
+
+	it('returns the points themselves when there are fewer than three', function() {
+		assert.strictEqual(core.convexHull(square.slice(0, 2)).length, 2);
+	});
+
+	it('digs concave hulls between distant points', function() {
+		// A C shape: the concave hull follows the points on the inner edge
+		var points = [];
+		for (var i = 0; i <= 10; i++) {
+			points.push({lat: i / 10, lng: 0});
+			points.push({lat: 0, lng: i / 10});
+			points.push({lat: 1, lng: i / 10});
+		}
+		var inner = {lat: 0.5, lng: 0.1};
+		points.push(inner);
+
+		assert.ok(core.convexHull(points).indexOf(inner) == -1);
+		assert.ok(core.concaveHull(points, 1).indexOf(inner) != -1);
+	});
+});
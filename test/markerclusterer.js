@@ -0,0 +1,2385 @@
+var assert = require('assert');
+var stub = require('./support/google-maps');
+var workers = require('./support/worker');
+
+var google = stub.google;
+var context = stub.loadScripts();
+var MarkerClusterer = context.MarkerClusterer;
+
+
+/**
+ * Returns a map of 512 by 512 pixels.
+ */
+function createMap(options) {
+	return new google.maps.Map(options || {zoom: 10});
+}
+
+/**
+ * Returns markers on a grid of `cols` by `rows` positions, `step` degrees
+ * apart, from a corner.
+ */
+function gridMarkers(cols, rows, step, corner) {
+	corner = corner || {lat: 0, lng: 0};
+	var markers = [];
+	for (var i = 0; i < cols; i++) {
+		for (var j = 0; j < rows; j++) {
+			markers.push(new google.maps.Marker({
+				position: {lat: corner.lat + j * step, lng: corner.lng + i * step}
+			}));
+		}
+	}
+	return markers;
+}
+
+/**
+ * Returns the sizes of the clusters of a clusterer, in ascending order.
+ */
+function clusterSizes(markerClusterer) {
+	// Arrays of the scripts context are not deep equal to the ones of tests
+	return Array.from(markerClusterer.clusters_, function (cluster) {
+		return cluster.getSize();
+	}).sort(function (a, b) { return a - b; });
+}
+
+
+describe('clustercore.js in the browser', function() {
+	it('only defines the ClusterCore global', function() {
+		assert.strictEqual(typeof context.ClusterCore.clusterPoints, 'function');
+		assert.strictEqual(context.lngX, undefined);
+		assert.strictEqual(context.ClusterIndex, undefined);
+		assert.strictEqual(context.Aggregator, undefined);
+	});
+});
+
+
+describe('hierarchical mode', function() {
+	// Three groups of four markers, clustered apart at zoom level 10 and
+	// together at zoom level 5
+	function createMarkers() {
+		return gridMarkers(2, 2, 0.002, {lat: 0, lng: 0})
+			.concat(gridMarkers(2, 2, 0.002, {lat: 0.2, lng: 0.2}))
+			.concat(gridMarkers(2, 2, 0.002, {lat: -0.2, lng: -0.2}));
+	}
+
+	it('builds the clusters of every zoom level once', function() {
+		var map = createMap();
+		var mc = new MarkerClusterer(map, createMarkers(), {hierarchical: true, minZoom: 3});
+		var index = mc.index_;
+		assert.strictEqual(index.trees_[2], undefined);
+		for (var z = 3; z <= 22; z++) {
+			assert.ok(index.trees_[z], 'zoom level ' + z);
+		}
+
+		map.setZoom(5);
+		map.idle();
+		assert.deepStrictEqual(clusterSizes(mc), [12]);
+		map.setZoom(10);
+		map.idle();
+		assert.deepStrictEqual(clusterSizes(mc), [4, 4, 4]);
+		assert.strictEqual(mc.index_, index);
+	});
+
+	it('shows the clusters of the minimum zoom level below it', function() {
+		var map = createMap();
+		var mc = new MarkerClusterer(map, createMarkers(), {hierarchical: true, minZoom: 10});
+		map.setZoom(5);
+		map.idle();
+		assert.deepStrictEqual(clusterSizes(mc), [4, 4, 4]);
+	});
+
+	it('puts each marker in view in one cluster of the zoom level', function() {
+		var map = createMap();
+		var markers = gridMarkers(8, 8, 0.03, {lat: -0.1, lng: -0.1});
+		var mc = new MarkerClusterer(map, markers, {hierarchical: true});
+
+		var seen = {};
+		for (var i = 0, cluster; cluster = mc.clusters_[i]; i++) {
+			var clustered = cluster.getMarkers();
+			for (var j = 0; j < clustered.length; j++) {
+				assert.strictEqual(seen[markers.indexOf(clustered[j])], undefined);
+				seen[markers.indexOf(clustered[j])] = true;
+				assert.strictEqual(mc.getMarkerCluster(clustered[j]), cluster);
+			}
+		}
+		assert.strictEqual(Object.keys(seen).length, markers.length);
+		assert.ok(mc.clusters_.length > 1);
+	});
+
+	it('keeps the clusters already shown when the map pans', function() {
+		var map = createMap();
+		var markers = createMarkers();
+		var mc = new MarkerClusterer(map, markers, {hierarchical: true});
+		var cluster = mc.getMarkerCluster(markers[0]);
+
+		map.setCenter({lat: 0.05, lng: 0.05});
+		map.idle();
+		assert.strictEqual(mc.getMarkerCluster(markers[0]), cluster);
+		assert.strictEqual(cluster.clusterIcon_.getMap(), map);
+	});
+
+	it('builds the index again when more markers are added than indexed', function() {
+		var map = createMap();
+		var mc = new MarkerClusterer(map, createMarkers(), {hierarchical: true});
+		var index = mc.index_;
+
+		mc.addMarkers(gridMarkers(4, 4, 0.002, {lat: 0.1, lng: -0.2}));
+		assert.notStrictEqual(mc.index_, index);
+		assert.deepStrictEqual(clusterSizes(mc), [4, 4, 4, 16]);
+	});
+});
+
+
+describe('worker', function() {
+	// Markers on a grid, clustered in several ways by each algorithm
+	function createMarkers() {
+		return gridMarkers(8, 8, 0.03, {lat: -0.1, lng: -0.1});
+	}
+
+	// The worker of the last clusterer created
+	var worker = null;
+
+	function createClusterer(options) {
+		worker = new workers.Worker();
+		options.worker = worker;
+		options.workerImports = workers.IMPORTS;
+		var mc = new MarkerClusterer(createMap(), createMarkers(), options);
+		worker.flush();
+		return mc;
+	}
+
+	var algorithms = ['grid', 'distance', 'dbscan'];
+	algorithms.forEach(function (name) {
+		it('clusters like the main thread with the ' + name + ' algorithm', function() {
+			var algorithm = context.ClusterCore.createAlgorithm(name, {minPoints: 2});
+			var expected = clusterSizes(new MarkerClusterer(createMap(), createMarkers(), {
+				algorithm: algorithm
+			}));
+			assert.deepStrictEqual(clusterSizes(createClusterer({algorithm: algorithm})), expected);
+		});
+	});
+
+	it('clusters like the main thread in hierarchical mode', function() {
+		var expected = clusterSizes(new MarkerClusterer(createMap(), createMarkers(), {
+			hierarchical: true
+		}));
+		assert.deepStrictEqual(clusterSizes(createClusterer({hierarchical: true})), expected);
+	});
+
+	it('keeps the clusters of the same markers when the map pans', function() {
+		var mc = createClusterer({});
+		var marker = mc.getMarkers()[0];
+		var cluster = mc.getMarkerCluster(marker);
+
+		mc.getMap().setCenter({lat: 0.001, lng: 0.001});
+		mc.getMap().idle();
+		worker.flush();
+		assert.strictEqual(mc.getMarkerCluster(marker), cluster);
+	});
+
+	it('clusters the markers moved, added and removed', function() {
+		var mc = createClusterer({});
+		var markers = mc.getMarkers().slice();
+		var added = gridMarkers(2, 2, 0.001, {lat: 0.3, lng: 0.3});
+
+		mc.moveMarker(markers[0], new google.maps.LatLng(0.3005, 0.3005));
+		mc.removeMarkers(markers.slice(10, 20));
+		mc.addMarkers(added);
+		worker.flush();
+
+		var cluster = mc.getMarkerCluster(added[0]);
+		assert.strictEqual(cluster.getSize(), 5);
+		assert.strictEqual(mc.getMarkerCluster(markers[0]), cluster);
+		for (var i = 10; i < 20; i++) {
+			assert.strictEqual(mc.getMarkerCluster(markers[i]), null);
+		}
+		assert.strictEqual(clusterSizes(mc).reduce(function (a, b) { return a + b; }), 58);
+	});
+
+	it('finds the markers in some bounds with a spatial index of its own', function() {
+		var mc = createClusterer({});
+		var markers = mc.getMarkers().slice();
+		var added = gridMarkers(2, 2, 0.001, {lat: 0.3, lng: 0.3});
+
+		mc.moveMarker(markers[0], new google.maps.LatLng(0.3005, 0.3005));
+		mc.removeMarkers(markers.slice(10, 20));
+		mc.addMarkers(added);
+		assert.strictEqual(mc.tree_.all().length, 58);
+		assert.strictEqual(mc.getMarkersInBounds_([0.29, 0.29, 0.31, 0.31]).length, 5);
+		assert.ok(mc.getMarkersInBounds_([0.29, 0.29, 0.31, 0.31]).indexOf(markers[0]) != -1);
+
+		// The main thread takes over with the same index
+		var errors = 0;
+		google.maps.event.addListener(mc, 'workererror', function () {
+			errors++;
+		});
+		worker.listeners_.error[0]({message: 'Failed'});
+		assert.strictEqual(errors, 1);
+		assert.strictEqual(mc.worker_, null);
+		assert.strictEqual(mc.tree_.all().length, 58);
+		assert.strictEqual(mc.getMarkerCluster(added[0]).getSize(), 5);
+	});
+
+	it('rejects algorithms it cannot create', function() {
+		var algorithm = {
+			name: 'custom',
+			cluster: function (items) {
+				return items.map(function (item) { return [item]; });
+			}
+		};
+		assert.throws(function () {
+			createClusterer({algorithm: algorithm});
+		}, /Unknown algorithm in worker mode: custom/);
+	});
+});
+
+
+describe('algorithm option', function() {
+	// 40 pixels apart at zoom level 10
+	var GAP = 0.055;
+
+	it('clusters the markers in view with the groups of a custom algorithm', function() {
+		var markers = gridMarkers(3, 2, 0.01).concat(gridMarkers(1, 1, 0, {lat: 10, lng: 10}));
+		var calls = [];
+		var algorithm = {
+			name: 'pairs',
+			cluster: function (items, context) {
+				calls.push({items: items.slice(), context: context});
+				var groups = [];
+				for (var i = 0; i < items.length; i += 2) {
+					groups.push(items.slice(i, i + 2));
+				}
+				return groups;
+			}
+		};
+		var map = createMap();
+		var mc = new MarkerClusterer(map, markers, {algorithm: algorithm, gridSize: 40});
+
+		// The clusters of the markers are created once they are all added
+		var call = calls[calls.length - 1];
+		assert.strictEqual(call.items.length, 6);
+		assert.strictEqual(call.items.indexOf(markers[6]), -1);
+		var ctx = call.context;
+		assert.strictEqual(ctx.zoom, 10);
+		assert.strictEqual(ctx.gridSize, 40);
+		assert.strictEqual(ctx.worldSize, 0);
+		assert.ok(ctx.bounds[0] < 0 && ctx.bounds[2] > 0.01);
+
+		var a = ctx.project(markers[0]);
+		var b = ctx.project(markers[2]);
+		assert.ok(Math.abs(b.x - a.x - 0.01 / 360 * 256 * 1024) < 1e-6);
+		assert.strictEqual(b.y, a.y);
+		assert.deepStrictEqual(clusterSizes(mc), [2, 2, 2]);
+	});
+
+	it('clusters markers less than the radius apart with the distance algorithm', function() {
+		var markers = gridMarkers(2, 1, GAP);
+		var mc = new MarkerClusterer(createMap(), markers, {
+			algorithm: new MarkerClusterer.DistanceAlgorithm({radius: 50})
+		});
+		assert.deepStrictEqual(clusterSizes(mc), [2]);
+
+		mc = new MarkerClusterer(createMap(), gridMarkers(2, 1, GAP), {
+			algorithm: new MarkerClusterer.DistanceAlgorithm({radius: 30})
+		});
+		assert.deepStrictEqual(clusterSizes(mc), [1, 1]);
+	});
+
+	it('leaves the markers of sparse areas alone with the DBSCAN algorithm', function() {
+		var markers = gridMarkers(2, 2, 0.002)
+			.concat(gridMarkers(2, 1, 0.002, {lat: 0.2, lng: 0}))
+			.concat(gridMarkers(1, 1, 0, {lat: -0.2, lng: 0}));
+		var mc = new MarkerClusterer(createMap(), markers, {
+			algorithm: new MarkerClusterer.DBSCANAlgorithm()
+		});
+		assert.deepStrictEqual(clusterSizes(mc), [1, 1, 1, 4]);
+		assert.strictEqual(markers[4].getMap(), mc.getMap());
+		assert.strictEqual(markers[0].getMap(), null);
+
+		mc = new MarkerClusterer(createMap(), markers, {
+			algorithm: new MarkerClusterer.DBSCANAlgorithm({minPoints: 2})
+		});
+		assert.deepStrictEqual(clusterSizes(mc), [1, 2, 4]);
+	});
+
+	it('builds the clusters of every zoom level with the algorithm in hierarchical mode', function() {
+		var mc = new MarkerClusterer(createMap(), gridMarkers(2, 1, GAP), {
+			hierarchical: true,
+			algorithm: new MarkerClusterer.DistanceAlgorithm({radius: 30})
+		});
+		assert.strictEqual(mc.index_.algorithm.name, 'distance');
+		assert.deepStrictEqual(clusterSizes(mc), [1, 1]);
+
+		mc.getMap().setZoom(9);
+		mc.getMap().idle();
+		assert.deepStrictEqual(clusterSizes(mc), [2]);
+	});
+});
+
+
+describe('aggregates', function() {
+	var aggregations = {total: {property: 'value', op: 'sum'}, status: 'countBy'};
+
+	// A group of three markers at the center of the map, and one to the north
+	function createMarkers() {
+		var markers = gridMarkers(3, 1, 0.002).concat(gridMarkers(1, 1, 0, {lat: 0.2, lng: 0}));
+		var statuses = ['open', 'closed', 'open', 'open'];
+		for (var i = 0; i < markers.length; i++) {
+			markers[i].set('value', i + 1);
+			markers[i].set('status', statuses[i]);
+		}
+		return markers;
+	}
+
+	// Aggregates are objects of the scripts context
+	function plain(aggregates) {
+		return JSON.parse(JSON.stringify(aggregates));
+	}
+
+	it('aggregates the properties of the markers of each cluster', function() {
+		var markers = createMarkers();
+		var mc = new MarkerClusterer(createMap(), markers, {aggregations: aggregations});
+		var cluster = mc.getMarkerCluster(markers[0]);
+		assert.deepStrictEqual(plain(cluster.getAggregates()), {total: 6, status: {open: 2, closed: 1}});
+		assert.deepStrictEqual(plain(mc.getMarkerCluster(markers[3]).getAggregates()),
+			{total: 4, status: {open: 1}});
+
+		mc.removeMarker(markers[1]);
+		assert.deepStrictEqual(plain(cluster.getAggregates()), {total: 4, status: {open: 2}});
+		mc.moveMarker(markers[3], new google.maps.LatLng(0, 0.001));
+		assert.deepStrictEqual(plain(cluster.getAggregates()), {total: 8, status: {open: 3}});
+	});
+
+	it('has no aggregates without the aggregations option', function() {
+		var markers = createMarkers();
+		var mc = new MarkerClusterer(createMap(), markers, {});
+		assert.deepStrictEqual(plain(mc.getMarkerCluster(markers[0]).getAggregates()), {});
+	});
+
+	it('passes the aggregates to the icon generator', function() {
+		var calls = [];
+		var markers = createMarkers();
+		var mc = new MarkerClusterer(createMap(), markers, {
+			aggregations: aggregations,
+			iconGenerator: function (clustered, aggregates) {
+				calls.push({markers: clustered.slice(), aggregates: plain(aggregates)});
+				return '<b>' + aggregates.total + '</b>';
+			}
+		});
+
+		var cluster = mc.getMarkerCluster(markers[0]);
+		var call = calls[calls.length - 1];
+		assert.strictEqual(call.markers.length, 3);
+		assert.deepStrictEqual(call.aggregates, {total: 6, status: {open: 2, closed: 1}});
+		assert.strictEqual(cluster.clusterIcon_.div_.innerHTML, '<b>6</b>');
+	});
+
+	it('passes the cluster and its aggregates to clusterclick handlers', function() {
+		var markers = createMarkers();
+		var mc = new MarkerClusterer(createMap(), markers, {aggregations: aggregations});
+		var cluster = mc.getMarkerCluster(markers[0]);
+		var events = [];
+		google.maps.event.addListener(mc, 'clusterclick', function () {
+			events.push(Array.prototype.slice.call(arguments));
+		});
+
+		google.maps.event.trigger(cluster.clusterIcon_.div_, 'click');
+		assert.strictEqual(events.length, 1);
+		assert.strictEqual(events[0].length, 2);
+		assert.strictEqual(events[0][0], cluster);
+		assert.deepStrictEqual(plain(events[0][1]), {total: 6, status: {open: 2, closed: 1}});
+	});
+});
+
+
+describe('moving markers', function() {
+	// Three groups of four markers, far enough apart not to be clustered
+	// together at zoom level 10
+	function createClusterer(options) {
+		var markers = gridMarkers(2, 2, 0.002, {lat: 0, lng: 0})
+			.concat(gridMarkers(2, 2, 0.002, {lat: 0.2, lng: 0.2}))
+			.concat(gridMarkers(2, 2, 0.002, {lat: -0.2, lng: -0.2}));
+		return new MarkerClusterer(createMap(), markers, options || {});
+	}
+
+	it('joins the nearest cluster, updating the index of clusters in place', function() {
+		var mc = createClusterer();
+		assert.deepStrictEqual(clusterSizes(mc), [4, 4, 4]);
+
+		var bounds = new google.maps.LatLngBounds({lat: 0.1, lng: 0.1}, {lat: 0.3, lng: 0.3});
+		assert.strictEqual(mc.getClustersInBounds(bounds).length, 1);
+		var tree = mc.clusterTree_;
+
+		var marker = mc.getMarkers()[0];
+		mc.moveMarker(marker, new google.maps.LatLng(0.201, 0.201));
+		assert.deepStrictEqual(clusterSizes(mc), [3, 4, 5]);
+		assert.strictEqual(mc.clusterTree_, tree);
+
+		var clusters = mc.getClustersInBounds(bounds);
+		assert.strictEqual(clusters.length, 1);
+		assert.strictEqual(clusters[0], mc.getMarkerCluster(marker));
+	});
+
+	it('keeps the index of clusters up to date with their centers', function() {
+		var mc = createClusterer({averageCenter: true});
+		var world = new google.maps.LatLngBounds({lat: -80, lng: -179}, {lat: 80, lng: 179});
+		mc.getClustersInBounds(world);
+
+		var markers = mc.getMarkers().slice(0, 4);
+		for (var i = 0, marker; marker = markers[i]; i++) {
+			mc.moveMarker(marker, new google.maps.LatLng(0.1 + i * 0.001, 0.1));
+		}
+
+		var clusters = mc.getClustersInBounds(world);
+		assert.strictEqual(clusters.length, 3);
+		for (var i = 0, cluster; cluster = clusters[i]; i++) {
+			var center = cluster.getCenter();
+			var near = new google.maps.LatLngBounds(
+				{lat: center.lat() - 1e-9, lng: center.lng() - 1e-9},
+				{lat: center.lat() + 1e-9, lng: center.lng() + 1e-9});
+			assert.strictEqual(mc.getClustersInBounds(near).length, 1);
+		}
+	});
+
+	it('updates the cluster index in hierarchical mode instead of building it again', function() {
+		var mc = createClusterer({hierarchical: true});
+		assert.deepStrictEqual(clusterSizes(mc), [4, 4, 4]);
+		var index = mc.index_;
+
+		var markers = mc.getMarkers();
+		var untouched = mc.getMarkerCluster(markers[8]);
+		mc.moveMarker(markers[0], new google.maps.LatLng(0.201, 0.201));
+
+		assert.strictEqual(mc.index_, index);
+		assert.deepStrictEqual(clusterSizes(mc), [3, 4, 5]);
+		assert.strictEqual(mc.getMarkerCluster(markers[8]), untouched);
+		assert.strictEqual(mc.getMarkerCluster(markers[0]), mc.getMarkerCluster(markers[4]));
+	});
+
+	it('removes markers from the cluster index in hierarchical mode', function() {
+		var mc = createClusterer({hierarchical: true});
+		var index = mc.index_;
+		var markers = mc.getMarkers().slice(0, 4);
+
+		mc.removeMarkers(markers.slice(0, 3));
+		assert.strictEqual(mc.index_, index);
+		assert.deepStrictEqual(clusterSizes(mc), [1, 4, 4]);
+		assert.strictEqual(markers[0].getMap(), null);
+		assert.strictEqual(markers[3].getMap(), mc.getMap());
+	});
+});
+
+
+describe('removing markers', function() {
+	// Counts the calls to the methods of the spatial index
+	function spyTree(mc) {
+		var calls = {remove: 0, load: 0};
+		['remove', 'load'].forEach(function (name) {
+			var method = mc.tree_[name];
+			mc.tree_[name] = function () {
+				calls[name]++;
+				return method.apply(this, arguments);
+			};
+		});
+		return calls;
+	}
+
+	function treeMarkers(mc) {
+		return mc.tree_.all().map(function (node) { return node[2]; });
+	}
+
+	it('removes the nodes of a few markers from the spatial index', function() {
+		var markers = gridMarkers(4, 4, 0.05, {lat: -0.1, lng: -0.1});
+		var mc = new MarkerClusterer(createMap(), markers, {});
+		var calls = spyTree(mc);
+
+		mc.removeMarker(markers[0]);
+		mc.removeMarkers([markers[5], markers[6]]);
+		assert.deepStrictEqual(calls, {remove: 3, load: 0});
+
+		var indexed = treeMarkers(mc);
+		assert.strictEqual(indexed.length, 13);
+		assert.strictEqual(Object.keys(mc.markerNodes_).length, 13);
+		[0, 5, 6].forEach(function (i) {
+			assert.strictEqual(indexed.indexOf(markers[i]), -1);
+		});
+
+		var pos = markers[1].getPosition();
+		var found = mc.tree_.search([pos.lat(), pos.lng(), pos.lat(), pos.lng()]);
+		assert.strictEqual(found.length, 1);
+		assert.strictEqual(found[0][2], markers[1]);
+	});
+
+	it('builds the spatial index again when most markers are removed', function() {
+		var markers = gridMarkers(4, 4, 0.05, {lat: -0.1, lng: -0.1});
+		var mc = new MarkerClusterer(createMap(), markers, {hierarchical: true});
+		var calls = spyTree(mc);
+
+		mc.removeMarkers(markers.slice(0, 12));
+		assert.deepStrictEqual(calls, {remove: 0, load: 1});
+		assert.strictEqual(Object.keys(mc.markerNodes_).length, 4);
+
+		var indexed = treeMarkers(mc);
+		assert.strictEqual(indexed.length, 4);
+		for (var i = 12; i < 16; i++) {
+			assert.notStrictEqual(indexed.indexOf(markers[i]), -1);
+		}
+		assert.strictEqual(clusterSizes(mc).reduce(function (a, b) { return a + b; }), 4);
+	});
+
+	it('clusters the markers left after removing others', function() {
+		var markers = gridMarkers(2, 2, 0.002).concat(gridMarkers(2, 2, 0.002, {lat: 0.2, lng: 0.2}));
+		var mc = new MarkerClusterer(createMap(), markers, {});
+
+		mc.removeMarkers(markers.slice(0, 3));
+		mc.redraw();
+		assert.deepStrictEqual(clusterSizes(mc), [1, 4]);
+		assert.strictEqual(markers[0].getMap(), null);
+		assert.strictEqual(markers[3].getMap(), mc.getMap());
+		assert.strictEqual(mc.getMarkers().length, 5);
+	});
+});
+
+
+describe('animations', function() {
+	// Animation frames run when the tests say so
+	var frames;
+
+	beforeEach(function() {
+		frames = {};
+		var nextFrame = 1;
+		context.requestAnimationFrame = function (callback) {
+			frames[nextFrame] = callback;
+			return nextFrame++;
+		};
+		context.cancelAnimationFrame = function (id) {
+			delete frames[id];
+		};
+	});
+
+	afterEach(function() {
+		delete context.requestAnimationFrame;
+		delete context.cancelAnimationFrame;
+	});
+
+	function runFrame(time) {
+		var callbacks = frames;
+		frames = {};
+		for (var id in callbacks) {
+			callbacks[id](time);
+		}
+	}
+
+	function pendingFrames() {
+		return Object.keys(frames).length;
+	}
+
+	// Two groups of four markers, in one cluster at zoom level 10 and in two
+	// at zoom level 14
+	function createClusterer(map) {
+		var markers = gridMarkers(2, 2, 0.002).concat(gridMarkers(2, 2, 0.002, {lat: 0.01, lng: 0.01}));
+		return new MarkerClusterer(map, markers, {animate: 300, averageCenter: true});
+	}
+
+	function zoomTo(map, zoom) {
+		map.setZoom(zoom);
+		map.idle();
+	}
+
+	function iconPosition(cluster) {
+		var center = cluster.clusterIcon_.center;
+		return [center.lat(), center.lng()];
+	}
+
+	function position(latLng) {
+		return [latLng.lat(), latLng.lng()];
+	}
+
+	it('moves the clusters out of the cluster they split from', function() {
+		var map = createMap();
+		var mc = createClusterer(map);
+		var parent = mc.clusters_[0];
+		var from = position(parent.getCenter());
+
+		zoomTo(map, 14);
+		assert.deepStrictEqual(clusterSizes(mc), [4, 4]);
+		assert.strictEqual(parent.clusterIcon_.getMap(), null);
+
+		runFrame(1000);
+		for (var i = 0, cluster; cluster = mc.clusters_[i]; i++) {
+			assert.deepStrictEqual(iconPosition(cluster), from);
+		}
+
+		runFrame(1150);
+		for (var i = 0, cluster; cluster = mc.clusters_[i]; i++) {
+			var pos = iconPosition(cluster);
+			var to = position(cluster.getCenter());
+			assert.ok(Math.abs(pos[0] - from[0]) > 0 && Math.abs(pos[0] - to[0]) > 0);
+		}
+
+		runFrame(1300);
+		assert.strictEqual(pendingFrames(), 0);
+		assert.strictEqual(mc.transition_, null);
+		for (var i = 0, cluster; cluster = mc.clusters_[i]; i++) {
+			assert.deepStrictEqual(iconPosition(cluster), position(cluster.getCenter()));
+			assert.strictEqual(cluster.clusterIcon_.visible_, true);
+		}
+	});
+
+	it('moves the markers out of the cluster they split from', function() {
+		var map = createMap({zoom: 14});
+		var mc = createClusterer(map);
+		var parent = mc.clusters_[0];
+		var from = position(parent.getCenter());
+		var marker = parent.getMarkers()[0];
+		var own = marker.getPosition();
+
+		zoomTo(map, 20);
+		assert.strictEqual(marker.getMap(), map);
+		runFrame(1000);
+		assert.deepStrictEqual(position(marker.getPosition()), from);
+
+		runFrame(1300);
+		assert.strictEqual(marker.getPosition(), own);
+		assert.strictEqual(mc.getMarkerPosition_(marker), own);
+	});
+
+	it('merges the clusters into the cluster they join', function() {
+		var map = createMap({zoom: 14});
+		var mc = createClusterer(map);
+		var children = mc.clusters_.slice();
+		assert.strictEqual(children.length, 2);
+
+		zoomTo(map, 10);
+		assert.deepStrictEqual(clusterSizes(mc), [8]);
+		var target = mc.clusters_[0];
+		var to = position(target.getCenter());
+		assert.strictEqual(target.clusterIcon_.visible_, false);
+
+		runFrame(1000);
+		for (var i = 0; i < children.length; i++) {
+			assert.deepStrictEqual(iconPosition(children[i]), position(children[i].getCenter()));
+			assert.strictEqual(children[i].clusterIcon_.getMap(), map);
+		}
+
+		runFrame(1300);
+		for (var i = 0; i < children.length; i++) {
+			assert.strictEqual(children[i].clusterIcon_.getMap(), null);
+		}
+		assert.strictEqual(target.clusterIcon_.visible_, true);
+		assert.deepStrictEqual(iconPosition(target), to);
+		assert.strictEqual(pendingFrames(), 0);
+	});
+
+	it('moves the markers into the cluster they join and hides them', function() {
+		var map = createMap({zoom: 20});
+		var mc = createClusterer(map);
+		var marker = mc.getMarkers()[0];
+		var own = marker.getPosition();
+		assert.strictEqual(marker.getMap(), map);
+
+		zoomTo(map, 14);
+		var target = mc.getMarkerCluster(marker);
+		runFrame(1000);
+		assert.strictEqual(marker.getMap(), map);
+		assert.deepStrictEqual(position(marker.getPosition()), position(own));
+
+		runFrame(1300);
+		assert.strictEqual(marker.getMap(), null);
+		assert.strictEqual(marker.getPosition(), own);
+		assert.strictEqual(target.clusterIcon_.visible_, true);
+	});
+
+	it('ends the animation at its final state when the zoom changes again', function() {
+		var map = createMap();
+		var mc = createClusterer(map);
+
+		zoomTo(map, 14);
+		runFrame(1000);
+		runFrame(1100);
+		var clusters = mc.clusters_.slice();
+
+		map.setZoom(15);
+		assert.strictEqual(mc.transition_, null);
+		assert.strictEqual(pendingFrames(), 0);
+		for (var i = 0, cluster; cluster = clusters[i]; i++) {
+			assert.deepStrictEqual(iconPosition(cluster), position(cluster.getCenter()));
+		}
+
+		map.idle();
+		assert.deepStrictEqual(clusterSizes(mc), [4, 4]);
+	});
+
+	it('does not animate without the animate option', function() {
+		var map = createMap();
+		var markers = gridMarkers(2, 2, 0.002).concat(gridMarkers(2, 2, 0.002, {lat: 0.01, lng: 0.01}));
+		var mc = new MarkerClusterer(map, markers, {});
+
+		zoomTo(map, 14);
+		assert.strictEqual(mc.transition_, null);
+		assert.strictEqual(pendingFrames(), 0);
+	});
+});
+
+
+describe('spiderfy', function() {
+	function createClusterer() {
+		var markers = [];
+		for (var i = 0; i < 5; i++) {
+			markers.push(new google.maps.Marker({position: {lat: 0, lng: 0}, draggable: true}));
+		}
+		markers = markers.concat(gridMarkers(2, 2, 0.002, {lat: 0.2, lng: 0.2}));
+		return new MarkerClusterer(createMap(), markers, {spiderfy: true});
+	}
+
+	function countEvents(mc, type) {
+		var events = {count: 0};
+		google.maps.event.addListener(mc, type, function () {
+			events.count++;
+		});
+		return events;
+	}
+
+	it('fans out the markers of a cluster around its center', function() {
+		var mc = createClusterer();
+		var cluster = mc.getMarkerCluster(mc.getMarkers()[0]);
+		mc.spiderfyCluster(cluster);
+
+		var markers = cluster.getMarkers();
+		for (var i = 0, marker; marker = markers[i]; i++) {
+			assert.strictEqual(marker.getMap(), mc.getMap());
+			assert.ok(!marker.getPosition().equals(cluster.getCenter()));
+		}
+
+		mc.unspiderfy();
+		for (var i = 0, marker; marker = markers[i]; i++) {
+			assert.strictEqual(marker.getMap(), null);
+			assert.ok(marker.getPosition().equals(cluster.getCenter()));
+		}
+	});
+
+	it('stays open when a marker of another cluster moves', function() {
+		var mc = createClusterer();
+		var cluster = mc.getMarkerCluster(mc.getMarkers()[0]);
+		mc.spiderfyCluster(cluster);
+		var unspiderfied = countEvents(mc, 'unspiderfied');
+
+		mc.moveMarker(mc.getMarkers()[5], new google.maps.LatLng(0.201, 0.2));
+		assert.strictEqual(unspiderfied.count, 0);
+		assert.strictEqual(mc.spiderfier_.getCluster(), cluster);
+	});
+
+	it('collapses when a spiderfied marker is dragged, leaving it where dropped', function() {
+		var mc = createClusterer();
+		var markers = mc.getMarkers().slice(0, 5);
+		mc.spiderfyCluster(mc.getMarkerCluster(markers[0]));
+		var unspiderfied = countEvents(mc, 'unspiderfied');
+
+		var dropped = new google.maps.LatLng(-0.2, -0.2);
+		markers[0].setPosition(dropped);
+		google.maps.event.trigger(markers[0], 'dragend');
+
+		assert.strictEqual(unspiderfied.count, 1);
+		assert.strictEqual(markers[0].getPosition(), dropped);
+		assert.strictEqual(markers[0].getMap(), mc.getMap());
+		for (var i = 1; i < markers.length; i++) {
+			assert.ok(markers[i].getPosition().equals(new google.maps.LatLng(0, 0)));
+			assert.strictEqual(markers[i].getMap(), null);
+		}
+	});
+});
+
+
+describe('accessibility', function() {
+	// Two clusters of four markers, the second one east of the first one
+	function createClusterer(options) {
+		var markers = gridMarkers(2, 2, 0.002, {lat: 0, lng: 0})
+			.concat(gridMarkers(2, 2, 0.002, {lat: 0, lng: 0.2}));
+		return new MarkerClusterer(createMap(), markers, options || {});
+	}
+
+	function getIcon(mc, marker) {
+		return mc.getMarkerCluster(marker).clusterIcon_.div_;
+	}
+
+	it('makes cluster icons focusable buttons labelled with their size', function() {
+		var mc = createClusterer();
+		var div = getIcon(mc, mc.getMarkers()[0]);
+		assert.strictEqual(div.getAttribute('role'), 'button');
+		assert.strictEqual(div.getAttribute('tabindex'), '0');
+		assert.strictEqual(div.getAttribute('aria-label'), 'Cluster of 4 markers');
+	});
+
+	it('replaces every {count} in the label', function() {
+		var mc = createClusterer({ariaLabel: '{count} places, {count} in total'});
+		var div = getIcon(mc, mc.getMarkers()[0]);
+		assert.strictEqual(div.getAttribute('aria-label'), '4 places, 4 in total');
+	});
+
+	it('labels icons with a function of the cluster', function() {
+		var mc = createClusterer({ariaLabel: function (cluster) {
+			return 'Weight ' + cluster.getWeight();
+		}});
+		var div = getIcon(mc, mc.getMarkers()[0]);
+		assert.strictEqual(div.getAttribute('aria-label'), 'Weight 4');
+	});
+
+	it('activates icons with Enter and moves the focus with arrow keys', function() {
+		var mc = createClusterer();
+		var markers = mc.getMarkers();
+		var clicked = [];
+		google.maps.event.addListener(mc, 'clusterclick', function (cluster) {
+			clicked.push(cluster);
+		});
+
+		var key = function (div, name) {
+			google.maps.event.trigger(div, 'keydown', {
+				key: name,
+				preventDefault: function () {},
+				stopPropagation: function () {}
+			});
+		};
+
+		var west = getIcon(mc, markers[0]);
+		var east = getIcon(mc, markers[4]);
+		key(west, 'Enter');
+		assert.strictEqual(clicked.length, 1);
+		assert.strictEqual(clicked[0], mc.getMarkerCluster(markers[0]));
+
+		key(west, 'ArrowRight');
+		assert.strictEqual(context.document.activeElement, east);
+		key(east, 'ArrowUp');
+		assert.strictEqual(context.document.activeElement, east);
+	});
+});
+
+
+describe('canvas renderer', function() {
+	// Two clusters of four markers, painted on the layer
+	function createClusterer() {
+		var markers = gridMarkers(2, 2, 0.002, {lat: 0, lng: 0})
+			.concat(gridMarkers(2, 2, 0.002, {lat: 0.2, lng: 0.2}));
+		var mc = new MarkerClusterer(createMap(), markers, {renderer: 'canvas'});
+		mc.getCanvasLayer_().paint_();
+		return mc;
+	}
+
+	it('finds the icon painted at a position', function() {
+		var mc = createClusterer();
+		var layer = mc.getCanvasLayer_();
+		var markers = mc.getMarkers();
+		var cluster = mc.getMarkerCluster(markers[0]);
+
+		assert.strictEqual(layer.getIconAt(cluster.getCenter()), cluster.clusterIcon_);
+		assert.strictEqual(layer.getIconAt(new google.maps.LatLng(0.1, 0.1)), null);
+
+		var other = mc.getMarkerCluster(markers[4]);
+		assert.strictEqual(layer.getIconAt(other.getCenter()), other.clusterIcon_);
+	});
+
+	it('triggers cluster events for clicks on the map over icons', function() {
+		var mc = createClusterer();
+		var map = mc.getMap();
+		var cluster = mc.getMarkerCluster(mc.getMarkers()[0]);
+		var clicked = [];
+		google.maps.event.addListener(mc, 'clusterclick', function (c) {
+			clicked.push(c);
+		});
+
+		google.maps.event.trigger(map, 'click', {latLng: new google.maps.LatLng(0.1, 0.1)});
+		assert.strictEqual(clicked.length, 0);
+		google.maps.event.trigger(map, 'click', {latLng: cluster.getCenter()});
+		assert.strictEqual(clicked.length, 1);
+		assert.strictEqual(clicked[0], cluster);
+	});
+
+	it('shows a pointer over icons and restores the map options after', function() {
+		var mc = createClusterer();
+		var map = mc.getMap();
+		var cluster = mc.getMarkerCluster(mc.getMarkers()[0]);
+
+		google.maps.event.trigger(map, 'mousemove', {latLng: cluster.getCenter()});
+		assert.strictEqual(map.get('draggableCursor'), 'pointer');
+		assert.strictEqual(map.get('disableDoubleClickZoom'), true);
+
+		google.maps.event.trigger(map, 'mousemove', {latLng: new google.maps.LatLng(0.1, 0.1)});
+		assert.strictEqual(map.get('draggableCursor'), undefined);
+		assert.strictEqual(map.get('disableDoubleClickZoom'), undefined);
+	});
+});
+
+
+describe('cluster events', function() {
+	var TYPES = ['clusterclick', 'clusterdblclick', 'clusterrightclick', 'clustermouseover',
+		'clustermouseout', 'clusteringbegin', 'clusteringend'];
+
+	// Records the events of a clusterer, with their arguments
+	function recordEvents(mc) {
+		var events = [];
+		TYPES.forEach(function (type) {
+			google.maps.event.addListener(mc, type, function () {
+				events.push([type].concat(Array.prototype.slice.call(arguments)));
+			});
+		});
+		return events;
+	}
+
+	function eventTypes(events) {
+		return events.map(function (event) { return event[0]; });
+	}
+
+	// A mouse event, recording the calls to its methods
+	function mouseEvent(detail) {
+		var e = {detail: detail || 0, calls: []};
+		e.stopPropagation = function () { e.calls.push('stopPropagation'); };
+		e.preventDefault = function () { e.calls.push('preventDefault'); };
+		return e;
+	}
+
+	// A cluster of four markers worth 2 each, and a marker to the north
+	function createClusterer(options) {
+		var markers = gridMarkers(2, 2, 0.002).concat(gridMarkers(1, 1, 0, {lat: 0.2, lng: 0}));
+		for (var i = 0; i < markers.length; i++) {
+			markers[i].set('value', 2);
+		}
+		return new MarkerClusterer(createMap(), markers, options || {});
+	}
+
+	it('triggers clusteringbegin and clusteringend around each clustering pass', function() {
+		var mc = createClusterer();
+		var events = recordEvents(mc);
+
+		mc.getMap().setZoom(11);
+		assert.deepStrictEqual(events, []);
+		mc.getMap().idle();
+		assert.deepStrictEqual(eventTypes(events), ['clusteringbegin', 'clusteringend']);
+		assert.deepStrictEqual(events[0].slice(1), [mc]);
+		assert.strictEqual(events[1][1], mc);
+
+		var stats = events[1][2];
+		assert.deepStrictEqual(Object.keys(stats), ['clusters', 'markers', 'zoom', 'time']);
+		assert.strictEqual(stats.clusters, 2);
+		assert.strictEqual(stats.markers, 5);
+		assert.strictEqual(stats.zoom, 11);
+		assert.ok(stats.time >= 0);
+	});
+
+	it('triggers clusteringend once the worker answers', function() {
+		var worker = new workers.Worker();
+		var mc = createClusterer({worker: worker, workerImports: workers.IMPORTS});
+		worker.flush();
+		var events = recordEvents(mc);
+
+		mc.getMap().setZoom(11);
+		mc.getMap().idle();
+		assert.deepStrictEqual(eventTypes(events), ['clusteringbegin']);
+
+		// A pass requested before the worker answers ends with the last one
+		mc.redraw();
+		assert.deepStrictEqual(eventTypes(events), ['clusteringbegin']);
+		worker.flush();
+		assert.deepStrictEqual(eventTypes(events), ['clusteringbegin', 'clusteringend']);
+		assert.strictEqual(events[1][2].zoom, 11);
+		assert.strictEqual(events[1][2].clusters, 2);
+	});
+
+	it('triggers mouse events with the cluster and its aggregates', function() {
+		var mc = createClusterer({aggregations: {total: {property: 'value', op: 'sum'}}});
+		var cluster = mc.getMarkerCluster(mc.getMarkers()[0]);
+		var div = cluster.clusterIcon_.div_;
+		var events = recordEvents(mc);
+
+		google.maps.event.trigger(div, 'mouseenter', mouseEvent());
+		google.maps.event.trigger(div, 'mouseleave', mouseEvent());
+		var rightClick = mouseEvent();
+		google.maps.event.trigger(div, 'contextmenu', rightClick);
+
+		assert.deepStrictEqual(eventTypes(events),
+			['clustermouseover', 'clustermouseout', 'clusterrightclick']);
+		for (var i = 0; i < events.length; i++) {
+			assert.strictEqual(events[i].length, 3);
+			assert.strictEqual(events[i][1], cluster);
+			assert.strictEqual(events[i][2].total, 8);
+		}
+		assert.deepStrictEqual(rightClick.calls, ['preventDefault']);
+	});
+
+	it('handles the first click of a double click only', function() {
+		var mc = createClusterer();
+		var map = mc.getMap();
+		var cluster = mc.getMarkerCluster(mc.getMarkers()[0]);
+		var div = cluster.clusterIcon_.div_;
+		var events = recordEvents(mc);
+		var fitted = 0;
+		map.fitBounds = function () { fitted++; };
+
+		var dblclick = mouseEvent(2);
+		google.maps.event.trigger(div, 'click', mouseEvent(1));
+		google.maps.event.trigger(div, 'click', mouseEvent(2));
+		google.maps.event.trigger(div, 'dblclick', dblclick);
+
+		assert.deepStrictEqual(eventTypes(events), ['clusterclick', 'clusterdblclick']);
+		assert.strictEqual(events[1][1], cluster);
+		assert.strictEqual(fitted, 1);
+		assert.deepStrictEqual(dblclick.calls, ['stopPropagation']);
+
+		// Clicks apart from each other are all handled
+		google.maps.event.trigger(div, 'click', mouseEvent(1));
+		assert.strictEqual(fitted, 2);
+	});
+
+	it('handles the first click of a double click only on the canvas', function() {
+		var mc = createClusterer({renderer: 'canvas'});
+		var map = mc.getMap();
+		mc.getCanvasLayer_().paint_();
+		var cluster = mc.getMarkerCluster(mc.getMarkers()[0]);
+		var events = recordEvents(mc);
+		map.fitBounds = function () {};
+
+		var latLng = cluster.getCenter();
+		google.maps.event.trigger(map, 'click', {latLng: latLng, domEvent: mouseEvent(1)});
+		google.maps.event.trigger(map, 'click', {latLng: latLng, domEvent: mouseEvent(2)});
+		google.maps.event.trigger(map, 'dblclick', {latLng: latLng, domEvent: mouseEvent(2)});
+		assert.deepStrictEqual(eventTypes(events), ['clusterclick', 'clusterdblclick']);
+	});
+});
+
+
+describe('filter', function() {
+	// Three groups of four markers, the first one made of markers of kind "a"
+	function createClusterer(options) {
+		var markers = gridMarkers(2, 2, 0.002, {lat: 0, lng: 0})
+			.concat(gridMarkers(2, 2, 0.002, {lat: 0.2, lng: 0.2}))
+			.concat(gridMarkers(2, 2, 0.002, {lat: -0.2, lng: -0.2}));
+		for (var i = 0; i < markers.length; i++) {
+			markers[i].kind = i < 4 ? 'a' : 'b';
+		}
+		return new MarkerClusterer(createMap(), markers, options || {});
+	}
+
+	function isB(marker) {
+		return marker.kind == 'b';
+	}
+
+	it('only updates the clusters of the markers it hides or shows', function() {
+		var mc = createClusterer();
+		var markers = mc.getMarkers();
+		var kept = mc.getMarkerCluster(markers[4]);
+
+		mc.setFilter(isB);
+		assert.deepStrictEqual(clusterSizes(mc), [4, 4]);
+		assert.strictEqual(mc.getMarkerCluster(markers[4]), kept);
+		assert.strictEqual(mc.getMarkerCluster(markers[0]), null);
+		assert.strictEqual(markers[0].getMap(), null);
+
+		mc.clearFilter();
+		assert.deepStrictEqual(clusterSizes(mc), [4, 4, 4]);
+		assert.strictEqual(mc.getMarkerCluster(markers[4]), kept);
+		assert.ok(mc.getMarkerCluster(markers[0]));
+	});
+
+	it('shows the markers of clusters left too small', function() {
+		var mc = createClusterer({minimumClusterSize: 3});
+		var markers = mc.getMarkers();
+		var cluster = mc.getMarkerCluster(markers[0]);
+
+		mc.setFilter(function (marker) {
+			return marker !== markers[0] && marker !== markers[1];
+		});
+		assert.deepStrictEqual(clusterSizes(mc), [2, 4, 4]);
+		assert.strictEqual(mc.getMarkerCluster(markers[2]), cluster);
+		assert.strictEqual(markers[0].getMap(), null);
+		assert.strictEqual(markers[2].getMap(), mc.getMap());
+		assert.strictEqual(markers[3].getMap(), mc.getMap());
+	});
+
+	it('updates the cluster index in hierarchical mode instead of building it again', function() {
+		var mc = createClusterer({hierarchical: true});
+		var markers = mc.getMarkers();
+		var index = mc.index_;
+		var kept = mc.getMarkerCluster(markers[4]);
+
+		mc.setFilter(isB);
+		assert.strictEqual(mc.index_, index);
+		assert.deepStrictEqual(clusterSizes(mc), [4, 4]);
+		assert.strictEqual(mc.getMarkerCluster(markers[4]), kept);
+		assert.strictEqual(markers[0].getMap(), null);
+
+		mc.clearFilter();
+		assert.strictEqual(mc.index_, index);
+		assert.deepStrictEqual(clusterSizes(mc), [4, 4, 4]);
+	});
+});
+
+
+describe('data points', function() {
+	// A group of four data points at the center of the map, single ones
+	// around it, and a pair east of it, shown as markers as clusters need
+	// three of them. Zooming in leaves the second point of the pair out of
+	// view, but not the center of its cluster.
+	function createClusterer(options) {
+		var points = [];
+		for (var i = 0; i < 4; i++) {
+			points.push({id: 'group' + i, lat: 0.001 * i, lng: 0});
+		}
+		points.push({id: 'ne', lat: 0.3, lng: 0.3});
+		points.push({id: 'sw', lat: -0.3, lng: -0.3});
+		points.push({id: 'se', lat: -0.3, lng: 0.3});
+		points.push({id: 'e1', lat: 0, lng: 0.1});
+		points.push({id: 'e2', lat: 0, lng: 0.15});
+
+		options = options || {};
+		options.minimumClusterSize = 3;
+		return new MarkerClusterer(createMap(), points, options);
+	}
+
+	function shownIds(mc) {
+		return Object.keys(mc.pointMarkers_).sort();
+	}
+
+	it('creates markers for the data points shown outside clusters only', function() {
+		var mc = createClusterer();
+		assert.deepStrictEqual(shownIds(mc), ['e1', 'e2', 'ne', 'se', 'sw']);
+		assert.strictEqual(mc.getShownMarker(mc.getMarkers()[0]), null);
+		assert.strictEqual(mc.getShownMarker(mc.getMarkers()[4]).getMap(), mc.getMap());
+	});
+
+	[false, true].forEach(function (animate) {
+		it('releases the markers of data points out of view after zooming in' +
+				(animate ? ', with animations' : ''), function() {
+			var mc = createClusterer({animate: animate});
+			var released = ['ne', 'sw', 'se', 'e2'].map(function (id) {
+				return mc.pointMarkers_[id];
+			});
+
+			mc.getMap().setZoom(12);
+			mc.getMap().idle();
+			mc.cancelTransition_();
+
+			assert.deepStrictEqual(shownIds(mc), ['e1']);
+			for (var i = 0; i < released.length; i++) {
+				assert.strictEqual(released[i].getMap(), null);
+			}
+		});
+	});
+
+	it('releases the markers of data points out of view after zooming in, with a worker', function() {
+		var worker = new workers.Worker();
+		var mc = createClusterer({worker: worker, workerImports: workers.IMPORTS});
+		worker.flush();
+		assert.deepStrictEqual(shownIds(mc), ['e1', 'e2', 'ne', 'se', 'sw']);
+		var released = mc.pointMarkers_.e2;
+
+		mc.getMap().setZoom(12);
+		mc.getMap().idle();
+		worker.flush();
+		assert.deepStrictEqual(shownIds(mc), ['e1']);
+		assert.strictEqual(released.getMap(), null);
+	});
+
+	it('releases the markers of data points out of view after panning', function() {
+		var mc = createClusterer();
+		var shown = mc.getShownMarker(mc.getMarkers()[5]);
+
+		mc.getMap().setCenter({lat: 0.3, lng: 0.3});
+		mc.getMap().setZoom(12);
+		mc.getMap().idle();
+		assert.deepStrictEqual(shownIds(mc), ['ne']);
+
+		mc.getMap().setCenter({lat: -0.3, lng: -0.3});
+		mc.getMap().idle();
+		assert.deepStrictEqual(shownIds(mc), ['sw']);
+		assert.strictEqual(shown.getMap(), null);
+	});
+});
+
+
+describe('GeoJSON export', function() {
+	// A group of four data points, a single one, an unclusterable one shown on
+	// its own, and one out of view
+	function createPoints() {
+		var points = [];
+		for (var i = 0; i < 4; i++) {
+			points.push({id: 'group' + i, lat: 0.001 * i, lng: 0, props: {revenue: i + 1}});
+		}
+		points.push({id: 'single', lat: 0.2, lng: 0.2, props: {revenue: 5}});
+		points.push({id: 'loner', lat: -0.2, lng: -0.2, props: {unclusterable: true}});
+		points.push({id: 'far', lat: 10, lng: 10, props: {revenue: 6}});
+		return points;
+	}
+
+	function isClusterable(point) {
+		return !point.props.unclusterable;
+	}
+
+	function describeFeatures(geoJson) {
+		return Array.from(geoJson.features, function (feature) {
+			var p = feature.properties;
+			return feature.id !== undefined ? feature.id :
+				'cluster of ' + p.point_count + ', weight ' + p.point_weight + ', revenue ' + p.revenue;
+		}).sort();
+	}
+
+	var modes = {
+		'on the main thread': {},
+		'in hierarchical mode': {hierarchical: true},
+		'in worker mode': {worker: true},
+		'in worker and hierarchical modes': {worker: true, hierarchical: true}
+	};
+	Object.keys(modes).forEach(function (name) {
+		it('exports the clusters and markers of the viewport ' + name, function() {
+			var options = {
+				hierarchical: modes[name].hierarchical,
+				isClusterable: isClusterable,
+				showUnclusterable: true,
+				weight: 'revenue',
+				aggregations: {revenue: 'sum'}
+			};
+			var worker = null;
+			if (modes[name].worker) {
+				worker = options.worker = new workers.Worker();
+				options.workerImports = workers.IMPORTS;
+			}
+
+			var mc = new MarkerClusterer(createMap(), createPoints(), options);
+			if (worker) {
+				worker.flush();
+			}
+
+			var geoJson = mc.getClustersAsGeoJson();
+			assert.strictEqual(geoJson.type, 'FeatureCollection');
+			assert.deepStrictEqual(describeFeatures(geoJson),
+				['cluster of 4, weight 10, revenue 10', 'loner', 'single']);
+
+			var single = geoJson.features.filter(function (feature) {
+				return feature.id == 'single';
+			})[0];
+			assert.strictEqual(single.geometry.type, 'Point');
+			assert.deepStrictEqual(Array.from(single.geometry.coordinates), [0.2, 0.2]);
+			assert.strictEqual(single.properties.revenue, 5);
+		});
+	});
+
+	it('exports the clusters in some bounds', function() {
+		var mc = new MarkerClusterer(createMap(), createPoints(), {isClusterable: isClusterable});
+		var bounds = new google.maps.LatLngBounds({lat: -0.1, lng: -0.1}, {lat: 0.1, lng: 0.1});
+		var geoJson = mc.getClustersAsGeoJson(bounds);
+		assert.strictEqual(geoJson.features.length, 1);
+		assert.strictEqual(geoJson.features[0].properties.cluster, true);
+		assert.strictEqual(geoJson.features[0].properties.point_count, 4);
+	});
+
+	Object.keys(modes).forEach(function (name) {
+		it('exports the clusters of another zoom level ' + name, function() {
+			var options = {hierarchical: modes[name].hierarchical, isClusterable: isClusterable};
+			var worker = null;
+			if (modes[name].worker) {
+				worker = options.worker = new workers.Worker();
+				options.workerImports = workers.IMPORTS;
+			}
+
+			var mc = new MarkerClusterer(createMap(), createPoints(), options);
+			if (worker) {
+				worker.flush();
+			}
+
+			var bounds = new google.maps.LatLngBounds({lat: -0.1, lng: -0.1}, {lat: 0.1, lng: 0.1});
+			assert.deepStrictEqual(describeFeatures(mc.getClustersAsGeoJson(bounds, 17)),
+				['group0', 'group1', 'group2', 'group3']);
+
+			var world = new google.maps.LatLngBounds({lat: -80, lng: -179}, {lat: 80, lng: 179});
+			assert.deepStrictEqual(describeFeatures(mc.getClustersAsGeoJson(world, 5)),
+				['cluster of 5, weight undefined, revenue undefined', 'far']);
+
+			// The clusters shown on the map are left as they are
+			assert.deepStrictEqual(clusterSizes(mc), [1, 4]);
+		});
+	});
+
+	it('exports the clusters of the new zoom level before the map is idle', function() {
+		var mc = new MarkerClusterer(createMap(), createPoints(), {isClusterable: isClusterable});
+		mc.getMap().setCenter({lat: 0.0015, lng: 0});
+		mc.getMap().setZoom(17);
+		assert.deepStrictEqual(describeFeatures(mc.getClustersAsGeoJson()),
+			['group0', 'group1', 'group2', 'group3']);
+	});
+
+	it('exports the clusters of given bounds and zoom level once detached from the map', function() {
+		var mc = new MarkerClusterer(createMap(), createPoints(), {isClusterable: isClusterable});
+		mc.setMap(null);
+
+		var bounds = new google.maps.LatLngBounds({lat: -0.1, lng: -0.1}, {lat: 0.1, lng: 0.1});
+		assert.deepStrictEqual(describeFeatures(mc.getClustersAsGeoJson(bounds, 10)),
+			['cluster of 4, weight undefined, revenue undefined']);
+		assert.deepStrictEqual(Array.from(mc.getClustersAsGeoJson().features), []);
+		assert.deepStrictEqual(Array.from(mc.getClustersAsGeoJson(bounds).features), []);
+	});
+});
+
+
+describe('snapshots', function() {
+	// Three groups of four data points
+	function createPoints() {
+		var points = [];
+		var corners = [[0, 0], [0.2, 0.2], [-0.2, -0.2]];
+		for (var i = 0; i < corners.length; i++) {
+			for (var j = 0; j < 4; j++) {
+				points.push({id: i * 4 + j, lat: corners[i][0] + 0.001 * j, lng: corners[i][1]});
+			}
+		}
+		return points;
+	}
+
+	// Counts the items bulk-loaded in the spatial trees of the scripts
+	function countLoaded(fn) {
+		var load = context.rbush.prototype.load;
+		var loaded = 0;
+		context.rbush.prototype.load = function (data) {
+			loaded += data.length;
+			return load.apply(this, arguments);
+		};
+		try {
+			fn();
+		} finally {
+			context.rbush.prototype.load = load;
+		}
+		return loaded;
+	}
+
+	function takeSnapshot(options) {
+		var mc = new MarkerClusterer(createMap(), createPoints(), options || {});
+		return JSON.parse(JSON.stringify(mc.getSnapshot()));
+	}
+
+	it('restores the markers and clusters without indexing them again', function() {
+		var snapshot = takeSnapshot({hierarchical: true});
+		var mc;
+		var loaded = countLoaded(function () {
+			mc = new MarkerClusterer(createMap(), createPoints(), {hierarchical: true, snapshot: snapshot});
+		});
+		assert.strictEqual(loaded, 0);
+		assert.deepStrictEqual(clusterSizes(mc), [4, 4, 4]);
+
+		// The restored indexes are updated like built ones
+		var markers = mc.getMarkers();
+		mc.moveMarker(markers[0], {lat: 0.201, lng: 0.2});
+		assert.deepStrictEqual(clusterSizes(mc), [3, 4, 5]);
+		mc.removeMarkers([markers[0]]);
+		assert.deepStrictEqual(clusterSizes(mc), [3, 4, 4]);
+	});
+
+	it('restores the markers without indexing them again', function() {
+		var snapshot = takeSnapshot();
+		var mc = new MarkerClusterer(createMap(), [], {});
+		var loaded = countLoaded(function () {
+			mc.loadSnapshot(snapshot, createPoints(), true);
+		});
+		assert.strictEqual(loaded, 0);
+
+		mc.redraw();
+		assert.deepStrictEqual(clusterSizes(mc), [4, 4, 4]);
+	});
+
+	var changes = {
+		'grid size': {gridSize: 30},
+		'maximum zoom level': {maxZoom: 15},
+		'algorithm': {algorithm: new context.ClusterCore.DistanceAlgorithm()},
+		'algorithm options': {algorithm: new context.ClusterCore.DistanceAlgorithm({radius: 20})}
+	};
+	Object.keys(changes).forEach(function (name) {
+		it('clusters the markers again for another ' + name, function() {
+			var snapshot = takeSnapshot({
+				hierarchical: true,
+				algorithm: new context.ClusterCore.DistanceAlgorithm({radius: 40})
+			});
+			var options = {
+				hierarchical: true,
+				algorithm: new context.ClusterCore.DistanceAlgorithm({radius: 40})
+			};
+			for (var key in changes[name]) {
+				options[key] = changes[name][key];
+			}
+
+			var mc = new MarkerClusterer(createMap(), [], options);
+			assert.strictEqual(mc.isSnapshotIndexValid_(snapshot.index), false);
+			mc.loadSnapshot(snapshot, createPoints());
+			assert.deepStrictEqual(clusterSizes(mc), [4, 4, 4]);
+		});
+	});
+
+	it('indexes the markers again once reordered', function() {
+		var snapshot = takeSnapshot({hierarchical: true});
+		var points = createPoints();
+		var swapped = points[0];
+		points[0] = points[4];
+		points[4] = swapped;
+
+		var mc;
+		var loaded = countLoaded(function () {
+			mc = new MarkerClusterer(createMap(), points, {hierarchical: true, snapshot: snapshot});
+		});
+		assert.ok(loaded > 0);
+		assert.deepStrictEqual(clusterSizes(mc), [4, 4, 4]);
+		assert.strictEqual(mc.getMarkerCluster(points[0]), mc.getMarkerCluster(points[5]));
+	});
+
+	it('takes snapshots of the markers added since the last one in worker mode', function() {
+		var worker = new workers.Worker();
+		var mc = new MarkerClusterer(createMap(), createPoints(), {
+			hierarchical: true,
+			worker: worker,
+			workerImports: workers.IMPORTS
+		});
+		worker.flush();
+		assert.strictEqual(mc.getSnapshot().index.leaves.length, 12);
+
+		mc.addMarkers([{id: 12, lat: 0.1, lng: 0.1}]);
+		worker.flush();
+		var snapshot = JSON.parse(JSON.stringify(mc.getSnapshot()));
+		assert.strictEqual(snapshot.index.leaves.length, 13);
+		assert.strictEqual(mc.index_, null);
+
+		var points = createPoints().concat([{id: 12, lat: 0.1, lng: 0.1}]);
+		mc = new MarkerClusterer(createMap(), points, {hierarchical: true, snapshot: snapshot});
+		assert.deepStrictEqual(clusterSizes(mc), [1, 4, 4, 4]);
+	});
+
+	it('sends the clusters of valid snapshots only to the worker', function() {
+		var snapshot = takeSnapshot({hierarchical: true});
+		var sent = [];
+		var createWorker = function () {
+			var worker = new workers.Worker();
+			var postMessage = worker.postMessage;
+			worker.postMessage = function (msg) {
+				sent.push(msg);
+				return postMessage.apply(this, arguments);
+			};
+			return worker;
+		};
+		var loads = function () {
+			return sent.filter(function (msg) { return msg.type == 'load'; });
+		};
+
+		var worker = createWorker();
+		var mc = new MarkerClusterer(createMap(), createPoints(), {
+			hierarchical: true,
+			worker: worker,
+			workerImports: workers.IMPORTS,
+			snapshot: snapshot
+		});
+		worker.flush();
+		assert.ok(loads()[0].index);
+		assert.deepStrictEqual(clusterSizes(mc), [4, 4, 4]);
+
+		var points = createPoints().reverse();
+		worker = createWorker();
+		mc = new MarkerClusterer(createMap(), points, {
+			hierarchical: true,
+			worker: worker,
+			workerImports: workers.IMPORTS,
+			snapshot: snapshot
+		});
+		worker.flush();
+		assert.strictEqual(loads()[1].index, null);
+		assert.deepStrictEqual(clusterSizes(mc), [4, 4, 4]);
+	});
+});
+
+
+describe('styles', function() {
+	// Clusters of 5, 12 and 30 markers at the center, north and south of the map
+	function createMarkers() {
+		return gridMarkers(5, 1, 0.0001, {lat: 0, lng: 0})
+			.concat(gridMarkers(12, 1, 0.0001, {lat: 0.2, lng: 0}))
+			.concat(gridMarkers(30, 1, 0.0001, {lat: -0.2, lng: 0}));
+	}
+
+	function iconsBySize(mc) {
+		var icons = {};
+		mc.clusters_.forEach(function (cluster) {
+			icons[cluster.getSize()] = cluster.clusterIcon_;
+		});
+		return icons;
+	}
+
+	it('picks the style of clusters by their number of markers', function() {
+		var mc = new MarkerClusterer(createMap(), createMarkers(), {
+			styles: [{color: 'small'}, {color: 'medium'}, {minCount: 25, color: 'large'}]
+		});
+		var icons = iconsBySize(mc);
+		assert.strictEqual(icons[5].style_.color, 'small');
+		assert.strictEqual(icons[12].style_.color, 'medium');
+		assert.strictEqual(icons[30].style_.color, 'large');
+		assert.strictEqual(icons[30].div_.innerHTML, '30');
+
+		mc = new MarkerClusterer(createMap(), createMarkers(), {});
+		icons = iconsBySize(mc);
+		assert.strictEqual(icons[5].style_, MarkerClusterer.DEFAULT_STYLES[0]);
+		assert.strictEqual(icons[12].style_, MarkerClusterer.DEFAULT_STYLES[1]);
+		assert.strictEqual(icons[30].style_, MarkerClusterer.DEFAULT_STYLES[1]);
+	});
+
+	it('picks the style and text with a custom calculator', function() {
+		var calls = [];
+		var styles = [{color: 'small'}, {color: 'large'}];
+		var mc = new MarkerClusterer(createMap(), createMarkers(), {
+			styles: styles,
+			calculator: function (markers, styles, aggregates, weight) {
+				calls.push({count: markers.length, styles: styles, aggregates: aggregates, weight: weight});
+				return {text: markers.length + ' stores', index: markers.length > 10 ? 5 : 0};
+			}
+		});
+		var icons = iconsBySize(mc);
+		assert.strictEqual(icons[5].style_.color, 'small');
+		assert.strictEqual(icons[5].div_.innerHTML, '5 stores');
+		// Indexes past the last style use the last one
+		assert.strictEqual(icons[12].style_.color, 'large');
+		assert.strictEqual(icons[30].style_.color, 'large');
+
+		var call = calls.filter(function (call) { return call.count == 12; }).pop();
+		assert.strictEqual(call.styles, styles);
+		assert.strictEqual(typeof call.aggregates, 'object');
+		assert.strictEqual(call.weight, 12);
+	});
+
+	it('sizes and places icons with the CSS of their style', function() {
+		var map = createMap();
+		var style = {
+			url: 'images/m (1).png',
+			className: 'cluster',
+			width: 40,
+			height: 30,
+			anchor: MarkerClusterer.BOTTOM_RIGHT,
+			textColor: '#123',
+			textSize: 14,
+			fontFamily: 'Arial',
+			fontWeight: 'bold'
+		};
+		var mc = new MarkerClusterer(map, createMarkers(), {styles: [style]});
+		var icon = iconsBySize(mc)[5];
+		var css = icon.div_.style.cssText;
+		var pos = map.project(icon.center);
+
+		assert.ok(css.indexOf('top:' + (pos.y - 30) + 'px; left:' + (pos.x - 40) + 'px;') != -1, css);
+		assert.ok(css.indexOf('width:40px; height:30px;line-height:30px;') != -1, css);
+		assert.ok(css.indexOf('background-image:url("images/m (1).png");') != -1, css);
+		assert.ok(css.indexOf('color:#123;font-size:14px;font-family:Arial;font-weight:bold;') != -1, css);
+		assert.strictEqual(icon.div_.className, 'cluster');
+		assert.strictEqual(icon.div_.innerHTML, '5');
+
+		// Centered by default
+		delete style.anchor;
+		mc = new MarkerClusterer(map, createMarkers(), {styles: [style]});
+		icon = iconsBySize(mc)[5];
+		css = icon.div_.style.cssText;
+		assert.ok(css.indexOf('top:' + (pos.y - 15) + 'px; left:' + (pos.x - 20) + 'px;') != -1, css);
+	});
+});
+
+
+describe('hulls', function() {
+	// A cluster of nine markers on a square, and a marker to the north
+	function createClusterer(options) {
+		var markers = gridMarkers(3, 3, 0.002).concat(gridMarkers(1, 1, 0, {lat: 0.2, lng: 0}));
+		return new MarkerClusterer(createMap(), markers, options);
+	}
+
+	function getCluster(mc) {
+		return mc.getMarkerCluster(mc.getMarkers()[0]);
+	}
+
+	function positions(latLngs) {
+		return Array.from(latLngs, function (latLng) {
+			return latLng.lat().toFixed(3) + ',' + latLng.lng().toFixed(3);
+		}).sort();
+	}
+
+	it('returns the positions on the hull of the markers of a cluster', function() {
+		var mc = createClusterer({});
+		assert.deepStrictEqual(positions(getCluster(mc).getHull()),
+			['0.000,0.000', '0.000,0.004', '0.004,0.000', '0.004,0.004']);
+	});
+
+	it('draws the hull of a cluster while the pointer is over its icon', function() {
+		var hullOptions = {strokeColor: 'red', fillOpacity: 0.5};
+		var mc = createClusterer({showHullOnHover: true, hullOptions: hullOptions});
+		var cluster = getCluster(mc);
+		assert.strictEqual(cluster.hullPolygon_, null);
+
+		google.maps.event.trigger(cluster.clusterIcon_.div_, 'mouseenter');
+		var polygon = cluster.hullPolygon_;
+		assert.ok(polygon instanceof google.maps.Polygon);
+		assert.strictEqual(polygon.getMap(), mc.getMap());
+		assert.strictEqual(polygon.clickable, false);
+		assert.strictEqual(polygon.strokeColor, 'red');
+		assert.strictEqual(polygon.fillOpacity, 0.5);
+		assert.deepStrictEqual(positions(polygon.paths), positions(cluster.getHull()));
+
+		google.maps.event.trigger(cluster.clusterIcon_.div_, 'mouseleave');
+		assert.strictEqual(polygon.getMap(), null);
+		assert.strictEqual(cluster.hullPolygon_, null);
+	});
+
+	it('draws hulls on demand only without showHullOnHover', function() {
+		var mc = createClusterer({});
+		var cluster = getCluster(mc);
+		google.maps.event.trigger(cluster.clusterIcon_.div_, 'mouseenter');
+		assert.strictEqual(cluster.hullPolygon_, null);
+
+		cluster.showHull();
+		var polygon = cluster.hullPolygon_;
+		assert.strictEqual(polygon.getMap(), mc.getMap());
+		assert.strictEqual(polygon.strokeColor, mc.hullOptions.strokeColor);
+
+		// Drawn once
+		cluster.showHull();
+		assert.strictEqual(cluster.hullPolygon_, polygon);
+		cluster.hideHull();
+		assert.strictEqual(polygon.getMap(), null);
+	});
+
+	it('updates drawn hulls as markers join their cluster', function() {
+		var mc = createClusterer({showHullOnHover: true});
+		var cluster = getCluster(mc);
+		google.maps.event.trigger(cluster.clusterIcon_.div_, 'mouseenter');
+		var polygon = cluster.hullPolygon_;
+
+		mc.addMarker(new google.maps.Marker({position: {lat: 0.006, lng: 0.006}}));
+		assert.strictEqual(mc.getMarkerCluster(mc.getMarkers()[10]), cluster);
+		assert.strictEqual(cluster.hullPolygon_, polygon);
+		assert.deepStrictEqual(positions(polygon.paths),
+			['0.000,0.000', '0.000,0.004', '0.004,0.000', '0.006,0.006']);
+	});
+
+	it('removes drawn hulls when clustering again', function() {
+		var mc = createClusterer({showHullOnHover: true});
+		var cluster = getCluster(mc);
+		google.maps.event.trigger(cluster.clusterIcon_.div_, 'mouseenter');
+		var polygon = cluster.hullPolygon_;
+
+		mc.getMap().setZoom(11);
+		mc.getMap().idle();
+		assert.strictEqual(polygon.getMap(), null);
+	});
+});
+
+
+describe('weighted clusters', function() {
+	// Groups of data points at the center, north and south of the map
+	function createClusterer(weights, options) {
+		var points = [];
+		var lats = [0, 0.2, -0.2];
+		for (var i = 0; i < weights.length; i++) {
+			for (var j = 0; j < weights[i].length; j++) {
+				points.push({id: i + ':' + j, lat: lats[i] + 0.001 * j, lng: 0, props: {w: weights[i][j]}});
+			}
+		}
+		options.weight = 'w';
+		return new MarkerClusterer(createMap(), points, options);
+	}
+
+	function clusterWeights(mc) {
+		return Array.from(mc.clusters_, function (cluster) {
+			return (cluster.isClusterSize_() ? 'cluster of ' : 'markers of ') + cluster.getWeight();
+		}).sort();
+	}
+
+	it('needs enough weight to hide markers behind a cluster icon', function() {
+		var mc = createClusterer([[1, 2], [5, 5], [3, 1, 1]], {minimumClusterWeight: 5});
+		assert.deepStrictEqual(clusterWeights(mc), ['cluster of 10', 'cluster of 5', 'markers of 3']);
+	});
+
+	it('needs enough markers as well', function() {
+		var mc = createClusterer([[50], [5, 5], [3, 1, 1]], {minimumClusterWeight: 5});
+		assert.deepStrictEqual(clusterWeights(mc), ['cluster of 10', 'cluster of 5', 'markers of 50']);
+		assert.strictEqual(mc.getShownMarker(mc.getMarkers()[0]).getMap(), mc.getMap());
+
+		mc = createClusterer([[50], [5, 5], [3, 1, 1]], {minimumClusterWeight: 5, minimumClusterSize: 3});
+		assert.deepStrictEqual(clusterWeights(mc), ['cluster of 5', 'markers of 10', 'markers of 50']);
+	});
+
+	it('updates clusters crossing the weight threshold', function() {
+		var mc = createClusterer([[2, 2], [5, 5]], {minimumClusterWeight: 5});
+		var markers = mc.getMarkers();
+		var cluster = mc.getMarkerCluster(markers[0]);
+		assert.strictEqual(cluster.isClusterSize_(), false);
+		assert.strictEqual(mc.getShownMarker(markers[0]).getMap(), mc.getMap());
+
+		mc.moveMarker(markers[2], {lat: 0.0005, lng: 0});
+		assert.strictEqual(mc.getMarkerCluster(markers[2]), cluster);
+		assert.strictEqual(cluster.isClusterSize_(), true);
+		assert.strictEqual(mc.getShownMarker(markers[0]), null);
+		assert.deepStrictEqual(clusterWeights(mc), ['cluster of 9', 'markers of 5']);
+	});
+});
+
+
+describe('layers', function() {
+	var ClusterLayerManager = context.ClusterLayerManager;
+
+	function createStyles(color) {
+		return [{color: color, width: 30, height: 30}];
+	}
+
+	function clusterColors(clusterer) {
+		return Array.from(clusterer.clusters_, function (cluster) {
+			return cluster.isClusterSize_() ? cluster.clusterIcon_.style_.color : 'markers';
+		}).sort();
+	}
+
+	it('clusters the layers of a group together, with their own styles', function() {
+		var layers = new ClusterLayerManager(createMap());
+		var stores = layers.addLayer('stores', gridMarkers(2, 1, 0.002, {lat: 0, lng: 0})
+			.concat(gridMarkers(2, 1, 0.002, {lat: 0.2, lng: 0})),
+			{group: 'retail', gridSize: 50, styles: createStyles('red')});
+		var warehouses = layers.addLayer('warehouses', gridMarkers(2, 1, 0.002, {lat: 0.2, lng: 0.001})
+			.concat(gridMarkers(2, 1, 0.002, {lat: -0.2, lng: 0})),
+			{group: 'retail', styles: createStyles('blue')});
+		var offices = layers.addLayer('offices', gridMarkers(2, 1, 0.002, {lat: 0, lng: 0}),
+			{styles: createStyles('green')});
+
+		assert.strictEqual(warehouses, stores);
+		assert.notStrictEqual(offices, stores);
+		assert.strictEqual(stores.gridSize, 50);
+		assert.deepStrictEqual(clusterSizes(stores), [2, 2, 4]);
+		assert.deepStrictEqual(clusterColors(stores),
+			['blue', 'red', ClusterLayerManager.MIXED_STYLES[0].color].sort());
+		assert.deepStrictEqual(clusterColors(offices), ['green']);
+
+		layers.removeLayer('warehouses');
+		assert.deepStrictEqual(clusterSizes(stores), [2, 2]);
+		assert.deepStrictEqual(clusterColors(stores), ['red', 'red']);
+	});
+
+	it('lets the layers of a group repeat or leave out its options', function() {
+		var layers = new ClusterLayerManager(createMap());
+		var options = {group: 'retail', gridSize: 50, maxZoom: 15, styles: createStyles('red')};
+		layers.addLayer('stores', [], options);
+		layers.addLayer('warehouses', [], {group: 'retail', gridSize: 50, styles: createStyles('blue')});
+		layers.addLayer('outlets', [], {group: 'retail', calculator: MarkerClusterer.CALCULATOR});
+	});
+
+	it('compares the options of layers with the ones of their group by value', function() {
+		function createOptions() {
+			return {
+				group: 'retail',
+				aggregations: {revenue: 'sum', status: 'countBy'},
+				algorithm: new MarkerClusterer.DistanceAlgorithm({gridSize: 50}),
+				hullOptions: {strokeColor: 'red', fillOpacity: 0.2}
+			};
+		}
+		var layers = new ClusterLayerManager(createMap());
+		var stores = layers.addLayer('stores', gridMarkers(2, 1, 0.002), createOptions());
+		var warehouses = layers.addLayer('warehouses', gridMarkers(2, 1, 0.002, {lat: 0.2, lng: 0}),
+			createOptions());
+		assert.strictEqual(warehouses, stores);
+		assert.strictEqual(stores.getMarkers().length, 4);
+
+		var options = createOptions();
+		options.algorithm = new MarkerClusterer.DistanceAlgorithm({gridSize: 40});
+		assert.throws(function () {
+			layers.addLayer('outlets', [], options);
+		}, /Conflicting option of layer outlets in group retail: algorithm/);
+
+		options = createOptions();
+		options.algorithm = new MarkerClusterer.GridAlgorithm({gridSize: 50});
+		assert.throws(function () {
+			layers.addLayer('outlets', [], options);
+		}, /Conflicting option of layer outlets in group retail: algorithm/);
+
+		options = createOptions();
+		options.aggregations.revenue = 'avg';
+		assert.throws(function () {
+			layers.addLayer('outlets', [], options);
+		}, /Conflicting option of layer outlets in group retail: aggregations/);
+	});
+
+	var conflicts = {gridSize: 40, maxZoom: 12, averageCenter: true};
+	Object.keys(conflicts).forEach(function (option) {
+		it('throws for a layer setting another ' + option + ' than its group', function() {
+			var layers = new ClusterLayerManager(createMap());
+			var clusterer = layers.addLayer('stores', gridMarkers(2, 1, 0.002),
+				{group: 'retail', gridSize: 50, maxZoom: 15});
+
+			var options = {group: 'retail'};
+			options[option] = conflicts[option];
+			assert.throws(function () {
+				layers.addLayer('warehouses', gridMarkers(2, 1, 0.002, {lat: 0.2, lng: 0}), options);
+			}, new RegExp('Conflicting option of layer warehouses in group retail: ' + option));
+
+			// The layer is not added
+			assert.strictEqual(clusterer.getMarkers().length, 2);
+			layers.addLayer('warehouses', [], {group: 'retail'});
+		});
+	});
+});
+
+
+describe('teardown', function() {
+	var MAP_EVENTS = ['zoom_changed', 'click', 'idle', 'bounds_changed', 'dblclick', 'rightclick',
+		'mousemove', 'mouseout'];
+
+	// The number of listeners of each map event, when there are any
+	function mapListeners(map) {
+		var counts = {};
+		MAP_EVENTS.forEach(function (type) {
+			var count = stub.countListeners(map, type);
+			if (count) {
+				counts[type] = count;
+			}
+		});
+		return counts;
+	}
+
+	// A cluster of four draggable markers, and a marker to the north
+	function createClusterer(map, options) {
+		var markers = gridMarkers(2, 2, 0.002).concat(gridMarkers(1, 1, 0, {lat: 0.2, lng: 0}));
+		for (var i = 0; i < markers.length; i++) {
+			markers[i].draggable = true;
+		}
+		return new MarkerClusterer(map, markers, options || {});
+	}
+
+	function shownMarkers(mc, map) {
+		return mc.getMarkers().filter(function (marker) {
+			var shown = mc.getShownMarker(marker);
+			return !!shown && shown.getMap() === map;
+		}).length;
+	}
+
+	it('removes its map listeners, clusters and markers when detached', function() {
+		var map = createMap();
+		var mc = createClusterer(map);
+		var icon = mc.clusters_[0].clusterIcon_;
+		var div = icon.div_;
+		assert.deepStrictEqual(mapListeners(map), {zoom_changed: 1, click: 1, idle: 1, bounds_changed: 1});
+		assert.strictEqual(stub.countListeners(div, 'click'), 1);
+
+		mc.setMap(null);
+		assert.deepStrictEqual(mapListeners(map), {});
+		assert.strictEqual(stub.countListeners(div, 'click'), 0);
+		assert.strictEqual(div.parentNode, null);
+		assert.strictEqual(icon.getMap(), null);
+		assert.deepStrictEqual(clusterSizes(mc), []);
+		assert.strictEqual(shownMarkers(mc, map), 0);
+
+		map.setZoom(11);
+		map.idle();
+		assert.deepStrictEqual(clusterSizes(mc), []);
+	});
+
+	it('removes the listeners of the canvas renderer when detached', function() {
+		var map = createMap();
+		var mc = createClusterer(map, {renderer: 'canvas'});
+		assert.strictEqual(mapListeners(map).mousemove, 1);
+
+		mc.setMap(null);
+		assert.deepStrictEqual(mapListeners(map), {});
+		assert.strictEqual(mc.canvasLayer_, null);
+	});
+
+	it('clusters again once attached to the same map', function() {
+		var map = createMap();
+		var mc = createClusterer(map);
+		mc.setMap(null);
+		mc.setMap(map);
+		assert.deepStrictEqual(mapListeners(map), {zoom_changed: 1, click: 1, idle: 1, bounds_changed: 1});
+		assert.deepStrictEqual(clusterSizes(mc), [1, 4]);
+		assert.strictEqual(mc.clusters_[1].clusterIcon_.getMap(), map);
+		assert.strictEqual(shownMarkers(mc, map), 1);
+
+		map.setZoom(17);
+		map.idle();
+		assert.deepStrictEqual(clusterSizes(mc), [1, 1, 1, 1]);
+	});
+
+	it('moves its clusters and markers to another map', function() {
+		var map = createMap();
+		var other = createMap({zoom: 17});
+		var mc = createClusterer(map);
+		mc.setMap(other);
+		assert.deepStrictEqual(mapListeners(map), {});
+		assert.deepStrictEqual(mapListeners(other), {zoom_changed: 1, click: 1, idle: 1, bounds_changed: 1});
+		assert.strictEqual(mc.getMap(), other);
+		assert.deepStrictEqual(clusterSizes(mc), [1, 1, 1, 1]);
+		assert.strictEqual(shownMarkers(mc, map), 0);
+		assert.strictEqual(shownMarkers(mc, other), 4);
+
+		// Only the new map is followed
+		map.setZoom(5);
+		map.idle();
+		assert.deepStrictEqual(clusterSizes(mc), [1, 1, 1, 1]);
+		other.setZoom(10);
+		other.idle();
+		assert.deepStrictEqual(clusterSizes(mc), [1, 4]);
+	});
+
+	it('removes every listener when destroyed', function() {
+		var map = createMap();
+		var worker = new workers.Worker();
+		var mc = createClusterer(map, {worker: worker, workerImports: workers.IMPORTS, showHullOnHover: true});
+		worker.flush();
+		var markers = mc.getMarkers().slice();
+		google.maps.event.addListener(mc, 'clusterclick', function () {});
+		assert.strictEqual(stub.countListeners(markers[0], 'dragend'), 1);
+		assert.strictEqual(worker.listeners_.message.length, 1);
+
+		mc.destroy();
+		assert.deepStrictEqual(mapListeners(map), {});
+		markers.forEach(function (marker) {
+			assert.strictEqual(stub.countListeners(marker, 'dragend'), 0);
+		});
+		['clusterclick', 'clustermouseover', 'clustermouseout'].forEach(function (type) {
+			assert.strictEqual(stub.countListeners(mc, type), 0);
+		});
+		assert.strictEqual(worker.listeners_.message.length, 0);
+		assert.strictEqual(worker.listeners_.error.length, 0);
+		// The worker was passed in, so it is not terminated
+		assert.strictEqual(worker.terminated, false);
+	});
+
+	it('renders no worker pass once destroyed', function() {
+		var map = createMap();
+		var worker = new workers.Worker();
+		var mc = createClusterer(map, {worker: worker, workerImports: workers.IMPORTS});
+		worker.flush();
+		var ended = 0;
+		google.maps.event.addListener(mc, 'clusteringend', function () {
+			ended++;
+		});
+
+		map.setZoom(11);
+		map.idle();
+		var pass = mc.redraw();
+		mc.destroy();
+		worker.flush();
+		assert.strictEqual(ended, 0);
+		assert.deepStrictEqual(clusterSizes(mc), []);
+		assert.strictEqual(mc.worker_, null);
+		return pass;
+	});
+
+	it('runs no animation frame once destroyed', function() {
+		var frames = {};
+		var nextFrame = 1;
+		context.requestAnimationFrame = function (callback) {
+			frames[nextFrame] = callback;
+			return nextFrame++;
+		};
+		context.cancelAnimationFrame = function (id) {
+			delete frames[id];
+		};
+
+		try {
+			var map = createMap();
+			var mc = createClusterer(map, {animate: 300, averageCenter: true, renderer: 'canvas'});
+			map.setZoom(17);
+			map.idle();
+			assert.ok(mc.transition_);
+			assert.ok(Object.keys(frames).length > 0);
+
+			mc.destroy();
+			assert.deepStrictEqual(Object.keys(frames), []);
+			assert.strictEqual(mc.transition_, null);
+		} finally {
+			delete context.requestAnimationFrame;
+			delete context.cancelAnimationFrame;
+		}
+	});
+});
+
+
+describe('redrawing while the map moves', function() {
+	// Timers run when the tests say so, and the time only changes with them
+	var clock;
+
+	beforeEach(function() {
+		clock = {time: 1000, timers: {}, nextTimer: 1};
+		context.setTimeout = function (fn, delay) {
+			clock.timers[clock.nextTimer] = {time: clock.time + delay, fn: fn};
+			return clock.nextTimer++;
+		};
+		context.clearTimeout = function (id) {
+			delete clock.timers[id];
+		};
+		context.Date = {
+			now: function () {
+				return clock.time;
+			}
+		};
+	});
+
+	afterEach(function() {
+		context.setTimeout = setTimeout;
+		context.clearTimeout = clearTimeout;
+		delete context.Date;
+	});
+
+	// Moves the time forward, running the timers due on the way
+	function tick(ms) {
+		var end = clock.time + ms;
+		for (;;) {
+			var next = null;
+			for (var id in clock.timers) {
+				if (clock.timers[id].time <= end && (!next || clock.timers[id].time < clock.timers[next].time)) {
+					next = id;
+				}
+			}
+			if (!next) break;
+			var timer = clock.timers[next];
+			delete clock.timers[next];
+			clock.time = timer.time;
+			timer.fn();
+		}
+		clock.time = end;
+	}
+
+	// Groups of two markers every 0.2 degrees east of the map center
+	function createClusterer(options) {
+		var markers = [];
+		for (var i = 0; i < 10; i++) {
+			markers = markers.concat(gridMarkers(2, 1, 0.001, {lat: 0, lng: 0.2 * i}));
+		}
+		return new MarkerClusterer(createMap(), markers, options);
+	}
+
+	// Records the times of the redraws of a clusterer
+	function recordRedraws(mc) {
+		var times = [];
+		mc.redraw = function () {
+			times.push(clock.time);
+			return MarkerClusterer.prototype.redraw.apply(this, arguments);
+		};
+		return times;
+	}
+
+	// Pans the map east, every `interval` milliseconds
+	function pan(map, steps, interval) {
+		for (var i = 0; i < steps; i++) {
+			map.setCenter({lat: 0, lng: map.getCenter().lng() + 0.1});
+			tick(interval);
+		}
+	}
+
+	it('only redraws once the map is idle by default', function() {
+		var mc = createClusterer({});
+		var redraws = recordRedraws(mc);
+		assert.deepStrictEqual(clusterSizes(mc), [2, 2, 2]);
+
+		pan(mc.getMap(), 10, 30);
+		assert.deepStrictEqual(redraws, []);
+		assert.deepStrictEqual(Object.keys(clock.timers), []);
+		mc.getMap().idle();
+		assert.deepStrictEqual(clusterSizes(mc), [2, 2, 2, 2, 2]);
+	});
+
+	it('redraws at most once per delay when throttling', function() {
+		var mc = createClusterer({redrawWhileMoving: 'throttle'});
+		var redraws = recordRedraws(mc);
+
+		// The first move redraws at once, the next ones when the delay is over
+		pan(mc.getMap(), 10, 30);
+		assert.deepStrictEqual(redraws, [1000, 1100, 1200, 1300]);
+		assert.deepStrictEqual(clusterSizes(mc), [2, 2, 2, 2, 2]);
+
+		tick(50);
+		pan(mc.getMap(), 1, 0);
+		assert.deepStrictEqual(redraws, [1000, 1100, 1200, 1300]);
+		tick(50);
+		assert.deepStrictEqual(redraws, [1000, 1100, 1200, 1300, 1400]);
+
+		// A move after the delay is over redraws at once
+		tick(500);
+		pan(mc.getMap(), 1, 0);
+		assert.deepStrictEqual(redraws, [1000, 1100, 1200, 1300, 1400, 1900]);
+	});
+
+	it('redraws once the map stops moving for the delay when debouncing', function() {
+		var mc = createClusterer({redrawWhileMoving: 'debounce', redrawDelay: 250});
+		var redraws = recordRedraws(mc);
+
+		pan(mc.getMap(), 10, 200);
+		assert.deepStrictEqual(redraws, []);
+		tick(49);
+		assert.deepStrictEqual(redraws, []);
+		tick(1);
+		assert.deepStrictEqual(redraws, [3050]);
+		assert.deepStrictEqual(clusterSizes(mc), [2, 2, 2, 2, 2]);
+	});
+
+	it('cancels the pending redraw once the map is idle', function() {
+		var mc = createClusterer({redrawWhileMoving: 'debounce'});
+		var redraws = recordRedraws(mc);
+
+		pan(mc.getMap(), 1, 0);
+		assert.strictEqual(Object.keys(clock.timers).length, 1);
+		mc.getMap().idle();
+		assert.deepStrictEqual(Object.keys(clock.timers), []);
+		tick(1000);
+		assert.deepStrictEqual(redraws, []);
+	});
+
+	it('waits for the map to be idle after a zoom level change', function() {
+		var mc = createClusterer({redrawWhileMoving: 'throttle'});
+		var redraws = recordRedraws(mc);
+
+		mc.getMap().setZoom(11);
+		pan(mc.getMap(), 10, 200);
+		assert.deepStrictEqual(redraws, []);
+		assert.deepStrictEqual(Object.keys(clock.timers), []);
+		mc.getMap().idle();
+		assert.deepStrictEqual(clusterSizes(mc), [2, 2, 2]);
+	});
+});
+
+
+describe('padding', function() {
+	// Groups of two markers in view, 291 pixels east of the map center, just
+	// out of view, and 328 pixels east, further north
+	function createClusterer(options) {
+		var markers = gridMarkers(2, 1, 0.001, {lat: 0, lng: 0})
+			.concat(gridMarkers(2, 1, 0.001, {lat: 0, lng: 0.4}))
+			.concat(gridMarkers(2, 1, 0.001, {lat: 0.2, lng: 0.45}));
+		return new MarkerClusterer(createMap(), markers, options);
+	}
+
+	it('clusters the markers around the viewport, as far as the grid size by default', function() {
+		assert.deepStrictEqual(clusterSizes(createClusterer({})), [2, 2]);
+		assert.deepStrictEqual(clusterSizes(createClusterer({gridSize: 80})), [2, 2, 2]);
+	});
+
+	it('clusters the markers as far as the padding', function() {
+		assert.deepStrictEqual(clusterSizes(createClusterer({padding: 0})), [2]);
+		assert.deepStrictEqual(clusterSizes(createClusterer({padding: 80})), [2, 2, 2]);
+		assert.deepStrictEqual(clusterSizes(createClusterer({gridSize: 80, padding: 40})), [2, 2]);
+	});
+});
+
+
+describe('info windows', function() {
+	// A cluster of 25 markers with titles, and a marker to the north
+	function createClusterer(options, mapOptions) {
+		var markers = gridMarkers(5, 5, 0.001).concat(gridMarkers(1, 1, 0, {lat: 0.2, lng: 0}));
+		for (var i = 0; i < markers.length; i++) {
+			markers[i].set('title', 'Store ' + i);
+		}
+		options.infoWindowPageSize = 10;
+		return new MarkerClusterer(createMap(mapOptions || {zoom: 10}), markers, options);
+	}
+
+	function getCluster(mc) {
+		return mc.getMarkerCluster(mc.getMarkers()[0]);
+	}
+
+	function click(cluster) {
+		google.maps.event.trigger(cluster.clusterIcon_.div_, 'click', {detail: 1});
+	}
+
+	// The elements of the info window with an attribute, by its value
+	function findElements(el, name, found) {
+		found = found || {};
+		if (el.getAttribute && el.getAttribute(name) !== null) {
+			found[el.getAttribute(name)] = el;
+		}
+		(el.childNodes || []).forEach(function (child) {
+			findElements(child, name, found);
+		});
+		return found;
+	}
+
+	function getRows(mc) {
+		return findElements(mc.clusterInfo_.infoWindow_.content, 'data-index');
+	}
+
+	// Clicks an element of the info window
+	function activate(mc, target) {
+		google.maps.event.trigger(mc.clusterInfo_.content_, 'click', {target: target});
+	}
+
+	function pageButtons(mc) {
+		return findElements(mc.clusterInfo_.infoWindow_.content, 'data-page');
+	}
+
+	it('lists the markers of a cluster a page at a time', function() {
+		var mc = createClusterer({infoWindow: 'always'});
+		var cluster = getCluster(mc);
+		click(cluster);
+
+		var infoWindow = mc.clusterInfo_.infoWindow_;
+		assert.strictEqual(infoWindow.getMap(), mc.getMap());
+		assert.strictEqual(mc.clusterInfo_.getCluster(), cluster);
+		assert.ok(infoWindow.position.equals(cluster.getCenter()));
+		assert.strictEqual(mc.getMap().fitted_, undefined);
+
+		var rows = getRows(mc);
+		assert.deepStrictEqual(Object.keys(rows), ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9']);
+		assert.strictEqual(rows[0].childNodes[0].textContent, cluster.getMarkers()[0].get('title'));
+
+		// The previous page button is disabled on the first page
+		var buttons = pageButtons(mc);
+		assert.deepStrictEqual(Object.keys(buttons).sort(), ['-1', '1']);
+		assert.strictEqual(buttons[-1].hasAttribute('disabled'), true);
+		activate(mc, buttons[-1]);
+		assert.strictEqual(mc.clusterInfo_.page_, 0);
+
+		// From the label of the next page button
+		activate(mc, buttons[1].childNodes[0]);
+		assert.deepStrictEqual(Object.keys(getRows(mc)), ['10', '11', '12', '13', '14', '15', '16', '17', '18', '19']);
+		assert.deepStrictEqual(Object.keys(pageButtons(mc)).sort(), ['0', '2']);
+
+		mc.clusterInfo_.setPage(5);
+		assert.deepStrictEqual(Object.keys(getRows(mc)), ['20', '21', '22', '23', '24']);
+		assert.strictEqual(pageButtons(mc)[3].hasAttribute('disabled'), true);
+	});
+
+	it('triggers clusteritemselect when a row is activated', function() {
+		var mc = createClusterer({infoWindow: 'always'});
+		var cluster = getCluster(mc);
+		var selected = [];
+		google.maps.event.addListener(mc, 'clusteritemselect', function (marker, cluster) {
+			selected.push([marker, cluster]);
+		});
+		click(cluster);
+		mc.clusterInfo_.setPage(1);
+
+		var row = getRows(mc)[12];
+		activate(mc, row.childNodes[0]);
+		assert.strictEqual(selected.length, 1);
+		assert.strictEqual(selected[0][0], cluster.getMarkers()[12]);
+		assert.strictEqual(selected[0][1], cluster);
+
+		var prevented = false;
+		google.maps.event.trigger(mc.clusterInfo_.content_, 'keydown', {
+			key: 'Enter',
+			target: row,
+			preventDefault: function () { prevented = true; }
+		});
+		assert.strictEqual(selected.length, 2);
+		assert.strictEqual(prevented, true);
+	});
+
+	it('opens only for clusters zooming cannot separate, unless always', function() {
+		var mc = createClusterer({infoWindow: true});
+		click(getCluster(mc));
+		assert.strictEqual(mc.clusterInfo_.getCluster(), null);
+		assert.ok(mc.getMap().fitted_);
+
+		mc = createClusterer({infoWindow: true}, {zoom: 10, maxZoom: 10});
+		click(getCluster(mc));
+		assert.strictEqual(mc.clusterInfo_.getCluster(), getCluster(mc));
+		assert.strictEqual(mc.getMap().fitted_, undefined);
+	});
+
+	it('leaves the map as it is on clicks with zoomOnClick off', function() {
+		var mc = createClusterer({zoomOnClick: false});
+		click(getCluster(mc));
+		assert.strictEqual(mc.getMap().fitted_, undefined);
+		assert.strictEqual(mc.clusterInfo_.getCluster(), null);
+	});
+
+	it('closes when the zoom level changes', function() {
+		var mc = createClusterer({infoWindow: 'always'});
+		click(getCluster(mc));
+		var infoWindow = mc.clusterInfo_.infoWindow_;
+
+		mc.getMap().setZoom(11);
+		assert.strictEqual(infoWindow.getMap(), null);
+		assert.strictEqual(mc.clusterInfo_.getCluster(), null);
+		mc.getMap().idle();
+		assert.strictEqual(infoWindow.getMap(), null);
+	});
+});
+
+
+describe('cluster queries', function() {
+	// A cluster of 25 markers, a cluster of 3 to the north and a cluster of 2
+	// out of view
+	function createClusterer(options) {
+		var markers = gridMarkers(5, 5, 0.0005)
+			.concat(gridMarkers(3, 1, 0.001, {lat: 0.2, lng: 0}))
+			.concat(gridMarkers(2, 1, 0.001, {lat: 5, lng: 0}));
+		return new MarkerClusterer(createMap(), markers, options || {});
+	}
+
+	function getCluster(mc, index) {
+		return mc.getMarkerCluster(mc.getMarkers()[index]);
+	}
+
+	it('finds the cluster covering a position in the viewport', function() {
+		var mc = createClusterer();
+		assert.strictEqual(mc.getClusterAt(new google.maps.LatLng(0.001, 0.001)), getCluster(mc, 0));
+		assert.strictEqual(mc.getClusterAt(new google.maps.LatLng(0.2, 0.0015)), getCluster(mc, 25));
+		assert.strictEqual(mc.getClusterAt(new google.maps.LatLng(-0.2, 0)), null);
+
+		// Markers out of view are in no cluster
+		assert.strictEqual(mc.getClusterAt(new google.maps.LatLng(5, 0)), null);
+		assert.strictEqual(getCluster(mc, 28), null);
+
+		mc.setMap(null);
+		assert.strictEqual(mc.getClusterAt(new google.maps.LatLng(0.001, 0.001)), null);
+	});
+
+	[false, true].forEach(function (hierarchical) {
+		var mode = hierarchical ? ' in hierarchical mode' : '';
+
+		it('returns the zoom level at which a cluster splits' + mode, function() {
+			var mc = createClusterer({hierarchical: hierarchical});
+			var map = mc.getMap();
+			var zoom = mc.getClusterExpansionZoom(getCluster(mc, 0));
+			assert.ok(zoom > 10 && zoom < 20, String(zoom));
+
+			map.setZoom(zoom - 1);
+			map.idle();
+			assert.strictEqual(getCluster(mc, 0).getSize(), 25);
+			assert.strictEqual(mc.getClusterExpansionZoom(getCluster(mc, 0)), zoom);
+
+			map.setZoom(zoom);
+			map.idle();
+			assert.ok(getCluster(mc, 0).getSize() < 25);
+			assert.notStrictEqual(getCluster(mc, 0), getCluster(mc, 24));
+		});
+
+		it('pages through the markers of a cluster' + mode, function() {
+			var mc = createClusterer({hierarchical: hierarchical});
+			var cluster = getCluster(mc, 0);
+			var markers = Array.from(cluster.getMarkers());
+			var leaves = function (limit, offset) {
+				return Array.from(mc.getLeaves(cluster, limit, offset));
+			};
+			assert.deepStrictEqual(leaves(), markers);
+			assert.notStrictEqual(mc.getLeaves(cluster), cluster.getMarkers());
+			assert.deepStrictEqual(leaves(10), markers.slice(0, 10));
+			assert.deepStrictEqual(leaves(10, 10), markers.slice(10, 20));
+			assert.deepStrictEqual(leaves(10, 20), markers.slice(20));
+			assert.deepStrictEqual(leaves(10, 30), []);
+			assert.deepStrictEqual(leaves(undefined, 15), markers.slice(15));
+		});
+	});
+
+	it('returns no expansion zoom level for markers that never split', function() {
+		var markers = gridMarkers(3, 1, 0).concat(gridMarkers(3, 1, 0.0005, {lat: 0.2, lng: 0}));
+		var mc = new MarkerClusterer(createMap({zoom: 10, maxZoom: 14}), markers, {});
+		// Markers at the same position
+		assert.strictEqual(mc.getClusterExpansionZoom(mc.getMarkerCluster(markers[0])), null);
+		// Markers still clustered at the maximum zoom level of the map
+		assert.strictEqual(mc.getClusterExpansionZoom(mc.getMarkerCluster(markers[3])), null);
+
+		// Markers are not clustered above the maximum zoom level of the clusterer
+		mc = new MarkerClusterer(createMap(), gridMarkers(3, 1, 0.0005, {lat: 0.2, lng: 0}), {maxZoom: 12});
+		assert.strictEqual(mc.getClusterExpansionZoom(mc.clusters_[0]), 13);
+	});
+
+	it('removes clusters, leaving the others as they are', function() {
+		var mc = createClusterer();
+		var clusters = mc.clusters_.slice();
+		var cluster = getCluster(mc, 0);
+		mc.removeCluster(cluster);
+		assert.deepStrictEqual(mc.clusters_, clusters.filter(function (c) { return c !== cluster; }));
+		assert.strictEqual(getCluster(mc, 0), null);
+		assert.strictEqual(mc.getClusterAt(new google.maps.LatLng(0.001, 0.001)), null);
+		assert.strictEqual(cluster.clusterIcon_.getMap(), null);
+
+		// Removed once
+		mc.removeCluster(cluster);
+		assert.strictEqual(mc.clusters_.length, clusters.length - 1);
+	});
+});
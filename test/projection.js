@@ -0,0 +1,74 @@
+var assert = require('assert');
+var core = require('../src/clustercore');
+
+
+describe('projection', function() {
+	it('converts longitudes and latitudes to world coordinates and back', function() {
+		assert.strictEqual(core.lngX(-180), 0);
+		assert.strictEqual(core.lngX(0), 0.5);
+		assert.strictEqual(core.latY(0), 0.5);
+
+		var lats = [-80, -45.5, 0, 12.3, 60];
+		for (var i = 0; i < lats.length; i++) {
+			assert.ok(Math.abs(core.yLat(core.latY(lats[i])) - lats[i]) < 1e-9);
+		}
+		assert.ok(Math.abs(core.xLng(core.lngX(123.456)) - 123.456) < 1e-9);
+	});
+
+	it('clamps the poles to the edges of the world', function() {
+		assert.strictEqual(core.latY(90), 0);
+		assert.strictEqual(core.latY(-90), 1);
+	});
+
+	it('projects points to pixels at a zoom level', function() {
+		assert.strictEqual(core.worldSize(0), 256);
+		assert.strictEqual(core.worldSize(3), 2048);
+		assert.deepStrictEqual(core.projectLatLng({lat: 0, lng: 0}, 1), {x: 256, y: 256});
+	});
+
+	it('wraps longitudes', function() {
+		assert.strictEqual(core.wrapLng(190), -170);
+		assert.strictEqual(core.wrapLng(-540), -180);
+		assert.strictEqual(core.wrapLng(45), 45);
+	});
+});
+
+
+describe('bounds', function() {
+	it('extends bounds by pixels', function() {
+		var bbox = core.extendBounds([-10, -10, 10, 10], 2, 64);
+		assert.ok(bbox[0] < -10 && bbox[2] > 10);
+		assert.ok(Math.abs(bbox[1] + 32.5) < 1e-9);
+		assert.ok(Math.abs(bbox[3] - 32.5) < 1e-9);
+	});
+
+	it('extends bounds across the antimeridian', function() {
+		var bbox = core.extendBounds([-10, 170, 10, 179], 2, 64);
+		assert.ok(bbox[1] > bbox[3]);
+		assert.ok(Math.abs(bbox[3] + 158.5) < 1e-9);
+	});
+
+	it('spans all longitudes once wider than the world', function() {
+		var bbox = core.extendBounds([-10, -170, 10, 170], 0, 64);
+		assert.strictEqual(bbox[1], -180);
+		assert.strictEqual(bbox[3], 180);
+	});
+
+	it('reaches the poles past the edges of the projection', function() {
+		var bbox = core.extendBounds([60, -10, 84, 10], 1, 512);
+		assert.strictEqual(bbox[2], 90);
+	});
+
+	it('tells if bounds contain a point', function() {
+		assert.ok(core.containsLatLng([-10, -10, 10, 10], {lat: 5, lng: 5}));
+		assert.ok(!core.containsLatLng([-10, -10, 10, 10], {lat: 5, lng: 15}));
+		assert.ok(core.containsLatLng([-10, 170, 10, -170], {lat: 0, lng: -175}));
+		assert.ok(!core.containsLatLng([-10, 170, 10, -170], {lat: 0, lng: 0}));
+	});
+
+	it('splits bounds crossing the antimeridian', function() {
+		assert.deepStrictEqual(core.splitBounds([-10, -10, 10, 10]), [[-10, -10, 10, 10]]);
+		assert.deepStrictEqual(core.splitBounds([-10, 170, 10, -170]),
+			[[-10, 170, 10, 180], [-10, -180, 10, -170]]);
+	});
+});
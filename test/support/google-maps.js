@@ -0,0 +1,384 @@
+/**
+ * A minimal stub of the Google Maps JavaScript API, enough to run
+ * markerclusterer.js in Node. Maps have a fixed size in pixels and project
+ * positions with Web Mercator, overlays are added synchronously, and DOM
+ * elements are plain objects.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var core = require('../../src/clustercore');
+
+var TILE_SIZE = 256;
+
+
+/**
+ * Event listeners, by object then by event type.
+ */
+var listeners = new WeakMap();
+
+function getListeners(obj, type) {
+	var types = listeners.get(obj);
+	if (!types) {
+		listeners.set(obj, types = {});
+	}
+	return types[type] || (types[type] = []);
+}
+
+var event = {
+	addListener: function (obj, type, fn) {
+		var handle = {obj: obj, type: type, fn: fn};
+		getListeners(obj, type).push(handle);
+		return handle;
+	},
+	removeListener: function (handle) {
+		var list = getListeners(handle.obj, handle.type);
+		var i = list.indexOf(handle);
+		if (i != -1) {
+			list.splice(i, 1);
+		}
+	},
+	clearInstanceListeners: function (obj) {
+		listeners.delete(obj);
+	},
+	trigger: function (obj, type) {
+		var args = Array.prototype.slice.call(arguments, 2);
+		var list = getListeners(obj, type).slice();
+		for (var i = 0; i < list.length; i++) {
+			list[i].fn.apply(obj, args);
+		}
+	}
+};
+event.addDomListener = event.addListener;
+
+/**
+ * Returns the number of listeners of an event.
+ */
+function countListeners(obj, type) {
+	return getListeners(obj, type).length;
+}
+
+
+function LatLng(lat, lng) {
+	this.lat_ = lat;
+	this.lng_ = core.wrapLng(lng);
+}
+
+LatLng.prototype.lat = function () { return this.lat_; };
+LatLng.prototype.lng = function () { return this.lng_; };
+LatLng.prototype.equals = function (other) {
+	return !!other && other.lat() == this.lat_ && other.lng() == this.lng_;
+};
+
+function toLatLng(latLng) {
+	return latLng instanceof LatLng ? latLng : new LatLng(latLng.lat, latLng.lng);
+}
+
+
+function LatLngBounds(sw, ne) {
+	this.sw_ = sw ? toLatLng(sw) : null;
+	this.ne_ = ne ? toLatLng(ne) : this.sw_;
+}
+
+LatLngBounds.prototype.getSouthWest = function () { return this.sw_; };
+LatLngBounds.prototype.getNorthEast = function () { return this.ne_; };
+
+LatLngBounds.prototype.extend = function (latLng) {
+	if (!this.sw_) {
+		this.sw_ = this.ne_ = latLng;
+		return this;
+	}
+	this.sw_ = new LatLng(Math.min(this.sw_.lat(), latLng.lat()), Math.min(this.sw_.lng(), latLng.lng()));
+	this.ne_ = new LatLng(Math.max(this.ne_.lat(), latLng.lat()), Math.max(this.ne_.lng(), latLng.lng()));
+	return this;
+};
+
+LatLngBounds.prototype.contains = function (latLng) {
+	return !!this.sw_ && core.containsLatLng(
+		[this.sw_.lat(), this.sw_.lng(), this.ne_.lat(), this.ne_.lng()],
+		{lat: latLng.lat(), lng: latLng.lng()});
+};
+
+
+function Point(x, y) {
+	this.x = x;
+	this.y = y;
+}
+
+
+/**
+ * A base for objects with properties.
+ */
+function MVCObject() {}
+
+MVCObject.prototype.get = function (key) {
+	return this[key];
+};
+MVCObject.prototype.set = function (key, value) {
+	this[key] = value;
+};
+MVCObject.prototype.setOptions = function (options) {
+	for (var key in options) {
+		this.set(key, options[key]);
+	}
+};
+
+function inherit(Child) {
+	Child.prototype = Object.create(MVCObject.prototype);
+	Child.prototype.constructor = Child;
+}
+
+
+/**
+ * A map of `width` by `height` pixels, 512 by 512 by default, centered on
+ * `center` at the zoom level `zoom`.
+ */
+function Map(options) {
+	options = options || {};
+	this.center_ = toLatLng(options.center || {lat: 0, lng: 0});
+	this.zoom_ = options.zoom !== undefined ? options.zoom : 10;
+	this.div_ = {offsetWidth: options.width || 512, offsetHeight: options.height || 512};
+	this.maxZoom = options.maxZoom;
+}
+inherit(Map);
+
+Map.prototype.getZoom = function () { return this.zoom_; };
+Map.prototype.getCenter = function () { return this.center_; };
+Map.prototype.getDiv = function () { return this.div_; };
+
+Map.prototype.setZoom = function (zoom) {
+	this.zoom_ = zoom;
+	event.trigger(this, 'zoom_changed');
+	event.trigger(this, 'bounds_changed');
+};
+
+Map.prototype.setCenter = function (center) {
+	this.center_ = toLatLng(center);
+	event.trigger(this, 'bounds_changed');
+};
+
+Map.prototype.fitBounds = function (bounds) {
+	this.fitted_ = bounds;
+};
+
+/**
+ * Returns the world pixel coordinates of a position.
+ */
+Map.prototype.project = function (latLng) {
+	var size = TILE_SIZE * Math.pow(2, this.zoom_);
+	return new Point(core.lngX(latLng.lng()) * size, core.latY(latLng.lat()) * size);
+};
+
+/**
+ * Returns the position of world pixel coordinates.
+ */
+Map.prototype.unproject = function (p) {
+	var size = TILE_SIZE * Math.pow(2, this.zoom_);
+	return new LatLng(core.yLat(p.y / size), core.xLng(p.x / size));
+};
+
+Map.prototype.getBounds = function () {
+	var c = this.project(this.center_);
+	var w = this.div_.offsetWidth / 2;
+	var h = this.div_.offsetHeight / 2;
+	return new LatLngBounds(
+		this.unproject(new Point(c.x - w, c.y + h)),
+		this.unproject(new Point(c.x + w, c.y - h)));
+};
+
+/**
+ * Triggers the events of the map once it has moved.
+ */
+Map.prototype.idle = function () {
+	event.trigger(this, 'idle');
+};
+
+
+function OverlayView() {}
+inherit(OverlayView);
+
+OverlayView.prototype.setMap = function (map) {
+	var previous = this.overlayMap_ || null;
+	if (previous === (map || null)) {
+		return;
+	}
+	this.overlayMap_ = map || null;
+	if (previous && this.onRemove) {
+		this.onRemove();
+	}
+	if (map) {
+		if (this.onAdd) this.onAdd();
+		if (this.draw) this.draw();
+	}
+};
+
+OverlayView.prototype.getMap = function () {
+	return this.overlayMap_ || null;
+};
+
+OverlayView.prototype.getPanes = function () {
+	if (!this.panes_) {
+		this.panes_ = {
+			overlayLayer: createElement('div'),
+			overlayMouseTarget: createElement('div')
+		};
+	}
+	return this.panes_;
+};
+
+OverlayView.prototype.getProjection = function () {
+	var map = this.overlayMap_;
+	if (!map) {
+		return null;
+	}
+	return {
+		fromLatLngToDivPixel: function (latLng) {
+			return map.project(latLng);
+		}
+	};
+};
+
+
+function Marker(options) {
+	options = options || {};
+	this.map = null;
+	for (var key in options) {
+		this[key] = options[key];
+	}
+	this.position = options.position ? toLatLng(options.position) : null;
+	if (this.map) {
+		this.setMap(this.map);
+	}
+}
+inherit(Marker);
+
+Marker.prototype.getPosition = function () { return this.position; };
+Marker.prototype.setPosition = function (position) { this.position = toLatLng(position); };
+Marker.prototype.getMap = function () { return this.map; };
+Marker.prototype.setMap = function (map) { this.map = map; };
+
+
+/**
+ * A shape on the map: polylines, polygons and info windows.
+ */
+function Shape(options) {
+	this.map = null;
+	this.setOptions(options || {});
+}
+inherit(Shape);
+
+Shape.prototype.getMap = function () { return this.map; };
+Shape.prototype.setMap = function (map) { this.map = map; };
+Shape.prototype.setPaths = function (paths) { this.paths = paths; };
+Shape.prototype.setContent = function (content) { this.content = content; };
+Shape.prototype.setPosition = function (position) { this.position = position; };
+Shape.prototype.open = function (map) { this.map = map; };
+Shape.prototype.close = function () { this.map = null; };
+
+
+/**
+ * A DOM element, as a plain object.
+ */
+function createElement(tagName) {
+	return {
+		tagName: tagName.toUpperCase(),
+		style: {},
+		attributes: {},
+		childNodes: [],
+		parentNode: null,
+		className: '',
+		html_: '',
+		// Setting the HTML replaces the children
+		get innerHTML() { return this.html_; },
+		set innerHTML(html) {
+			for (var i = 0; i < this.childNodes.length; i++) {
+				this.childNodes[i].parentNode = null;
+			}
+			this.childNodes = [];
+			this.html_ = html;
+		},
+		setAttribute: function (name, value) { this.attributes[name] = String(value); },
+		getAttribute: function (name) {
+			return name in this.attributes ? this.attributes[name] : null;
+		},
+		hasAttribute: function (name) { return name in this.attributes; },
+		removeAttribute: function (name) { delete this.attributes[name]; },
+		appendChild: function (child) {
+			child.parentNode = this;
+			this.childNodes.push(child);
+			return child;
+		},
+		removeChild: function (child) {
+			this.childNodes.splice(this.childNodes.indexOf(child), 1);
+			child.parentNode = null;
+			return child;
+		},
+		focus: function () { document.activeElement = this; },
+		getContext: function () {
+			// Painting is not checked, only hit-testing
+			return new Proxy({}, {
+				get: function () { return function () {}; },
+				set: function () { return true; }
+			});
+		}
+	};
+}
+
+var document = {
+	activeElement: null,
+	createElement: createElement,
+	createTextNode: function (text) {
+		return {nodeType: 3, textContent: text};
+	}
+};
+
+
+var google = {
+	maps: {
+		event: event,
+		LatLng: LatLng,
+		LatLngBounds: LatLngBounds,
+		Point: Point,
+		Map: Map,
+		OverlayView: OverlayView,
+		Marker: Marker,
+		Polyline: Shape,
+		Polygon: Shape,
+		InfoWindow: Shape
+	}
+};
+
+
+/**
+ * Loads rbush, clustercore.js and markerclusterer.js the way a page does with
+ * script tags, in a context of their own with the stub as `google`.
+ * @return {Object} The global object of the context.
+ */
+function loadScripts() {
+	var context = vm.createContext({
+		google: google,
+		document: document,
+		window: {devicePixelRatio: 1},
+		setTimeout: setTimeout,
+		clearTimeout: clearTimeout,
+		console: console
+	});
+	context.self = context;
+
+	var files = [
+		require.resolve('rbush'),
+		path.join(__dirname, '../../src/clustercore.js'),
+		path.join(__dirname, '../../src/markerclusterer.js')
+	];
+	for (var i = 0; i < files.length; i++) {
+		vm.runInContext(fs.readFileSync(files[i], 'utf8'), context, {filename: files[i]});
+	}
+	return context;
+}
+
+module.exports = {
+	google: google,
+	countListeners: countListeners,
+	loadScripts: loadScripts
+};
@@ -0,0 +1,90 @@
+/**
+ * Runs clusterworker.js in a context of its own, as a stand-in for a Web
+ * Worker. Messages are cloned both ways, like with a real worker, and only
+ * delivered by `flush`, so that tests choose when the worker answers.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var WORKER = path.join(__dirname, '../../src/clusterworker.js');
+
+/**
+ * The scripts the worker imports, to pass as the `workerImports` option.
+ */
+var IMPORTS = [
+	require.resolve('rbush'),
+	path.join(__dirname, '../../src/clustercore.js')
+];
+
+
+function runScript(file, context) {
+	vm.runInContext(fs.readFileSync(file, 'utf8'), context, {filename: file});
+}
+
+
+function Worker() {
+	var that = this;
+	this.listeners_ = {message: [], error: [], messageerror: []};
+	this.inbox_ = [];
+	this.outbox_ = [];
+	this.terminated = false;
+
+	var context = vm.createContext({console: console});
+	context.self = context;
+	context.importScripts = function () {
+		for (var i = 0; i < arguments.length; i++) {
+			runScript(arguments[i], context);
+		}
+	};
+	context.postMessage = function (msg) {
+		that.outbox_.push(structuredClone(msg));
+	};
+	runScript(WORKER, context);
+	this.context_ = context;
+}
+
+Worker.prototype.addEventListener = function (type, fn) {
+	this.listeners_[type].push(fn);
+};
+
+Worker.prototype.removeEventListener = function (type, fn) {
+	var list = this.listeners_[type];
+	var i = list.indexOf(fn);
+	if (i != -1) {
+		list.splice(i, 1);
+	}
+};
+
+Worker.prototype.postMessage = function (msg) {
+	this.inbox_.push(structuredClone(msg));
+};
+
+Worker.prototype.terminate = function () {
+	this.terminated = true;
+};
+
+/**
+ * Delivers the pending messages, to the worker then from it, until there are
+ * none left.
+ */
+Worker.prototype.flush = function () {
+	while (!this.terminated && (this.inbox_.length || this.outbox_.length)) {
+		while (this.inbox_.length) {
+			this.context_.onmessage({data: this.inbox_.shift()});
+		}
+		while (this.outbox_.length) {
+			var msg = this.outbox_.shift();
+			var listeners = this.listeners_.message.slice();
+			for (var i = 0; i < listeners.length; i++) {
+				listeners[i]({data: msg});
+			}
+		}
+	}
+};
+
+module.exports = {
+	Worker: Worker,
+	IMPORTS: IMPORTS
+};